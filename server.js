@@ -10,6 +10,7 @@ const databaseConnection = require("./src/config/database");
 const redisConnection = require("./src/config/redis");
 const alchemyConnection = require("./src/config/alchemy");
 const oracleService = require("./src/services/oracleService");
+const TokenPrice = require("./src/models/TokenPrice");
 
 const app = express();
 const DEFAULT_PORT = 3000;
@@ -27,6 +28,7 @@ async function initializeConnections() {
 
     // Connect to MongoDB
     await databaseConnection.connect();
+    await TokenPrice.dropLegacyDateIndex();
 
     // Connect to Redis (optional)
     try {
@@ -44,6 +46,16 @@ async function initializeConnections() {
     // Initialize Oracle Service
     await oracleService.initialize();
 
+    // Initialize the job queue used by the schedule endpoints (optional)
+    try {
+      await require("./src/services/queueService").initialize();
+    } catch (error) {
+      console.warn(
+        "⚠️ Queue initialization failed, continuing without job scheduling:",
+        error
+      );
+    }
+
     console.log("✅ All connections initialized successfully");
   } catch (error) {
     console.error("❌ Connection initialization failed:", error);
@@ -147,6 +159,9 @@ async function gracefulShutdown() {
   console.log("🔄 Starting graceful shutdown...");
 
   try {
+    // Close the job queue
+    await require("./src/services/queueService").shutdown();
+
     // Close Redis connection
     await redisConnection.disconnect();
 
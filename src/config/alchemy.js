@@ -14,8 +14,11 @@ class AlchemyConnection {
     }
 
     const apiKey = process.env.ALCHEMY_API_KEY;
+    // Optional JSON-RPC endpoint overrides (self-hosted nodes, local stand-ins)
+    const ethereumUrl = process.env.ALCHEMY_ETHEREUM_RPC_URL;
+    const polygonUrl = process.env.ALCHEMY_POLYGON_RPC_URL;
 
-    if (!apiKey) {
+    if (!apiKey && !ethereumUrl && !polygonUrl) {
       console.warn(
         '⚠️ Alchemy API key not provided. Some features may not work.'
       );
@@ -27,6 +30,7 @@ class AlchemyConnection {
       const ethereumConfig = {
         apiKey: apiKey,
         network: Network.ETH_MAINNET,
+        url: ethereumUrl,
         maxRetries: 3
       };
 
@@ -34,6 +38,7 @@ class AlchemyConnection {
       const polygonConfig = {
         apiKey: apiKey,
         network: Network.MATIC_MAINNET,
+        url: polygonUrl,
         maxRetries: 3
       };
 
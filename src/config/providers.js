@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { RATE_LIMITER_CONFIG } = require('../constants');
+
+// Requests per minute allowed across every process sharing an upstream
+function rateLimit(envName, fallback, bucket) {
+  return {
+    ...(bucket && { bucket }),
+    requests: parseInt(process.env[envName]) || fallback,
+    intervalMs: 60 * 1000
+  };
+}
+
+function alchemyRateLimit() {
+  return rateLimit(
+    'ALCHEMY_RATE_LIMIT',
+    RATE_LIMITER_CONFIG.RPC_DEFAULT_LIMIT,
+    RATE_LIMITER_CONFIG.RPC_BUCKET
+  );
+}
+
+// Built-in provider defaults; lower priority values are consulted first
+function getDefaultProviderConfig() {
+  return {
+    // On-chain providers read through Alchemy; the shared quota is charged
+    // per JSON-RPC call, so these limits are only reported
+    chainlink: {
+      enabled: true,
+      priority: 1,
+      rateLimit: alchemyRateLimit()
+    },
+    uniswap: {
+      enabled: true,
+      priority: 2,
+      rateLimit: alchemyRateLimit()
+    },
+    coingecko: {
+      enabled: true,
+      priority: 3,
+      baseUrl:
+        process.env.COINGECKO_BASE_URL || 'https://api.coingecko.com/api/v3',
+      apiKey: process.env.COINGECKO_API_KEY,
+      apiKeyHeader: 'x-cg-demo-api-key',
+      timeout: 10000,
+      rateLimit: rateLimit('COINGECKO_RATE_LIMIT', 30),
+      // Coin a bare symbol means when several CoinGecko coins share it
+      preferredCoinIds: {
+        BTC: 'bitcoin',
+        ETH: 'ethereum',
+        WETH: 'weth',
+        WBTC: 'wrapped-bitcoin',
+        USDC: 'usd-coin',
+        USDT: 'tether',
+        DAI: 'dai',
+        MATIC: 'matic-network',
+        LINK: 'chainlink',
+        UNI: 'uniswap',
+        AAVE: 'aave'
+      }
+    },
+    coinmarketcap: {
+      // Requests fail without a key, so only enable it when one is provided
+      enabled: !!process.env.COINMARKETCAP_API_KEY,
+      priority: 4,
+      baseUrl:
+        process.env.COINMARKETCAP_BASE_URL ||
+        'https://pro-api.coinmarketcap.com',
+      apiKey: process.env.COINMARKETCAP_API_KEY,
+      apiKeyHeader: 'X-CMC_PRO_API_KEY',
+      timeout: 10000,
+      rateLimit: rateLimit('COINMARKETCAP_RATE_LIMIT', 30)
+    },
+    binance: {
+      enabled: true,
+      priority: 5,
+      baseUrl: process.env.BINANCE_BASE_URL || 'https://api.binance.com',
+      timeout: 10000,
+      rateLimit: rateLimit('BINANCE_RATE_LIMIT', 1200)
+    }
+  };
+}
+
+// Read `{ "<provider>": { "enabled": true, "priority": 1, ... } }` from disk
+function readConfigFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+
+  try {
+    const contents = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    return contents.providers || contents;
+  } catch (error) {
+    console.error(
+      `❌ Failed to read provider config from ${resolvedPath}:`,
+      error.message
+    );
+    throw error;
+  }
+}
+
+/**
+ * Build the provider configuration from defaults, an optional JSON file
+ * (PRICE_PROVIDERS_CONFIG) and the PRICE_PROVIDERS env list, which both
+ * enables and orders providers, e.g. PRICE_PROVIDERS=chainlink,coingecko
+ * @returns {Object} Provider configuration keyed by provider name
+ */
+function loadProviderConfig() {
+  const config = getDefaultProviderConfig();
+
+  if (process.env.PRICE_PROVIDERS_CONFIG) {
+    const fileConfig = readConfigFile(process.env.PRICE_PROVIDERS_CONFIG);
+
+    Object.entries(fileConfig).forEach(([name, providerConfig]) => {
+      config[name] = { ...config[name], ...providerConfig };
+    });
+  }
+
+  if (process.env.PRICE_PROVIDERS) {
+    const order = process.env.PRICE_PROVIDERS.split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    Object.keys(config).forEach((name) => {
+      config[name].enabled = false;
+    });
+    order.forEach((name, index) => {
+      config[name] = { ...config[name], enabled: true, priority: index + 1 };
+    });
+  }
+
+  return config;
+}
+
+module.exports = {
+  getDefaultProviderConfig,
+  loadProviderConfig
+};
@@ -220,6 +220,10 @@ class RedisConnection {
   generateTokenKey(token, network) {
     return `token:${token}:${network}`;
   }
+
+  generateBlockKey(network, timestamp) {
+    return `block:${network}:${timestamp}`;
+  }
 }
 
 module.exports = new RedisConnection();
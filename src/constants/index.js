@@ -7,7 +7,10 @@
 const HTTP_STATUS = {
   OK: 200,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
@@ -53,15 +56,77 @@ const ORACLE_CONFIG = {
   MIN_UNIX_TIMESTAMP: 1438269960, // Ethereum genesis block timestamp
   MAX_CONFIDENCE_SCORE: 1.0,
   MIN_CONFIDENCE_SCORE: 0.1,
+  // Values of `source` in price responses, as accepted by `allowedSources`
+  PRICE_SOURCES: [
+    'alchemy',
+    'chainlink',
+    'external_api',
+    'aggregated',
+    'manual',
+    'interpolated',
+    'extrapolated'
+  ],
   INTERPOLATION: {
     MAX_TIME_GAP_HOURS: 48,
+    // Confidence at or above these is reported as high or medium, else low
     HIGH_CONFIDENCE_THRESHOLD: 0.8,
     MEDIUM_CONFIDENCE_THRESHOLD: 0.5,
+    // Starting confidence of an estimate between two observations, cut by
+    // the first matching move and gap penalty and near either observation
+    INTERPOLATED_CONFIDENCE: 0.8,
+    MOVE_PENALTIES: [
+      { change: 0.5, factor: 0.7 },
+      { change: 0.2, factor: 0.85 }
+    ],
+    GAP_PENALTIES: [
+      { hours: 48, factor: 0.8 },
+      { hours: 24, factor: 0.9 }
+    ],
+    EDGE_PENALTY: 0.9,
+    // Estimates outside the neighbours' range scaled by these are rejected
+    BOUNDS: { LOWER: 0.5, UPPER: 2 },
+    // Confidence bands span (1 - confidence) times the neighbours' spread,
+    // which is at least this fraction of the price
+    BAND_MIN_SPREAD: 0.02,
+    // Overrides of the limits above; stablecoins are the DEX_CONFIG ones
+    TOKEN_CLASSES: {
+      volatile: {},
+      stablecoin: {
+        MAX_TIME_GAP_HOURS: 168,
+        MOVE_PENALTIES: [
+          { change: 0.05, factor: 0.5 },
+          { change: 0.01, factor: 0.8 }
+        ],
+        GAP_PENALTIES: [{ hours: 72, factor: 0.9 }],
+        BOUNDS: { LOWER: 0.95, UPPER: 1.05 },
+        BAND_MIN_SPREAD: 0.002
+      }
+    },
     TIME_DECAY_FACTOR: 0.1,
     NEARBY_WEIGHT: 0.7,
     TREND_WEIGHT: 0.2,
     BASE_CONFIDENCE: 0.85,
-    MAX_DISTANCE_HOURS: 8
+    MAX_DISTANCE_HOURS: 8,
+    METHODS: [
+      'weighted_average',
+      'least_squares',
+      'monotone_cubic',
+      'log_linear'
+    ],
+    DEFAULT_METHOD: 'weighted_average',
+    // Observations either side of the target used by trend methods
+    TREND_WINDOW_DAYS: 7,
+    MIN_TREND_POINTS: 3,
+    // Observations projected from when extrapolating past collected history
+    EXTRAPOLATION_POINTS: 5,
+    // Stale estimates re-interpolated per sweep, and how often workers sweep
+    REFRESH_BATCH_SIZE: 500,
+    REFRESH_INTERVAL_MS: 15 * 60 * 1000
+  },
+  AGGREGATION: {
+    MAX_DEVIATION: 0.05, // Relative distance from the median before a quote is dropped
+    SINGLE_SOURCE_CONFIDENCE: 0.8, // Uncorroborated quotes
+    SPREAD_PENALTY: 0.5 // Confidence lost when accepted quotes sit at the deviation limit
   }
 };
 
@@ -70,13 +135,61 @@ const QUEUE_CONFIG = {
   MAX_RETRIES: 5,
   RETRY_DELAY: 100, // milliseconds
   BATCH_SIZE: 10,
+  // Longer collection jobs are split into child jobs of this size
+  MAX_TIMESTAMPS_PER_JOB: 500,
   CONCURRENCY: 3,
   REMOVE_ON_COMPLETE: 50,
   REMOVE_ON_FAIL: 100,
+  // Finished jobs are kept this long so job stats can cover the longest window
+  JOB_RETENTION_SECONDS: 7 * 24 * 60 * 60,
+  JOB_RETENTION_COUNT: 1000,
+  // Upper bound on jobs read per state when filtering or computing stats
+  JOB_SCAN_LIMIT: 5000,
+  JOB_STATS_WINDOWS: {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000
+  },
   DEFAULT_JOB_DELAY: 1000,
   HEALTH_CHECK_INTERVAL: 30000 // 30 seconds
 };
 
+// Upstream quotas shared by API processes and workers through Redis
+const RATE_LIMITER_CONFIG = {
+  KEY_PREFIX: 'ratelimit',
+  // Longest a call waits for a token before failing over to another provider
+  MAX_WAIT_MS: 10 * 1000,
+  DEFAULT_INTERVAL_MS: 60 * 1000,
+  // Alchemy JSON-RPC calls per interval unless ALCHEMY_RATE_LIMIT is set
+  RPC_BUCKET: 'alchemy',
+  RPC_DEFAULT_LIMIT: 100
+};
+
+// Collection job granularities, in seconds
+const GRANULARITIES = {
+  '1h': 60 * 60,
+  '4h': 4 * 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+// Cron patterns (UTC) for recurring incremental collection, run a few
+// minutes past each interval so the closing price is available
+const COLLECTION_SCHEDULES = {
+  '1h': '5 * * * *',
+  '4h': '5 */4 * * *',
+  '1d': '5 0 * * *'
+};
+
+// Range backfill for collection jobs
+const BACKFILL_CONFIG = {
+  // CoinGecko returns daily points for ranges longer than 90 days
+  RANGE_DAYS: 365,
+  // ...and hourly points for ranges up to 90 days
+  HOURLY_RANGE_DAYS: 90,
+  // Furthest a range point may sit from a job timestamp and still be used
+  MAX_POINT_DISTANCE_SECONDS: 12 * 60 * 60
+};
+
 // Worker Configuration
 const WORKER_CONFIG = {
   HEALTH_CHECK_INTERVAL: 300000, // 5 minutes
@@ -103,6 +216,109 @@ const NETWORKS = {
   AVALANCHE: 'avalanche'
 };
 
+// Block resolution configuration
+const BLOCK_CONFIG = {
+  // Average block time hints (seconds) used to estimate the search bracket
+  AVERAGE_BLOCK_TIME: {
+    ethereum: 12,
+    polygon: 2
+  },
+  CACHE_TTL: 24 * 60 * 60, // 1 day in seconds
+  HEAD_CACHE_TTL: 10 // targets at or past the latest block, in seconds
+};
+
+// On-chain DEX configuration (Uniswap V2/V3 and forks), keyed by network
+const DEX_CONFIG = {
+  ethereum: {
+    WETH: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+    USDC: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    STABLECOINS: [
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', // USDC
+      '0xdac17f958d2ee523a2206206994597c13d831ec7', // USDT
+      '0x6b175474e89094c44da98b954eedeac495271d0f' // DAI
+    ],
+    V2_FACTORY: '0x5c69bee701ef814a2b6a3edd4b1652cb9cc5aa6f', // Uniswap V2
+    V3_FACTORY: '0x1f98431c8ad98523631ae4a59f267346ea31f984'
+  },
+  polygon: {
+    WETH: '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619',
+    USDC: '0x2791bca1f2de4661ed88a30c99a7a9449aa84174',
+    STABLECOINS: [
+      '0x2791bca1f2de4661ed88a30c99a7a9449aa84174', // USDC.e
+      '0xc2132d05d31c914a87c6611c10748aeb04b58e8f', // USDT
+      '0x8f3cf7ad23cd3cadbd9735aff958023239c6a063' // DAI
+    ],
+    V2_FACTORY: '0x5757371414417b8c6caad45baef941abc7d3ab32', // QuickSwap (V2 fork)
+    V3_FACTORY: '0x1f98431c8ad98523631ae4a59f267346ea31f984'
+  },
+  V3_FEE_TIERS: [500, 3000, 10000, 100],
+  ZERO_ADDRESS: '0x0000000000000000000000000000000000000000'
+};
+
+// Chainlink aggregator proxies (USD-denominated), keyed by network and token
+const CHAINLINK_CONFIG = {
+  FEEDS: {
+    ethereum: {
+      '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': {
+        pair: 'ETH/USD',
+        proxy: '0x5f4ec3df9cbd43714fe2740f5e3616155c5b8419'
+      },
+      '0x514910771af9ca656af840dff83e8264ecf986ca': {
+        pair: 'LINK/USD',
+        proxy: '0x2c1d072e956affc0d435cb7ac38ef18d24d9127c'
+      },
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': {
+        pair: 'USDC/USD',
+        proxy: '0x8fffffd4afb6115b954bd326cbe7b4ba576818f6'
+      },
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': {
+        pair: 'USDT/USD',
+        proxy: '0x3e7d1eab13ad0104d2750b8863b489d65364e32d'
+      },
+      '0x6b175474e89094c44da98b954eedeac495271d0f': {
+        pair: 'DAI/USD',
+        proxy: '0xaed0c38402a5d19df6e4c03f4e2dced6e29c1ee9'
+      },
+      '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984': {
+        pair: 'UNI/USD',
+        proxy: '0x553303d460ee0afb37edff9be42922d8ff63220e'
+      },
+      '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9': {
+        pair: 'AAVE/USD',
+        proxy: '0x547a514d5e3769680ce22b2361c10ea13619e8a9'
+      }
+    },
+    polygon: {
+      '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619': {
+        pair: 'ETH/USD',
+        proxy: '0xf9680d99d6c9589e2a93a78a04a279e509205945'
+      },
+      '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270': {
+        pair: 'MATIC/USD',
+        proxy: '0xab594600376ec9fd91f8e885dadf0ce036862de0'
+      },
+      '0x53e0bca35ec356bd5dddfebbd1fc0fd03fabad39': {
+        pair: 'LINK/USD',
+        proxy: '0xd9ffdb71ebe7496cc440152d43986aae0ab76665'
+      },
+      '0x2791bca1f2de4661ed88a30c99a7a9449aa84174': {
+        pair: 'USDC/USD',
+        proxy: '0xfe4a8cc5b5b2366c1b58bea3858e81843581b2f7'
+      },
+      '0xc2132d05d31c914a87c6611c10748aeb04b58e8f': {
+        pair: 'USDT/USD',
+        proxy: '0x0a6513e40db6eb1b165753ad52e80663aea50545'
+      },
+      '0x8f3cf7ad23cd3cadbd9735aff958023239c6a063': {
+        pair: 'DAI/USD',
+        proxy: '0x4746dec9e833a82ec7c2c1356372ccf2cfcd2f3d'
+      }
+    }
+  },
+  MAX_ROUND_STEPS: 50, // rounds walked backwards before giving up
+  MAX_STALENESS_SECONDS: 2 * 24 * 60 * 60 // answers older than 2 days are ignored
+};
+
 // Test Configuration
 const TEST_CONFIG = {
   TIMEOUT: {
@@ -120,8 +336,15 @@ module.exports = {
   CACHE_TTL,
   ORACLE_CONFIG,
   QUEUE_CONFIG,
+  RATE_LIMITER_CONFIG,
+  GRANULARITIES,
+  COLLECTION_SCHEDULES,
+  BACKFILL_CONFIG,
   WORKER_CONFIG,
   VALIDATION_LIMITS,
   NETWORKS,
+  BLOCK_CONFIG,
+  DEX_CONFIG,
+  CHAINLINK_CONFIG,
   TEST_CONFIG
 };
@@ -1,26 +1,54 @@
 const oracleService = require('../services/oracleService');
 const interpolationService = require('../services/interpolationService');
 const queueService = require('../services/queueService');
+const blockService = require('../services/blockService');
+const collectionScheduleService = require('../services/collectionScheduleService');
+const deadLetterService = require('../services/deadLetterService');
+
+// Comment lines keep idle SSE connections open through proxies
+const SSE_HEARTBEAT_MS = 15000;
+const FINISHED_STATES = ['completed', 'failed'];
 
 class OracleController {
   // POST /api/oracle/price
   async getTokenPrice(req, res) {
     try {
-      const { token, network, timestamp } = req.body;
+      const {
+        token,
+        network,
+        timestamp,
+        method,
+        extrapolate,
+        minConfidence,
+        allowedSources
+      } = req.body;
 
       console.log(`🔍 Price request: ${token} on ${network} at ${timestamp}`);
 
       const result = await oracleService.getTokenPriceAtTimestamp(
         token,
         network,
-        timestamp
+        timestamp,
+        { method, extrapolate, minConfidence, allowedSources }
       );
 
-      res.json({
+      // Unseen tokens answer 202 while their history is backfilled
+      res.status(result.status === 'pending' ? 202 : 200).json({
         success: true,
         data: result
       });
     } catch (error) {
+      // Prices exist but none is good enough; show the caller the best one
+      if (error.code === 'PRICE_REQUIREMENTS_NOT_MET') {
+        return res.status(422).json({
+          success: false,
+          error: 'No price meets the requested requirements',
+          message: error.message,
+          requirements: error.requirements,
+          bestCandidate: error.candidate
+        });
+      }
+
       console.error('Error in getTokenPrice:', error);
       res.status(500).json({
         success: false,
@@ -33,21 +61,41 @@ class OracleController {
   // POST /api/oracle/schedule
   async scheduleDataCollection(req, res) {
     try {
-      const { token, network } = req.body;
+      const { token, network, priority, startDate, endDate, granularity } =
+        req.body;
 
       console.log(`📅 Scheduling data collection for ${token} on ${network}`);
 
       const job = await oracleService.scheduleHistoricalDataCollection(
         token,
-        network
+        network,
+        { priority, startDate, endDate, granularity }
       );
 
+      // Every requested interval is already stored
+      if (!job) {
+        return res.json({
+          success: true,
+          data: {
+            jobId: null,
+            token,
+            network,
+            status: 'complete',
+            message: 'Price data for the requested period is already stored'
+          }
+        });
+      }
+
       res.json({
         success: true,
         data: {
           jobId: job.id,
           token,
           network,
+          priority,
+          granularity: job.data.granularity,
+          timestamps: job.data.totalTimestamps || job.data.timestamps.length,
+          skippedTimestamps: job.data.skippedTimestamps,
           status: 'scheduled',
           message: 'Data collection job has been scheduled'
         }
@@ -62,6 +110,120 @@ class OracleController {
     }
   }
 
+  // GET /api/oracle/schedules
+  async getCollectionSchedules(req, res, next) {
+    try {
+      const schedules = await collectionScheduleService.listSchedules();
+
+      res.json({
+        success: true,
+        data: schedules
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/schedules
+  async createCollectionSchedule(req, res, next) {
+    try {
+      const { tokenId, granularity } = req.body;
+
+      const schedule = await collectionScheduleService.scheduleToken(
+        tokenId,
+        granularity
+      );
+
+      res.status(201).json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/schedules/:id/pause
+  async pauseCollectionSchedule(req, res, next) {
+    try {
+      const schedule = await collectionScheduleService.pauseSchedule(
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/schedules/:id/resume
+  async resumeCollectionSchedule(req, res, next) {
+    try {
+      const schedule = await collectionScheduleService.resumeSchedule(
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // DELETE /api/oracle/schedules/:id
+  async removeCollectionSchedule(req, res, next) {
+    try {
+      await collectionScheduleService.removeSchedule(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Collection schedule removed'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/oracle/failures
+  async getFailures(req, res, next) {
+    try {
+      const { failures, pagination } = await deadLetterService.listFailures(
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data: failures,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/failures/retry
+  async retryFailures(req, res, next) {
+    try {
+      const result = await deadLetterService.retryFailures(req.body);
+
+      res.json({
+        success: true,
+        data: {
+          ...result,
+          status: 'scheduled',
+          message: 'Failed timestamps have been re-enqueued'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // GET /api/oracle/status/:jobId
   async getJobStatus(req, res) {
     try {
@@ -90,24 +252,104 @@ class OracleController {
     }
   }
 
+  // GET /api/oracle/status/:jobId/stream
+  async streamJobStatus(req, res) {
+    const { jobId } = req.params;
+    let unsubscribe = null;
+    let heartbeat = null;
+    // Events that arrive before the headers are written wait here
+    let pending = [];
+
+    const close = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      // Subscribe before reading the state so no event slips in between
+      unsubscribe = await queueService.subscribeToJob(jobId, (event, data) => {
+        if (pending) {
+          pending.push([event, data]);
+          return;
+        }
+        send(event, data);
+        if (FINISHED_STATES.includes(event)) close();
+      });
+
+      const status = await queueService.getJobStatus(jobId);
+
+      if (!status) {
+        unsubscribe();
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      send('status', status);
+
+      const queued = pending;
+      pending = null;
+
+      if (FINISHED_STATES.includes(status.state)) {
+        return close();
+      }
+
+      for (const [event, data] of queued) {
+        send(event, data);
+        if (FINISHED_STATES.includes(event)) return close();
+      }
+
+      heartbeat = setInterval(
+        () => res.write(': heartbeat\n\n'),
+        SSE_HEARTBEAT_MS
+      );
+      req.on('close', close);
+    } catch (error) {
+      console.error('Error in streamJobStatus:', error);
+      if (unsubscribe) unsubscribe();
+
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream job status',
+        message: error.message
+      });
+    }
+  }
+
   // GET /api/oracle/jobs
   async getAllJobs(req, res) {
     try {
-      const { status, limit = 50, offset = 0 } = req.query;
+      const { status, limit, offset, token, network } = req.query;
 
-      const jobs = await queueService.getAllJobs({
+      const { jobs, total } = await queueService.getAllJobs({
         status,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
+        limit,
+        offset,
+        token,
+        network
       });
 
       res.json({
         success: true,
         data: jobs,
         pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          total: jobs.length
+          limit,
+          offset,
+          total
         }
       });
     } catch (error) {
@@ -120,6 +362,17 @@ class OracleController {
     }
   }
 
+  // GET /api/oracle/jobs/stats
+  async getJobStats(req, res, next) {
+    try {
+      const stats = await queueService.getJobStats();
+
+      res.json({ success: true, data: stats });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // DELETE /api/oracle/jobs/:jobId
   async cancelJob(req, res) {
     try {
@@ -152,6 +405,81 @@ class OracleController {
     }
   }
 
+  // POST /api/oracle/jobs/:jobId/retry
+  async retryJob(req, res, next) {
+    try {
+      const result = await queueService.retryJob(req.params.jobId);
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/jobs/:jobId/promote
+  async promoteJob(req, res, next) {
+    try {
+      const result = await queueService.promoteJob(req.params.jobId);
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // PATCH /api/oracle/jobs/:jobId/priority
+  async changeJobPriority(req, res, next) {
+    try {
+      const result = await queueService.changeJobPriority(
+        req.params.jobId,
+        req.body.priority
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/queue/pause
+  async pauseQueue(req, res, next) {
+    try {
+      const result = await queueService.pauseQueue();
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/queue/resume
+  async resumeQueue(req, res, next) {
+    try {
+      const result = await queueService.resumeQueue();
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // POST /api/oracle/queue/clean
+  async cleanQueue(req, res, next) {
+    try {
+      const { state, olderThanHours, limit } = req.body;
+
+      const result = await queueService.cleanJobs(
+        state,
+        olderThanHours * 60 * 60 * 1000,
+        limit
+      );
+
+      res.json({ success: true, data: { ...result, olderThanHours } });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // GET /api/oracle/health
   async healthCheck(req, res) {
     try {
@@ -176,7 +504,7 @@ class OracleController {
   // GET /api/oracle/interpolate (for testing interpolation)
   async testInterpolation(req, res) {
     try {
-      const { token, network, timestamp } = req.query;
+      const { token, network, timestamp, method, extrapolate } = req.query;
 
       if (!token || !network || !timestamp) {
         return res.status(400).json({
@@ -188,7 +516,9 @@ class OracleController {
       const result = await interpolationService.interpolatePrice(
         token,
         network,
-        parseInt(timestamp)
+        parseInt(timestamp),
+        method,
+        { extrapolate }
       );
 
       res.json({
@@ -205,6 +535,40 @@ class OracleController {
     }
   }
 
+  // POST /api/oracle/interpolations/refresh
+  async refreshInterpolations(req, res, next) {
+    try {
+      const result = await interpolationService.refreshStaleEstimates(
+        req.body.limit
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /api/oracle/block
+  async getBlockByTimestamp(req, res) {
+    try {
+      const { network, timestamp } = req.query;
+
+      const block = await blockService.getBlockByTimestamp(network, timestamp);
+
+      res.json({
+        success: true,
+        data: block
+      });
+    } catch (error) {
+      console.error('Error in getBlockByTimestamp:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resolve block for timestamp',
+        message: error.message
+      });
+    }
+  }
+
   // GET /api/oracle/stats
   async getStats(req, res) {
     try {
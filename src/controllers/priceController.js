@@ -1,4 +1,23 @@
 const priceService = require('../services/priceService');
+const tokenResolutionService = require('../services/tokenResolutionService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Token resolution failures (unknown or ambiguous tokens) keep their status
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.candidates && { candidates: error.candidates })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+};
 
 class PriceController {
   // Get current price for a token
@@ -15,7 +34,7 @@ class PriceController {
       }
 
       const price = await priceService.getTokenPrice(
-        symbol.toUpperCase(),
+        symbol,
         currency.toUpperCase()
       );
 
@@ -32,11 +51,7 @@ class PriceController {
       });
     } catch (error) {
       console.error('Error getting token price:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch token price',
-        message: error.message
-      });
+      sendError(res, error, 'Failed to fetch token price');
     }
   }
 
@@ -54,7 +69,7 @@ class PriceController {
       }
 
       const history = await priceService.getTokenPriceHistory(
-        symbol.toUpperCase(),
+        symbol,
         period,
         currency.toUpperCase(),
         interval
@@ -64,7 +79,7 @@ class PriceController {
         success: true,
         data: history,
         parameters: {
-          symbol: symbol.toUpperCase(),
+          symbol: tokenResolutionService.normalizeIdentifier(symbol),
           period,
           currency: currency.toUpperCase(),
           interval
@@ -72,11 +87,7 @@ class PriceController {
       });
     } catch (error) {
       console.error('Error getting token price history:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch price history',
-        message: error.message
-      });
+      sendError(res, error, 'Failed to fetch price history');
     }
   }
 
@@ -99,9 +110,8 @@ class PriceController {
         });
       }
 
-      const upperCaseSymbols = symbols.map((symbol) => symbol.toUpperCase());
       const prices = await priceService.getBulkTokenPrices(
-        upperCaseSymbols,
+        symbols,
         currency.toUpperCase()
       );
 
@@ -134,7 +144,7 @@ class PriceController {
       }
 
       const chartData = await priceService.getTokenChartData(
-        symbol.toUpperCase(),
+        symbol,
         period,
         currency.toUpperCase(),
         parseInt(points)
@@ -144,7 +154,7 @@ class PriceController {
         success: true,
         data: chartData,
         parameters: {
-          symbol: symbol.toUpperCase(),
+          symbol: tokenResolutionService.normalizeIdentifier(symbol),
           period,
           currency: currency.toUpperCase(),
           points: parseInt(points)
@@ -152,11 +162,7 @@ class PriceController {
       });
     } catch (error) {
       console.error('Error getting token chart data:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch chart data',
-        message: error.message
-      });
+      sendError(res, error, 'Failed to fetch chart data');
     }
   }
 }
@@ -1,4 +1,5 @@
 const tokenService = require('../services/tokenService');
+const tokenRegistryService = require('../services/tokenRegistryService');
 
 class TokenController {
   // Get all supported tokens
@@ -94,6 +95,83 @@ class TokenController {
       });
     }
   }
+
+  // Register a token in the registry
+  async registerToken(req, res, next) {
+    try {
+      const token = await tokenRegistryService.registerToken(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: token
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List registered tokens
+  async getRegisteredTokens(req, res, next) {
+    try {
+      const { tokens, pagination } = await tokenRegistryService.listTokens(
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data: tokens,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a registered token by ID
+  async getRegisteredToken(req, res, next) {
+    try {
+      const token = await tokenRegistryService.getToken(req.params.id);
+
+      res.json({
+        success: true,
+        data: token
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a registered token
+  async updateToken(req, res, next) {
+    try {
+      const token = await tokenRegistryService.updateToken(
+        req.params.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        data: token
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove a token from the registry
+  async deleteToken(req, res, next) {
+    try {
+      const token = await tokenRegistryService.deleteToken(req.params.id);
+
+      res.json({
+        success: true,
+        message: `Token ${token.symbol} removed from registry`,
+        data: token
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new TokenController();
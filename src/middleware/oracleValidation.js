@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { GRANULARITIES, ORACLE_CONFIG } = require('../constants');
 
 // Ethereum address validation
 const ethereumAddressSchema = Joi.string()
@@ -28,12 +29,45 @@ const timestampSchema = Joi.number()
     'number.max': 'Timestamp cannot be more than 1 day in the future'
   });
 
+// Collection granularity validation
+const granularitySchema = Joi.string()
+  .valid(...Object.keys(GRANULARITIES))
+  .default('1d')
+  .messages({
+    'any.only': 'Granularity must be one of 1h, 4h or 1d'
+  });
+
+// Interpolation method validation
+const { METHODS } = ORACLE_CONFIG.INTERPOLATION;
+const interpolationMethodSchema = Joi.string()
+  .valid(...METHODS)
+  .optional()
+  .messages({
+    'any.only': `Method must be one of ${METHODS.join(', ')}`
+  });
+
+// Opt-in projection past the first or last collected price
+const extrapolateSchema = Joi.boolean().default(false);
+
+// MongoDB ObjectId validation
+const objectIdSchema = Joi.string().hex().length(24).required().messages({
+  'string.hex': '{#label} must be a valid ObjectId',
+  'string.length': '{#label} must be a valid ObjectId'
+});
+
 // Price request validation
 const validatePriceRequest = (req, res, next) => {
   const schema = Joi.object({
     token: ethereumAddressSchema,
     network: networkSchema,
-    timestamp: timestampSchema
+    timestamp: timestampSchema,
+    method: interpolationMethodSchema,
+    extrapolate: extrapolateSchema,
+    minConfidence: Joi.number().min(0).max(1).default(0),
+    allowedSources: Joi.array()
+      .items(Joi.string().valid(...ORACLE_CONFIG.PRICE_SOURCES))
+      .min(1)
+      .unique()
   });
 
   const { error, value } = schema.validate(req.body);
@@ -54,7 +88,11 @@ const validatePriceRequest = (req, res, next) => {
   req.body = {
     token: value.token.toLowerCase(),
     network: value.network.toLowerCase(),
-    timestamp: value.timestamp
+    timestamp: value.timestamp,
+    method: value.method,
+    extrapolate: value.extrapolate,
+    minConfidence: value.minConfidence,
+    allowedSources: value.allowedSources
   };
 
   next();
@@ -65,6 +103,7 @@ const validateScheduleRequest = (req, res, next) => {
   const schema = Joi.object({
     token: ethereumAddressSchema,
     network: networkSchema,
+    // BullMQ priority: 1 runs first
     priority: Joi.number().integer().min(1).max(10).default(5).messages({
       'number.min': 'Priority must be between 1 and 10',
       'number.max': 'Priority must be between 1 and 10'
@@ -75,7 +114,8 @@ const validateScheduleRequest = (req, res, next) => {
     endDate: Joi.date().iso().optional().min(Joi.ref('startDate')).messages({
       'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
       'date.min': 'End date must be after start date'
-    })
+    }),
+    granularity: granularitySchema
   });
 
   const { error, value } = schema.validate(req.body);
@@ -98,7 +138,8 @@ const validateScheduleRequest = (req, res, next) => {
     network: value.network.toLowerCase(),
     priority: value.priority,
     startDate: value.startDate,
-    endDate: value.endDate
+    endDate: value.endDate,
+    granularity: value.granularity
   };
 
   next();
@@ -106,10 +147,15 @@ const validateScheduleRequest = (req, res, next) => {
 
 // Job ID validation
 const validateJobId = (req, res, next) => {
-  const schema = Joi.string().alphanum().required().messages({
-    'string.alphanum': 'Job ID must be alphanumeric',
-    'any.required': 'Job ID is required'
-  });
+  // Custom ids such as backfill-ethereum-0x... use dashes and colons
+  const schema = Joi.string()
+    .pattern(/^[\w:-]+$/)
+    .max(200)
+    .required()
+    .messages({
+      'string.pattern.base': 'Job ID contains invalid characters',
+      'any.required': 'Job ID is required'
+    });
 
   const { error, value } = schema.validate(req.params.jobId);
 
@@ -129,7 +175,15 @@ const validateJobId = (req, res, next) => {
 const validateJobsQuery = (req, res, next) => {
   const schema = Joi.object({
     status: Joi.string()
-      .valid('waiting', 'active', 'completed', 'failed', 'delayed')
+      .valid(
+        'waiting',
+        'prioritized',
+        'active',
+        'completed',
+        'failed',
+        'delayed',
+        'waiting-children'
+      )
       .optional(),
     limit: Joi.number().integer().min(1).max(1000).default(50),
     offset: Joi.number().integer().min(0).default(0),
@@ -160,7 +214,9 @@ const validateInterpolationTest = (req, res, next) => {
   const schema = Joi.object({
     token: ethereumAddressSchema,
     network: networkSchema,
-    timestamp: timestampSchema
+    timestamp: timestampSchema,
+    method: interpolationMethodSchema,
+    extrapolate: extrapolateSchema
   });
 
   const { error, value } = schema.validate(req.query);
@@ -179,6 +235,37 @@ const validateInterpolationTest = (req, res, next) => {
 
   req.query = {
     token: value.token.toLowerCase(),
+    network: value.network.toLowerCase(),
+    timestamp: value.timestamp,
+    method: value.method,
+    extrapolate: value.extrapolate
+  };
+
+  next();
+};
+
+// Block-by-timestamp query validation
+const validateBlockQuery = (req, res, next) => {
+  const schema = Joi.object({
+    network: networkSchema,
+    timestamp: timestampSchema
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context.value
+      }))
+    });
+  }
+
+  req.query = {
     network: value.network.toLowerCase(),
     timestamp: value.timestamp
   };
@@ -240,12 +327,88 @@ const createValidationMiddleware = (schema, source = 'body') => {
   };
 };
 
+// Recurring collection schedule validation
+const validateCollectionSchedule = createValidationMiddleware(
+  Joi.object({
+    tokenId: objectIdSchema,
+    granularity: granularitySchema
+  })
+);
+
+const validateCollectionScheduleId = createValidationMiddleware(
+  Joi.object({
+    id: objectIdSchema
+  }),
+  'params'
+);
+
+// Dead-letter listing and retry validation
+const validateFailuresQuery = createValidationMiddleware(
+  Joi.object({
+    token: ethereumAddressSchema.optional(),
+    network: networkSchema.optional(),
+    status: Joi.string().valid('failed', 'retrying').optional(),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+  'query'
+);
+
+const validateFailuresRetry = createValidationMiddleware(
+  Joi.object({
+    ids: Joi.array().items(objectIdSchema).min(1).max(1000),
+    token: ethereumAddressSchema.optional(),
+    network: networkSchema.optional()
+  })
+    .or('ids', 'token')
+    .with('token', 'network')
+    .messages({
+      'object.missing': 'Provide failure ids or a token and network to retry'
+    })
+);
+
+// Queue administration validation
+const validateJobPriority = createValidationMiddleware(
+  Joi.object({
+    // Same range the schedule endpoint accepts; 1 runs first
+    priority: Joi.number().integer().min(1).max(10).required()
+  })
+);
+
+const validateQueueClean = createValidationMiddleware(
+  Joi.object({
+    state: Joi.string()
+      .valid('completed', 'failed', 'delayed', 'wait', 'paused', 'prioritized')
+      .required(),
+    olderThanHours: Joi.number().min(0).default(24),
+    limit: Joi.number().integer().min(1).max(10000).default(1000)
+  })
+);
+
+const validateInterpolationRefresh = createValidationMiddleware(
+  Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(10000)
+      .default(ORACLE_CONFIG.INTERPOLATION.REFRESH_BATCH_SIZE)
+  })
+);
+
 module.exports = {
   validatePriceRequest,
   validateScheduleRequest,
+  validateCollectionSchedule,
+  validateCollectionScheduleId,
+  validateFailuresQuery,
+  validateFailuresRetry,
+  validateJobPriority,
+  validateQueueClean,
   validateJobId,
   validateJobsQuery,
   validateInterpolationTest,
+  validateInterpolationRefresh,
+  validateBlockQuery,
   validateBulkOperation,
   createValidationMiddleware,
 
@@ -253,6 +416,9 @@ module.exports = {
   schemas: {
     ethereumAddress: ethereumAddressSchema,
     network: networkSchema,
-    timestamp: timestampSchema
+    timestamp: timestampSchema,
+    granularity: granularitySchema,
+    interpolationMethod: interpolationMethodSchema,
+    objectId: objectIdSchema
   }
 };
@@ -0,0 +1,68 @@
+const Joi = require('joi');
+const { createValidationMiddleware, schemas } = require('./oracleValidation');
+const { ORACLE_CONFIG } = require('../constants');
+
+const urlSchema = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .allow(null, '')
+  .messages({
+    'string.uri': '{#label} must be a valid http(s) URL'
+  });
+
+// Fields callers may set; anything missing on creation is filled from Alchemy
+const tokenFields = {
+  symbol: Joi.string().trim().max(20),
+  name: Joi.string().trim().max(100),
+  decimals: Joi.number().integer().min(0).max(18),
+  logo: urlSchema,
+  description: Joi.string().max(1000).allow(''),
+  website: urlSchema,
+  creationTimestamp: Joi.number()
+    .integer()
+    .min(ORACLE_CONFIG.MIN_UNIX_TIMESTAMP),
+  isActive: Joi.boolean(),
+  metadata: Joi.object()
+};
+
+// Token registration validation
+const validateTokenCreate = createValidationMiddleware(
+  Joi.object({
+    address: schemas.ethereumAddress,
+    network: schemas.network,
+    ...tokenFields
+  })
+);
+
+// Address and network identify a token and cannot be changed
+const validateTokenUpdate = createValidationMiddleware(
+  Joi.object(tokenFields).min(1).messages({
+    'object.min': 'At least one field must be provided'
+  })
+);
+
+const validateTokenId = createValidationMiddleware(
+  Joi.object({
+    id: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Token ID must be a valid ObjectId',
+      'string.length': 'Token ID must be a valid ObjectId'
+    })
+  }),
+  'params'
+);
+
+const validateTokenListQuery = createValidationMiddleware(
+  Joi.object({
+    network: schemas.network.optional(),
+    isActive: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+  'query'
+);
+
+module.exports = {
+  validateTokenCreate,
+  validateTokenUpdate,
+  validateTokenId,
+  validateTokenListQuery
+};
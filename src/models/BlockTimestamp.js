@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const blockTimestampSchema = new mongoose.Schema(
+  {
+    network: {
+      type: String,
+      required: true,
+      enum: ['ethereum', 'polygon'],
+      lowercase: true
+    },
+    timestamp: {
+      type: Number,
+      required: true
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    blockTimestamp: {
+      type: Number,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'block_timestamps'
+  }
+);
+
+// One resolution per requested timestamp; block timestamps used for bracketing
+blockTimestampSchema.index({ network: 1, timestamp: 1 }, { unique: true });
+blockTimestampSchema.index({ network: 1, blockTimestamp: 1 });
+
+// Methods
+blockTimestampSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+blockTimestampSchema.statics.findBracket = function(network, timestamp) {
+  return Promise.all([
+    // Latest known block at or before the target
+    this.findOne({
+      network: network.toLowerCase(),
+      blockTimestamp: { $lte: timestamp }
+    }).sort({ blockTimestamp: -1 }),
+
+    // Earliest known block after the target
+    this.findOne({
+      network: network.toLowerCase(),
+      blockTimestamp: { $gt: timestamp }
+    }).sort({ blockTimestamp: 1 })
+  ]);
+};
+
+module.exports = mongoose.model('BlockTimestamp', blockTimestampSchema);
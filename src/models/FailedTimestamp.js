@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { GRANULARITIES } = require('../constants');
+
+// Dead-letter record for a timestamp a collection job could not price
+const failedTimestampSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: 'Token must be a valid Ethereum address'
+      }
+    },
+    network: {
+      type: String,
+      required: true,
+      enum: ['ethereum', 'polygon'],
+      lowercase: true
+    },
+    timestamp: {
+      type: Number,
+      required: true
+    },
+    granularity: {
+      type: String,
+      required: false,
+      enum: Object.keys(GRANULARITIES)
+    },
+    error: {
+      type: String,
+      required: true
+    },
+    // Fetch attempts across every job that tried this timestamp
+    attempts: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ['failed', 'retrying'],
+      default: 'failed'
+    },
+    jobId: {
+      type: String,
+      required: false
+    },
+    retryJobId: {
+      type: String,
+      required: false
+    },
+    lastFailedAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'failed_timestamps'
+  }
+);
+
+failedTimestampSchema.index(
+  { token: 1, network: 1, timestamp: 1 },
+  { unique: true }
+);
+failedTimestampSchema.index({ status: 1, lastFailedAt: -1 });
+
+// Methods
+failedTimestampSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+failedTimestampSchema.statics.recordFailure = function({
+  token,
+  network,
+  timestamp,
+  granularity,
+  error,
+  attempts = 1,
+  jobId
+}) {
+  return this.updateOne(
+    {
+      token: token.toLowerCase(),
+      network: network.toLowerCase(),
+      timestamp
+    },
+    {
+      $set: {
+        granularity,
+        error,
+        jobId,
+        status: 'failed',
+        lastFailedAt: new Date()
+      },
+      $unset: { retryJobId: '' },
+      $inc: { attempts }
+    },
+    { upsert: true }
+  );
+};
+
+failedTimestampSchema.statics.resolve = function(token, network, timestamp) {
+  return this.deleteOne({
+    token: token.toLowerCase(),
+    network: network.toLowerCase(),
+    timestamp
+  });
+};
+
+failedTimestampSchema.statics.resolveMany = function(
+  token,
+  network,
+  timestamps
+) {
+  return this.deleteMany({
+    token: token.toLowerCase(),
+    network: network.toLowerCase(),
+    timestamp: { $in: timestamps }
+  });
+};
+
+module.exports = mongoose.model('FailedTimestamp', failedTimestampSchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { ORACLE_CONFIG } = require('../constants');
+
+// Estimated price between two observations, kept apart from token_prices so
+// estimates are never mistaken for, or interpolated from, real data
+const interpolatedPriceSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: 'Token must be a valid Ethereum address'
+      }
+    },
+    network: {
+      type: String,
+      required: true,
+      enum: ['ethereum', 'polygon'],
+      lowercase: true
+    },
+    timestamp: {
+      type: Number,
+      required: true
+    },
+    date: {
+      type: Date,
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    confidence: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1
+    },
+    method: {
+      type: String,
+      required: true,
+      enum: ORACLE_CONFIG.INTERPOLATION.METHODS
+    },
+    // Observations the estimate was made from
+    beforeTimestamp: {
+      type: Number,
+      required: true
+    },
+    afterTimestamp: {
+      type: Number,
+      required: true
+    },
+    beforePrice: {
+      type: Number,
+      required: false
+    },
+    afterPrice: {
+      type: Number,
+      required: false
+    },
+    // Set when an observation lands between beforeTimestamp and afterTimestamp
+    isStale: {
+      type: Boolean,
+      required: true,
+      default: false
+    },
+    staleSince: {
+      type: Date,
+      required: false
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'interpolated_prices'
+  }
+);
+
+interpolatedPriceSchema.index(
+  { token: 1, network: 1, timestamp: 1 },
+  { unique: true }
+);
+interpolatedPriceSchema.index({
+  token: 1,
+  network: 1,
+  beforeTimestamp: 1,
+  afterTimestamp: 1
+});
+interpolatedPriceSchema.index({ isStale: 1, staleSince: 1 });
+
+// Methods
+interpolatedPriceSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Static methods
+/**
+ * Drop estimates superseded by new observations and flag those whose gap
+ * the observations fall into. Gaps are matched against the observations'
+ * overall range, which may flag a few extra estimates for a refresh.
+ * @returns {Promise<number[]>} Timestamps whose estimate was dropped or flagged
+ */
+interpolatedPriceSchema.statics.invalidate = async function(
+  token,
+  network,
+  timestamps
+) {
+  if (timestamps.length === 0) {
+    return [];
+  }
+
+  const query = {
+    token: token.toLowerCase(),
+    network: network.toLowerCase()
+  };
+
+  await this.deleteMany({ ...query, timestamp: { $in: timestamps } });
+  const stale = await this.find({
+    ...query,
+    isStale: false,
+    beforeTimestamp: { $lt: Math.max(...timestamps) },
+    afterTimestamp: { $gt: Math.min(...timestamps) }
+  }).select('timestamp');
+
+  await this.updateMany(
+    { _id: { $in: stale.map((estimate) => estimate._id) } },
+    { $set: { isStale: true, staleSince: new Date() } }
+  );
+
+  return [...timestamps, ...stale.map((estimate) => estimate.timestamp)];
+};
+
+module.exports = mongoose.model('InterpolatedPrice', interpolatedPriceSchema);
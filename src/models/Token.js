@@ -1,11 +1,11 @@
 const mongoose = require("mongoose");
+const { GRANULARITIES } = require("../constants");
 
 const tokenSchema = new mongoose.Schema(
   {
     address: {
       type: String,
       required: true,
-      unique: true,
       lowercase: true,
       trim: true,
       validate: {
@@ -81,6 +81,28 @@ const tokenSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Recurring incremental collection; unset for untracked tokens
+    collectionSchedule: {
+      granularity: {
+        type: String,
+        enum: Object.keys(GRANULARITIES),
+      },
+      isPaused: {
+        type: Boolean,
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
+    // Automatic backfill queued on the first query; never queued again
+    initialBackfill: {
+      jobId: {
+        type: String,
+      },
+      requestedAt: {
+        type: Date,
+      },
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       required: false,
@@ -97,6 +119,7 @@ tokenSchema.index({ address: 1, network: 1 }, { unique: true });
 tokenSchema.index({ symbol: 1, network: 1 });
 tokenSchema.index({ network: 1, isActive: 1 });
 tokenSchema.index({ creationTimestamp: 1 });
+tokenSchema.index({ "collectionSchedule.granularity": 1 });
 
 // Methods
 tokenSchema.methods.toJSON = function () {
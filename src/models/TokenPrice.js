@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const InterpolatedPrice = require('./InterpolatedPrice');
+const redisConnection = require('../config/redis');
+const { GRANULARITIES } = require('../constants');
+
+// Rows written before estimates moved to interpolated_prices
+const OBSERVED = { source: { $ne: 'interpolated' } };
 
 const tokenPriceSchema = new mongoose.Schema(
   {
@@ -55,9 +61,22 @@ const tokenPriceSchema = new mongoose.Schema(
     source: {
       type: String,
       required: true,
-      enum: ['alchemy', 'interpolated', 'external_api', 'manual'],
+      enum: [
+        'alchemy',
+        'chainlink',
+        'interpolated',
+        'external_api',
+        'aggregated',
+        'manual'
+      ],
       default: 'alchemy'
     },
+    // Collection job resolution; unset for on-demand observations
+    granularity: {
+      type: String,
+      required: false,
+      enum: Object.keys(GRANULARITIES)
+    },
     confidence: {
       type: Number,
       required: false,
@@ -76,12 +95,46 @@ const tokenPriceSchema = new mongoose.Schema(
   }
 );
 
-// Compound indexes for efficient queries
-tokenPriceSchema.index({ token: 1, network: 1, date: 1 }, { unique: true });
-tokenPriceSchema.index({ token: 1, network: 1, timestamp: 1 });
+// Compound indexes for efficient queries. One price per token per second, so
+// intraday points coexist; `dropLegacyDateIndex` migrates older deployments.
+tokenPriceSchema.index(
+  { token: 1, network: 1, timestamp: 1 },
+  { unique: true }
+);
+tokenPriceSchema.index({ token: 1, network: 1, date: 1 });
+tokenPriceSchema.index({ token: 1, network: 1, granularity: 1, timestamp: 1 });
 tokenPriceSchema.index({ network: 1, date: 1 });
 tokenPriceSchema.index({ source: 1, date: 1 });
 
+// Estimates are refreshed by the sweep, so a failed invalidation only warns.
+// Cached prices at the affected timestamps go too, so the estimates stop
+// being served before their TTL runs out.
+async function invalidateEstimates(token, network, timestamps) {
+  try {
+    const affected = await InterpolatedPrice.invalidate(
+      token,
+      network,
+      timestamps
+    );
+
+    if (redisConnection.isConnected) {
+      for (const timestamp of affected) {
+        await redisConnection.del(
+          redisConnection.generatePriceKey(
+            token.toLowerCase(),
+            network.toLowerCase(),
+            timestamp
+          )
+        );
+      }
+    }
+  } catch (error) {
+    console.warn(
+      `⚠️ Could not invalidate interpolated prices for ${token}: ${error.message}`
+    );
+  }
+}
+
 // Methods
 tokenPriceSchema.methods.toJSON = function() {
   const obj = this.toObject();
@@ -107,6 +160,7 @@ tokenPriceSchema.statics.findByTokenAndNetwork = function(
   return this.find(query).sort({ date: 1 });
 };
 
+// Nearest observations either side of the target
 tokenPriceSchema.statics.findNearestPrices = function(
   token,
   network,
@@ -117,22 +171,69 @@ tokenPriceSchema.statics.findNearestPrices = function(
     this.findOne({
       token: token.toLowerCase(),
       network: network.toLowerCase(),
-      timestamp: { $lte: targetTimestamp }
+      timestamp: { $lte: targetTimestamp },
+      ...OBSERVED
     }).sort({ timestamp: -1 }),
 
     // Find price after target timestamp
     this.findOne({
       token: token.toLowerCase(),
       network: network.toLowerCase(),
-      timestamp: { $gte: targetTimestamp }
+      timestamp: { $gte: targetTimestamp },
+      ...OBSERVED
     }).sort({ timestamp: 1 })
   ]);
 };
 
+// Clear a pre-migration estimate holding the slot of a new observation
+tokenPriceSchema.statics.dropLegacyEstimate = function(
+  token,
+  network,
+  timestamp
+) {
+  return this.deleteOne({
+    token: token.toLowerCase(),
+    network: network.toLowerCase(),
+    timestamp,
+    source: 'interpolated'
+  });
+};
+
+// Deployments from before intraday collection keep a unique `{ token,
+// network, date }` index that rejects a second price per day. Processes drop
+// it on startup and rebuild the schema's non-unique index in its place.
+tokenPriceSchema.statics.dropLegacyDateIndex = async function() {
+  try {
+    const indexes = await this.collection.indexes();
+    const legacy = indexes.find(
+      (index) =>
+        index.unique && Object.keys(index.key).join() === 'token,network,date'
+    );
+
+    if (!legacy) {
+      return false;
+    }
+
+    await this.collection.dropIndex(legacy.name);
+    await this.createIndexes();
+    console.log(`🧹 Dropped legacy unique price index ${legacy.name}`);
+    return true;
+  } catch (error) {
+    // A fresh database has no collection to migrate yet
+    if (error.codeName !== 'NamespaceNotFound') {
+      console.warn(
+        `⚠️ Could not drop the legacy price index: ${error.message}`
+      );
+    }
+    return false;
+  }
+};
+
 tokenPriceSchema.statics.getLatestPrice = function(token, network) {
   return this.findOne({
     token: token.toLowerCase(),
-    network: network.toLowerCase()
+    network: network.toLowerCase(),
+    ...OBSERVED
   }).sort({ timestamp: -1 });
 };
 
@@ -149,7 +250,26 @@ tokenPriceSchema.statics.bulkUpsert = async function(priceData) {
     }
   }));
 
-  return this.bulkWrite(bulkOps);
+  const result = await this.bulkWrite(bulkOps);
+
+  const groups = new Map();
+  priceData.forEach((data) => {
+    const key = `${data.network.toLowerCase()}:${data.token.toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        token: data.token,
+        network: data.network,
+        timestamps: []
+      });
+    }
+    groups.get(key).timestamps.push(data.timestamp);
+  });
+
+  for (const { token, network, timestamps } of groups.values()) {
+    await invalidateEstimates(token, network, timestamps);
+  }
+
+  return result;
 };
 
 // Pre-save middleware
@@ -172,4 +292,11 @@ tokenPriceSchema.pre('save', function(next) {
   next();
 });
 
+// New observations supersede estimates around them
+tokenPriceSchema.post('save', async function(doc) {
+  if (doc.source !== 'interpolated') {
+    await invalidateEstimates(doc.token, doc.network, [doc.timestamp]);
+  }
+});
+
 module.exports = mongoose.model('TokenPrice', tokenPriceSchema);
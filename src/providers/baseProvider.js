@@ -0,0 +1,128 @@
+const rateLimiterService = require('../services/rateLimiterService');
+const { RATE_LIMITER_CONFIG } = require('../constants');
+
+/**
+ * Common interface for price providers.
+ * Subclasses override the capabilities they implement; the registry only
+ * routes a request to providers that advertise the matching capability.
+ */
+class BaseProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.cache = new Map();
+  }
+
+  // TokenPrice.source value used when persisting this provider's observations
+  get source() {
+    return 'external_api';
+  }
+
+  // Name reported in the `source` field of API price responses
+  get label() {
+    return this.name;
+  }
+
+  getCapabilities() {
+    return {
+      currentPrice: false,
+      historicalPrice: false,
+      priceHistory: false,
+      bulkPrices: false,
+      priceRange: false
+    };
+  }
+
+  hasCapability(capability) {
+    return !!this.getCapabilities()[capability];
+  }
+
+  // Networks whose contract addresses this provider can price
+  getSupportedNetworks() {
+    return [];
+  }
+
+  supports(token, network) {
+    return this.getSupportedNetworks().includes(network.toLowerCase());
+  }
+
+  /**
+   * Current price for a resolved token
+   * @param {Object} _query - Token query (`symbol`, optional `coinId`,
+   *   `network` and `address`) plus the quote `currency`
+   * @returns {Promise<Object>} Price data including a `source` label
+   */
+  async getCurrentPrice(_query) {
+    throw new Error(`${this.name} does not support current prices`);
+  }
+
+  /**
+   * USD price of a contract address at a unix timestamp
+   * @param {string} _token - Token contract address
+   * @param {string} _network - Network name
+   * @param {number} _timestamp - Unix timestamp
+   * @returns {Promise<Object|null>} `{ price, priceUsd, metadata }` or null
+   */
+  async getHistoricalPrice(_token, _network, _timestamp) {
+    throw new Error(`${this.name} does not support historical prices`);
+  }
+
+  /**
+   * USD price series for a contract address between two unix timestamps
+   * @param {string} _token - Token contract address
+   * @param {string} _network - Network name
+   * @param {number} _from - Range start (unix seconds)
+   * @param {number} _to - Range end (unix seconds)
+   * @returns {Promise<Array<{timestamp, price, volume24h, marketCap}>>} Points
+   */
+  async getPriceRange(_token, _network, _from, _to) {
+    throw new Error(`${this.name} does not support price ranges`);
+  }
+
+  // Quota bucket, shared by providers that call the same upstream
+  get rateLimitBucket() {
+    return this.config.rateLimit?.bucket || this.name;
+  }
+
+  getRateLimit() {
+    const { rateLimit } = this.config;
+
+    return rateLimit
+      ? { intervalMs: RATE_LIMITER_CONFIG.DEFAULT_INTERVAL_MS, ...rateLimit }
+      : null;
+  }
+
+  // Wait for the upstream quota before a request; no-op without a rate limit
+  async throttle(cost = 1) {
+    const limit = this.getRateLimit();
+
+    if (limit) {
+      await rateLimiterService.acquire(this.rateLimitBucket, limit, { cost });
+    }
+  }
+
+  // Get cached data or fetch new data
+  async getCachedData(key, expiry, fetchFunction) {
+    const cachedData = this.cache.get(key);
+
+    if (cachedData && Date.now() - cachedData.timestamp < expiry) {
+      return cachedData.data;
+    }
+
+    const data = await fetchFunction();
+    this.cache.set(key, { data, timestamp: Date.now() });
+    return data;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      priority: this.config.priority,
+      capabilities: this.getCapabilities(),
+      networks: this.getSupportedNetworks(),
+      rateLimit: this.getRateLimit()
+    };
+  }
+}
+
+module.exports = BaseProvider;
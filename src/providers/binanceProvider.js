@@ -0,0 +1,152 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Binance quotes fiat through stablecoin pairs
+const QUOTE_ASSETS = {
+  USD: 'USDT'
+};
+
+// Kline intervals from finest to coarsest, in minutes
+const KLINE_INTERVALS = [
+  ['5m', 5],
+  ['15m', 15],
+  ['1h', 60],
+  ['4h', 240],
+  ['1d', 1440]
+];
+const MAX_KLINES = 1000;
+
+class BinanceProvider extends BaseProvider {
+  get label() {
+    return 'Binance';
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      currentPrice: true,
+      priceHistory: true,
+      bulkPrices: true
+    };
+  }
+
+  getPair(symbol, currency) {
+    const quoteAsset = QUOTE_ASSETS[currency.toUpperCase()] || currency;
+    return `${symbol}${quoteAsset}`.toUpperCase();
+  }
+
+  // Binance lists trading pairs, so only bare symbols can be matched
+  getPairForQuery({ symbol, address }, currency) {
+    if (address) {
+      throw new Error('Binance cannot price tokens by contract address');
+    }
+
+    return this.getPair(symbol, currency);
+  }
+
+  async getCurrentPrice(query) {
+    const { symbol, currency = 'USD' } = query;
+    const pair = this.getPairForQuery(query, currency);
+
+    await this.throttle();
+
+    try {
+      const response = await axios.get(
+        `${this.config.baseUrl}/api/v3/ticker/24hr`,
+        {
+          params: {
+            symbol: pair
+          },
+          timeout: this.config.timeout
+        }
+      );
+
+      return {
+        symbol: symbol.toUpperCase(),
+        currency: currency.toUpperCase(),
+        price: parseFloat(response.data.lastPrice),
+        change_24h: parseFloat(response.data.priceChangePercent),
+        volume_24h: parseFloat(response.data.volume),
+        high_24h: parseFloat(response.data.highPrice),
+        low_24h: parseFloat(response.data.lowPrice),
+        last_updated: new Date().toISOString(),
+        source: this.label
+      };
+    } catch (error) {
+      throw new Error(`Binance API error for ${symbol}: ${error.message}`);
+    }
+  }
+
+  // The batch ticker rejects the whole request on one unknown pair, so query each
+  async getBulkPrices(queries, currency = 'USD') {
+    const results = await Promise.allSettled(
+      queries.map((query) => this.getCurrentPrice({ ...query, currency }))
+    );
+
+    if (results.every((result) => result.status === 'rejected')) {
+      throw new Error('No valid tokens found');
+    }
+
+    return queries.reduce((prices, query, index) => {
+      const result = results[index];
+
+      prices[query.key] =
+        result.status === 'fulfilled'
+          ? {
+            symbol: result.value.symbol,
+            currency: result.value.currency,
+            price: result.value.price,
+            volume_24h: result.value.volume_24h,
+            change_24h: result.value.change_24h
+          }
+          : null;
+      return prices;
+    }, {});
+  }
+
+  // Finest kline interval that covers the period within one request
+  getKlineInterval(days, interval) {
+    if (interval) {
+      return interval === '1h' ? '1h' : '1d';
+    }
+
+    const minutes = days * 24 * 60;
+    const [name] =
+      KLINE_INTERVALS.find(([, size]) => minutes / size <= MAX_KLINES) ||
+      KLINE_INTERVALS[KLINE_INTERVALS.length - 1];
+    return name;
+  }
+
+  async getPriceHistory(query, { days, currency = 'USD', interval } = {}) {
+    const pair = this.getPairForQuery(query, currency);
+
+    await this.throttle();
+
+    try {
+      const response = await axios.get(
+        `${this.config.baseUrl}/api/v3/klines`,
+        {
+          params: {
+            symbol: pair,
+            interval: this.getKlineInterval(days, interval),
+            startTime: Date.now() - days * 24 * 60 * 60 * 1000,
+            limit: MAX_KLINES
+          },
+          timeout: this.config.timeout
+        }
+      );
+
+      // [openTime, open, high, low, close, volume, closeTime, quoteVolume, ...]
+      return {
+        prices: response.data.map((kline) => [kline[0], parseFloat(kline[4])]),
+        volumes: response.data.map((kline) => [kline[0], parseFloat(kline[7])])
+      };
+    } catch (error) {
+      throw new Error(
+        `Binance API error for ${query.symbol}: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = BinanceProvider;
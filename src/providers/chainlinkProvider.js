@@ -0,0 +1,29 @@
+const BaseProvider = require('./baseProvider');
+const chainlinkService = require('../services/chainlinkService');
+const { CHAINLINK_CONFIG } = require('../constants');
+
+class ChainlinkProvider extends BaseProvider {
+  get source() {
+    return 'chainlink';
+  }
+
+  getCapabilities() {
+    return { ...super.getCapabilities(), historicalPrice: true };
+  }
+
+  getSupportedNetworks() {
+    return Object.keys(CHAINLINK_CONFIG.FEEDS);
+  }
+
+  // Only tokens with a known aggregator proxy
+  supports(token, network) {
+    return chainlinkService.hasFeed(token, network);
+  }
+
+  // Each RPC call is charged to the Alchemy quota by chainlinkService
+  async getHistoricalPrice(token, network, timestamp) {
+    return chainlinkService.getPriceAtTimestamp(token, network, timestamp);
+  }
+}
+
+module.exports = ChainlinkProvider;
@@ -0,0 +1,319 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+const PLATFORMS = {
+  ethereum: 'ethereum',
+  polygon: 'polygon-pos'
+};
+const MARKETS_PAGE_SIZE = 250;
+
+class CoinGeckoProvider extends BaseProvider {
+  get label() {
+    return 'CoinGecko';
+  }
+
+  getCapabilities() {
+    return {
+      currentPrice: true,
+      historicalPrice: true,
+      priceHistory: true,
+      bulkPrices: true,
+      priceRange: true
+    };
+  }
+
+  getSupportedNetworks() {
+    return Object.keys(PLATFORMS);
+  }
+
+  async request(path, params = {}, timeout = this.config.timeout) {
+    const headers = {};
+    if (this.config.apiKey) {
+      headers[this.config.apiKeyHeader] = this.config.apiKey;
+    }
+
+    await this.throttle();
+    const response = await axios.get(`${this.config.baseUrl}${path}`, {
+      params,
+      headers,
+      timeout
+    });
+    return response.data;
+  }
+
+  // Full coin list with contract addresses per platform
+  async getCoinList() {
+    return this.getCachedData(
+      'coin_list',
+      60 * 60 * 1000, // Cache for 1 hour
+      () => this.request('/coins/list', { include_platform: true }, 30000)
+    );
+  }
+
+  async findCoinsBySymbol(symbol) {
+    const coins = await this.getCoinList();
+
+    return coins.filter(
+      (coin) => coin.symbol.toUpperCase() === symbol.toUpperCase()
+    );
+  }
+
+  // Market cap rank per coin id; coins CoinGecko does not rank are left out
+  async getMarketCapRanks(ids) {
+    return this.getCachedData(
+      `market_cap_ranks_${ids.join(',')}`,
+      60 * 60 * 1000, // Cache for 1 hour
+      async() => {
+        const ranks = {};
+
+        for (let i = 0; i < ids.length; i += MARKETS_PAGE_SIZE) {
+          const markets = await this.request('/coins/markets', {
+            vs_currency: 'usd',
+            ids: ids.slice(i, i + MARKETS_PAGE_SIZE).join(','),
+            per_page: MARKETS_PAGE_SIZE
+          });
+
+          markets
+            .filter((market) => market.market_cap_rank)
+            .forEach((market) => {
+              ranks[market.id] = market.market_cap_rank;
+            });
+        }
+        return ranks;
+      }
+    );
+  }
+
+  // Coin behind a contract address, or null when CoinGecko does not list it
+  async getCoinByContract(network, address) {
+    return this.getCachedData(
+      `contract_${network}_${address.toLowerCase()}`,
+      60 * 60 * 1000, // Cache for 1 hour
+      async() => {
+        try {
+          const coin = await this.request(
+            `/coins/${this.getPlatform(network)}/contract/${address.toLowerCase()}`,
+            {
+              localization: false,
+              tickers: false,
+              market_data: false,
+              community_data: false,
+              developer_data: false
+            }
+          );
+          return { id: coin.id, symbol: coin.symbol, name: coin.name };
+        } catch (error) {
+          if (error.response && error.response.status === 404) {
+            return null;
+          }
+          throw error;
+        }
+      }
+    );
+  }
+
+  // Get token ID by symbol, refusing symbols shared by several coins
+  async resolveTokenId(symbol) {
+    const coins = await this.findCoinsBySymbol(symbol);
+
+    if (coins.length === 0) {
+      throw new Error(`Token not found: ${symbol}`);
+    }
+    if (coins.length > 1) {
+      throw new Error(`Ambiguous token symbol: ${symbol}`);
+    }
+
+    return coins[0].id;
+  }
+
+  // `network:0xaddress` identifiers for a coin-list entry's contracts
+  getContractIdentifiers(coin) {
+    return Object.entries(PLATFORMS)
+      .filter(([, platform]) => coin.platforms && coin.platforms[platform])
+      .map(
+        ([network, platform]) =>
+          `${network}:${coin.platforms[platform].toLowerCase()}`
+      );
+  }
+
+  // Resolved queries carry the coin id; bare symbols are looked up
+  async getCoinId({ coinId, symbol }) {
+    return coinId || this.resolveTokenId(symbol);
+  }
+
+  async getCurrentPrice(query) {
+    const { symbol, currency = 'USD' } = query;
+    const tokenId = await this.getCoinId(query);
+    const vsCurrency = currency.toLowerCase();
+
+    const data = await this.request('/simple/price', {
+      ids: tokenId,
+      vs_currencies: vsCurrency,
+      include_market_cap: true,
+      include_24hr_vol: true,
+      include_24hr_change: true,
+      include_last_updated_at: true
+    });
+
+    const priceData = data[tokenId];
+
+    if (!priceData) {
+      throw new Error(`Price data not found for ${symbol}`);
+    }
+
+    return {
+      symbol: symbol.toUpperCase(),
+      currency: currency.toUpperCase(),
+      price: priceData[vsCurrency],
+      market_cap: priceData[`${vsCurrency}_market_cap`],
+      volume_24h: priceData[`${vsCurrency}_24h_vol`],
+      change_24h: priceData[`${vsCurrency}_24h_change`],
+      last_updated: new Date(priceData.last_updated_at * 1000).toISOString(),
+      source: this.label
+    };
+  }
+
+  // Prices for several token queries in one call; unknown tokens map to null
+  async getBulkPrices(queries, currency = 'USD') {
+    const vsCurrency = currency.toLowerCase();
+    const tokenIds = await Promise.all(
+      queries.map((query) => this.getCoinId(query).catch(() => null))
+    );
+
+    const validTokenIds = tokenIds.filter((id) => id !== null);
+
+    if (validTokenIds.length === 0) {
+      throw new Error('No valid tokens found');
+    }
+
+    const data = await this.request(
+      '/simple/price',
+      {
+        ids: [...new Set(validTokenIds)].join(','),
+        vs_currencies: vsCurrency,
+        include_market_cap: true,
+        include_24hr_vol: true,
+        include_24hr_change: true
+      },
+      15000
+    );
+
+    return queries.reduce((result, query, index) => {
+      const priceData = tokenIds[index] && data[tokenIds[index]];
+
+      result[query.key] = priceData
+        ? {
+          symbol: query.symbol.toUpperCase(),
+          currency: currency.toUpperCase(),
+          price: priceData[vsCurrency],
+          market_cap: priceData[`${vsCurrency}_market_cap`],
+          volume_24h: priceData[`${vsCurrency}_24h_vol`],
+          change_24h: priceData[`${vsCurrency}_24h_change`]
+        }
+        : null;
+      return result;
+    }, {});
+  }
+
+  /**
+   * Price (and volume) series for a token query
+   * @returns {Promise<{prices: Array, volumes: Array}>} `[ms, value]` pairs
+   */
+  async getPriceHistory(query, { days, currency = 'USD', interval } = {}) {
+    const tokenId = await this.getCoinId(query);
+    const params = {
+      vs_currency: currency.toLowerCase(),
+      days: days
+    };
+
+    if (interval) {
+      params.interval = interval === '1h' ? 'hourly' : 'daily';
+    }
+
+    const data = await this.request(
+      `/coins/${tokenId}/market_chart`,
+      params,
+      15000
+    );
+
+    return {
+      prices: data.prices || [],
+      volumes: data.total_volumes || []
+    };
+  }
+
+  getPlatform(network) {
+    const platform = PLATFORMS[network.toLowerCase()];
+
+    if (!platform) {
+      throw new Error(`Unsupported network for CoinGecko: ${network}`);
+    }
+
+    return platform;
+  }
+
+  async getContractMarketChart(token, network, from, to) {
+    return this.request(
+      `/coins/${this.getPlatform(network)}/contract/${token.toLowerCase()}/market_chart/range`,
+      {
+        vs_currency: 'usd',
+        from,
+        to
+      },
+      15000
+    );
+  }
+
+  // Points are daily for ranges over 90 days, hourly below that
+  async getPriceRange(token, network, from, to) {
+    const data = await this.getContractMarketChart(token, network, from, to);
+    const volumes = new Map(data.total_volumes || []);
+    const marketCaps = new Map(data.market_caps || []);
+
+    return (data.prices || []).map(([time, price]) => ({
+      timestamp: Math.floor(time / 1000),
+      price,
+      volume24h: volumes.get(time),
+      marketCap: marketCaps.get(time)
+    }));
+  }
+
+  // Get historical USD price for a contract address
+  async getHistoricalPrice(token, network, timestamp) {
+    const platform = this.getPlatform(network);
+
+    // Query an hour either side so the range endpoint returns fine-grained points
+    const window = 60 * 60;
+    const data = await this.getContractMarketChart(
+      token,
+      network,
+      timestamp - window,
+      timestamp + window
+    );
+
+    const prices = data.prices || [];
+
+    if (prices.length === 0) {
+      return null;
+    }
+
+    const [closestTime, closestPrice] = prices.reduce((closest, point) =>
+      Math.abs(point[0] / 1000 - timestamp) <
+      Math.abs(closest[0] / 1000 - timestamp)
+        ? point
+        : closest
+    );
+
+    return {
+      price: closestPrice,
+      priceUsd: closestPrice,
+      metadata: {
+        method: 'coingecko_market_chart',
+        platform,
+        pointTimestamp: Math.floor(closestTime / 1000)
+      }
+    };
+  }
+}
+
+module.exports = CoinGeckoProvider;
@@ -0,0 +1,251 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+const NETWORKS = ['ethereum', 'polygon'];
+
+class CoinMarketCapProvider extends BaseProvider {
+  get label() {
+    return 'CoinMarketCap';
+  }
+
+  getCapabilities() {
+    return {
+      currentPrice: true,
+      historicalPrice: true,
+      priceHistory: true,
+      bulkPrices: true
+    };
+  }
+
+  getSupportedNetworks() {
+    return NETWORKS;
+  }
+
+  async request(path, params = {}, timeout = this.config.timeout) {
+    if (!this.config.apiKey) {
+      throw new Error('CoinMarketCap API key is not configured');
+    }
+
+    await this.throttle();
+
+    try {
+      const response = await axios.get(`${this.config.baseUrl}${path}`, {
+        params,
+        headers: { [this.config.apiKeyHeader]: this.config.apiKey },
+        timeout
+      });
+      return response.data.data;
+    } catch (error) {
+      const message =
+        error.response?.data?.status?.error_message || error.message;
+      throw new Error(`CoinMarketCap API error: ${message}`);
+    }
+  }
+
+  // v2 endpoints key results by symbol or id, with symbols mapping to arrays
+  pickCoin(data, key) {
+    const entry = data[key] ?? data[String(key).toUpperCase()];
+    const coins = Array.isArray(entry) ? entry : [entry];
+
+    return coins
+      .filter(Boolean)
+      .sort((a, b) => (a.cmc_rank || Infinity) - (b.cmc_rank || Infinity))[0];
+  }
+
+  formatQuote(symbol, currency, coin) {
+    const quote = coin.quote[currency.toUpperCase()];
+
+    return {
+      symbol: symbol.toUpperCase(),
+      currency: currency.toUpperCase(),
+      price: quote.price,
+      market_cap: quote.market_cap,
+      volume_24h: quote.volume_24h,
+      change_24h: quote.percent_change_24h
+    };
+  }
+
+  // Contract queries are looked up by CoinMarketCap id, others by symbol
+  async getLookup({ symbol, address }) {
+    if (!address) {
+      return { field: 'symbol', value: symbol.toUpperCase() };
+    }
+
+    const id = await this.resolveContractId(address);
+
+    if (!id) {
+      throw new Error(`Token not listed on CoinMarketCap: ${address}`);
+    }
+
+    return { field: 'id', value: id };
+  }
+
+  async getCurrentPrice(query) {
+    const { symbol, currency = 'USD' } = query;
+    const lookup = await this.getLookup(query);
+    const data = await this.request('/v2/cryptocurrency/quotes/latest', {
+      [lookup.field]: lookup.value,
+      convert: currency.toUpperCase()
+    });
+    const coin = this.pickCoin(data, lookup.value);
+
+    if (!coin) {
+      throw new Error(`Price data not found for ${symbol}`);
+    }
+
+    return {
+      ...this.formatQuote(symbol, currency, coin),
+      last_updated: coin.quote[currency.toUpperCase()].last_updated,
+      source: this.label
+    };
+  }
+
+  async getBulkPrices(queries, currency = 'USD') {
+    const lookups = await Promise.all(
+      queries.map((query) => this.getLookup(query).catch(() => null))
+    );
+    const data = {};
+
+    // At most one request per lookup field
+    for (const field of ['symbol', 'id']) {
+      const values = lookups
+        .filter((lookup) => lookup && lookup.field === field)
+        .map((lookup) => lookup.value);
+
+      if (values.length > 0) {
+        Object.assign(
+          data,
+          await this.request(
+            '/v2/cryptocurrency/quotes/latest',
+            {
+              [field]: [...new Set(values)].join(','),
+              convert: currency.toUpperCase(),
+              skip_invalid: true
+            },
+            15000
+          )
+        );
+      }
+    }
+
+    return queries.reduce((result, query, index) => {
+      const coin = lookups[index] && this.pickCoin(data, lookups[index].value);
+
+      result[query.key] = coin
+        ? this.formatQuote(query.symbol, currency, coin)
+        : null;
+      return result;
+    }, {});
+  }
+
+  // Match CoinGecko's automatic granularity when no interval is requested
+  getHistoryInterval(days, interval) {
+    if (interval) {
+      return interval === '1h' ? 'hourly' : 'daily';
+    }
+    if (days <= 1) {
+      return '5m';
+    }
+    return days <= 90 ? 'hourly' : 'daily';
+  }
+
+  async getPriceHistory(query, { days, currency = 'USD', interval } = {}) {
+    const convert = currency.toUpperCase();
+    const lookup = await this.getLookup(query);
+    const data = await this.request(
+      '/v2/cryptocurrency/quotes/historical',
+      {
+        [lookup.field]: lookup.value,
+        time_start: new Date(Date.now() - days * 86400 * 1000).toISOString(),
+        time_end: new Date().toISOString(),
+        interval: this.getHistoryInterval(days, interval),
+        convert
+      },
+      15000
+    );
+    const coin = this.pickCoin(data, lookup.value);
+
+    if (!coin) {
+      throw new Error(`Token not found: ${query.symbol}`);
+    }
+
+    const quotes = coin.quotes || [];
+
+    return {
+      prices: quotes.map((entry) => [
+        new Date(entry.timestamp).getTime(),
+        entry.quote[convert].price
+      ]),
+      volumes: quotes.map((entry) => [
+        new Date(entry.timestamp).getTime(),
+        entry.quote[convert].volume_24h
+      ])
+    };
+  }
+
+  // CoinMarketCap id for a contract address
+  async resolveContractId(token) {
+    return this.getCachedData(
+      `contract_id_${token.toLowerCase()}`,
+      60 * 60 * 1000, // Cache for 1 hour
+      async() => {
+        const data = await this.request('/v2/cryptocurrency/info', {
+          address: token.toLowerCase()
+        });
+        const [coin] = Object.values(data || {});
+
+        return coin ? coin.id : null;
+      }
+    );
+  }
+
+  async getHistoricalPrice(token, network, timestamp) {
+    const id = await this.resolveContractId(token);
+
+    if (!id) {
+      return null;
+    }
+
+    // Query an hour either side at 5 minute resolution
+    const window = 60 * 60;
+    const data = await this.request(
+      '/v2/cryptocurrency/quotes/historical',
+      {
+        id,
+        time_start: new Date((timestamp - window) * 1000).toISOString(),
+        time_end: new Date((timestamp + window) * 1000).toISOString(),
+        interval: '5m',
+        convert: 'USD'
+      },
+      15000
+    );
+    const coin = this.pickCoin(data, id) || data;
+    const quotes = coin.quotes || [];
+
+    if (quotes.length === 0) {
+      return null;
+    }
+
+    const secondsOf = (entry) =>
+      Math.floor(new Date(entry.timestamp).getTime() / 1000);
+    const closest = quotes.reduce((best, entry) =>
+      Math.abs(secondsOf(entry) - timestamp) <
+      Math.abs(secondsOf(best) - timestamp)
+        ? entry
+        : best
+    );
+    const price = closest.quote.USD.price;
+
+    return {
+      price,
+      priceUsd: price,
+      metadata: {
+        method: 'coinmarketcap_quotes_historical',
+        cmcId: id,
+        pointTimestamp: secondsOf(closest)
+      }
+    };
+  }
+}
+
+module.exports = CoinMarketCapProvider;
@@ -0,0 +1,111 @@
+const { loadProviderConfig } = require('../config/providers');
+const BaseProvider = require('./baseProvider');
+const ChainlinkProvider = require('./chainlinkProvider');
+const UniswapProvider = require('./uniswapProvider');
+const CoinGeckoProvider = require('./coinGeckoProvider');
+const CoinMarketCapProvider = require('./coinMarketCapProvider');
+const BinanceProvider = require('./binanceProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.providerClasses = new Map();
+    this.providers = [];
+    this.isLoaded = false;
+  }
+
+  // Make a provider implementation available to the configuration
+  register(name, ProviderClass) {
+    if (!(ProviderClass.prototype instanceof BaseProvider)) {
+      throw new Error(`Provider ${name} must extend BaseProvider`);
+    }
+
+    this.providerClasses.set(name, ProviderClass);
+    this.isLoaded = false;
+  }
+
+  // Instantiate enabled providers in priority order
+  load(config = loadProviderConfig()) {
+    const providers = [];
+
+    Object.entries(config).forEach(([name, providerConfig]) => {
+      if (!providerConfig.enabled) {
+        return;
+      }
+
+      const ProviderClass = this.providerClasses.get(name);
+      if (!ProviderClass) {
+        console.warn(`⚠️ Unknown price provider in configuration: ${name}`);
+        return;
+      }
+
+      providers.push(new ProviderClass(name, providerConfig));
+    });
+
+    this.providers = providers.sort(
+      (a, b) => (a.config.priority || 0) - (b.config.priority || 0)
+    );
+    this.isLoaded = true;
+
+    console.log(
+      `🔌 Price providers loaded: ${
+        this.providers.map((provider) => provider.name).join(', ') || 'none'
+      }`
+    );
+    return this.providers;
+  }
+
+  /**
+   * Enabled providers in priority order
+   * @param {Object} filter - Optional capability, network and token filters
+   * @returns {BaseProvider[]} Matching providers
+   */
+  getProviders({ capability, network, token } = {}) {
+    if (!this.isLoaded) {
+      this.load();
+    }
+
+    return this.providers.filter((provider) => {
+      if (capability && !provider.hasCapability(capability)) {
+        return false;
+      }
+      if (network && token) {
+        return provider.supports(token, network);
+      }
+      if (network) {
+        return provider.getSupportedNetworks().includes(network.toLowerCase());
+      }
+      return true;
+    });
+  }
+
+  getProvider(name) {
+    return this.getProviders().find((provider) => provider.name === name);
+  }
+
+  describe() {
+    return this.getProviders().map((provider) => provider.describe());
+  }
+
+  // Rate limits of enabled providers keyed by quota bucket
+  getRateLimits() {
+    return this.getProviders().reduce((limits, provider) => {
+      const limit = provider.getRateLimit();
+
+      if (limit) {
+        limits[provider.rateLimitBucket] = limit;
+      }
+      return limits;
+    }, {});
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+// Built-in providers
+providerRegistry.register('chainlink', ChainlinkProvider);
+providerRegistry.register('uniswap', UniswapProvider);
+providerRegistry.register('coingecko', CoinGeckoProvider);
+providerRegistry.register('coinmarketcap', CoinMarketCapProvider);
+providerRegistry.register('binance', BinanceProvider);
+
+module.exports = providerRegistry;
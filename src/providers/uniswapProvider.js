@@ -0,0 +1,27 @@
+const BaseProvider = require('./baseProvider');
+const onchainPriceService = require('../services/onchainPriceService');
+const { DEX_CONFIG } = require('../constants');
+
+class UniswapProvider extends BaseProvider {
+  // On-chain pool state is read through Alchemy
+  get source() {
+    return 'alchemy';
+  }
+
+  getCapabilities() {
+    return { ...super.getCapabilities(), historicalPrice: true };
+  }
+
+  getSupportedNetworks() {
+    return Object.keys(DEX_CONFIG).filter(
+      (key) => DEX_CONFIG[key].V3_FACTORY
+    );
+  }
+
+  // Each RPC call is charged to the Alchemy quota by onchainPriceService
+  async getHistoricalPrice(token, network, timestamp) {
+    return onchainPriceService.getPriceAtTimestamp(token, network, timestamp);
+  }
+}
+
+module.exports = UniswapProvider;
@@ -26,10 +26,11 @@ router.get("/", (req, res) => {
     detailedEndpoints: {
       tokens: {
         "GET /api/tokens": "List all tokens",
-        "POST /api/tokens": "Add a new token",
-        "GET /api/tokens/:id": "Get token by ID",
-        "PUT /api/tokens/:id": "Update token",
-        "DELETE /api/tokens/:id": "Delete token",
+        "GET /api/tokens/registry": "List registered tokens",
+        "POST /api/tokens": "Register a token (API key required)",
+        "GET /api/tokens/:id": "Get registered token by ID",
+        "PUT /api/tokens/:id": "Update token (API key required)",
+        "DELETE /api/tokens/:id": "Delete token (API key required)",
       },
       prices: {
         "GET /api/prices": "Get price data",
@@ -1,9 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const oracleController = require("../../controllers/oracleController");
+const { apiKeyAuth } = require("../../middleware/auth");
 const {
   validatePriceRequest,
   validateScheduleRequest,
+  validateCollectionSchedule,
+  validateCollectionScheduleId,
+  validateFailuresQuery,
+  validateFailuresRetry,
+  validateJobId,
+  validateJobsQuery,
+  validateJobPriority,
+  validateQueueClean,
+  validateInterpolationTest,
+  validateInterpolationRefresh,
+  validateBlockQuery,
 } = require("../../middleware/oracleValidation");
 
 // GET /api/oracle - Oracle API info
@@ -14,11 +26,46 @@ router.get("/", (req, res) => {
     endpoints: {
       "GET /api/oracle": "Oracle API information",
       "POST /api/oracle/price": "Get token price at specific timestamp",
+      "GET /api/oracle/interpolate": "Interpolate a price with a chosen method",
+      "POST /api/oracle/interpolations/refresh":
+        "Re-interpolate estimates made stale by new prices (requires API key)",
       "POST /api/oracle/schedule": "Schedule historical price data collection",
+      "GET /api/oracle/schedules": "List recurring collection schedules",
+      "POST /api/oracle/schedules":
+        "Collect a registered token recurringly (requires API key)",
+      "POST /api/oracle/schedules/:id/pause":
+        "Pause a collection schedule (requires API key)",
+      "POST /api/oracle/schedules/:id/resume":
+        "Resume a collection schedule (requires API key)",
+      "DELETE /api/oracle/schedules/:id":
+        "Remove a collection schedule (requires API key)",
+      "GET /api/oracle/failures": "List timestamps collection jobs gave up on",
+      "POST /api/oracle/failures/retry":
+        "Re-enqueue failed timestamps (requires API key)",
       "GET /api/oracle/status/:jobId": "Get job status",
-      "GET /api/oracle/jobs": "Get all jobs",
+      "GET /api/oracle/status/:jobId/stream":
+        "Stream job progress as Server-Sent Events",
+      "GET /api/oracle/jobs":
+        "List jobs by status, token and network with pagination",
+      "GET /api/oracle/jobs/stats":
+        "Job throughput, average duration and failure rate per time window",
       "DELETE /api/oracle/jobs/:jobId": "Cancel a job",
+      "POST /api/oracle/jobs/:jobId/retry":
+        "Retry a failed job (requires API key)",
+      "POST /api/oracle/jobs/:jobId/promote":
+        "Run a delayed job now (requires API key)",
+      "PATCH /api/oracle/jobs/:jobId/priority":
+        "Change a waiting job's priority (requires API key)",
+      "POST /api/oracle/queue/pause":
+        "Pause the collection queue (requires API key)",
+      "POST /api/oracle/queue/resume":
+        "Resume the collection queue (requires API key)",
+      "POST /api/oracle/queue/clean":
+        "Remove jobs by state and age (requires API key)",
       "GET /api/oracle/health": "Oracle health check",
+      "GET /api/oracle/stats":
+        "Storage, queue and provider quota usage statistics",
+      "GET /api/oracle/block": "Resolve the block closest to a timestamp",
     },
     examples: {
       getPriceAtTimestamp: {
@@ -36,6 +83,10 @@ router.get("/", (req, res) => {
         body: {
           token: "WETH",
           network: "ethereum",
+          startDate: "2024-01-01",
+          endDate: "2024-03-31",
+          granularity: "1h",
+          priority: 1,
         },
       },
     },
@@ -45,6 +96,21 @@ router.get("/", (req, res) => {
 // POST /api/oracle/price - Get token price at specific timestamp
 router.post("/price", validatePriceRequest, oracleController.getTokenPrice);
 
+// GET /api/oracle/interpolate - Interpolate a price from stored data
+router.get(
+  "/interpolate",
+  validateInterpolationTest,
+  oracleController.testInterpolation
+);
+
+// POST /api/oracle/interpolations/refresh - Sweep stale estimates (admin)
+router.post(
+  "/interpolations/refresh",
+  apiKeyAuth,
+  validateInterpolationRefresh,
+  oracleController.refreshInterpolations
+);
+
 // POST /api/oracle/schedule - Schedule historical price data collection
 router.post(
   "/schedule",
@@ -52,16 +118,113 @@ router.post(
   oracleController.scheduleDataCollection
 );
 
+// GET /api/oracle/schedules - List recurring collection schedules
+router.get("/schedules", oracleController.getCollectionSchedules);
+
+// POST /api/oracle/schedules - Track a registered token (admin)
+router.post(
+  "/schedules",
+  apiKeyAuth,
+  validateCollectionSchedule,
+  oracleController.createCollectionSchedule
+);
+
+// POST /api/oracle/schedules/:id/pause - Pause a schedule (admin)
+router.post(
+  "/schedules/:id/pause",
+  apiKeyAuth,
+  validateCollectionScheduleId,
+  oracleController.pauseCollectionSchedule
+);
+
+// POST /api/oracle/schedules/:id/resume - Resume a schedule (admin)
+router.post(
+  "/schedules/:id/resume",
+  apiKeyAuth,
+  validateCollectionScheduleId,
+  oracleController.resumeCollectionSchedule
+);
+
+// DELETE /api/oracle/schedules/:id - Remove a schedule (admin)
+router.delete(
+  "/schedules/:id",
+  apiKeyAuth,
+  validateCollectionScheduleId,
+  oracleController.removeCollectionSchedule
+);
+
+// GET /api/oracle/failures - List dead-lettered timestamps
+router.get("/failures", validateFailuresQuery, oracleController.getFailures);
+
+// POST /api/oracle/failures/retry - Re-enqueue failed timestamps (admin)
+router.post(
+  "/failures/retry",
+  apiKeyAuth,
+  validateFailuresRetry,
+  oracleController.retryFailures
+);
+
 // GET /api/oracle/status/:jobId - Get job status
 router.get("/status/:jobId", oracleController.getJobStatus);
 
-// GET /api/oracle/jobs - Get all jobs
-router.get("/jobs", oracleController.getAllJobs);
+// GET /api/oracle/status/:jobId/stream - Job progress as Server-Sent Events
+router.get("/status/:jobId/stream", oracleController.streamJobStatus);
+
+// GET /api/oracle/jobs - List jobs
+router.get("/jobs", validateJobsQuery, oracleController.getAllJobs);
+
+// GET /api/oracle/jobs/stats - Job throughput and failure rate
+router.get("/jobs/stats", oracleController.getJobStats);
 
 // DELETE /api/oracle/jobs/:jobId - Cancel a job
 router.delete("/jobs/:jobId", oracleController.cancelJob);
 
+// POST /api/oracle/jobs/:jobId/retry - Retry a failed job (admin)
+router.post(
+  "/jobs/:jobId/retry",
+  apiKeyAuth,
+  validateJobId,
+  oracleController.retryJob
+);
+
+// POST /api/oracle/jobs/:jobId/promote - Run a delayed job now (admin)
+router.post(
+  "/jobs/:jobId/promote",
+  apiKeyAuth,
+  validateJobId,
+  oracleController.promoteJob
+);
+
+// PATCH /api/oracle/jobs/:jobId/priority - Reprioritize a waiting job (admin)
+router.patch(
+  "/jobs/:jobId/priority",
+  apiKeyAuth,
+  validateJobId,
+  validateJobPriority,
+  oracleController.changeJobPriority
+);
+
+// POST /api/oracle/queue/pause - Stop workers taking new jobs (admin)
+router.post("/queue/pause", apiKeyAuth, oracleController.pauseQueue);
+
+// POST /api/oracle/queue/resume - Resume a paused queue (admin)
+router.post("/queue/resume", apiKeyAuth, oracleController.resumeQueue);
+
+// POST /api/oracle/queue/clean - Remove jobs by state and age (admin)
+router.post(
+  "/queue/clean",
+  apiKeyAuth,
+  validateQueueClean,
+  oracleController.cleanQueue
+);
+
+// GET /api/oracle/block - Resolve the block closest to a timestamp
+router.get("/block", validateBlockQuery, oracleController.getBlockByTimestamp);
+
 // GET /api/oracle/health - Oracle health check
 router.get("/health", oracleController.healthCheck);
 
+// GET /api/oracle/stats - System statistics and provider quota usage
+router.get("/stats", oracleController.getStats);
+
 module.exports = router;
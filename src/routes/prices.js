@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const priceController = require('../controllers/priceController');
 
+// :symbol accepts a symbol, `network:0xaddress` or `coingecko:<id>`
+
 // GET /api/prices/:symbol - Get current price for a token
 router.get('/:symbol', priceController.getTokenPrice);
 
@@ -1,14 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const tokenController = require('../controllers/tokenController');
+const { apiKeyAuth } = require('../middleware/auth');
+const {
+  validateTokenCreate,
+  validateTokenUpdate,
+  validateTokenId,
+  validateTokenListQuery
+} = require('../middleware/tokenValidation');
 
 // GET /api/tokens - Get all supported tokens
 router.get('/', tokenController.getAllTokens);
 
+// POST /api/tokens - Register a token (admin)
+router.post(
+  '/',
+  apiKeyAuth,
+  validateTokenCreate,
+  tokenController.registerToken
+);
+
+// GET /api/tokens/registry - List registered tokens
+router.get(
+  '/registry',
+  validateTokenListQuery,
+  tokenController.getRegisteredTokens
+);
+
+// GET /api/tokens/:id - Get a registered token by ID
+router.get(
+  '/:id([a-fA-F0-9]{24})',
+  validateTokenId,
+  tokenController.getRegisteredToken
+);
+
 // GET /api/tokens/:symbol - Get specific token information
 router.get('/:symbol', tokenController.getTokenBySymbol);
 
 // GET /api/tokens/search/:query - Search tokens by name or symbol
 router.get('/search/:query', tokenController.searchTokens);
 
+// PUT /api/tokens/:id - Update a registered token (admin)
+router.put(
+  '/:id',
+  apiKeyAuth,
+  validateTokenId,
+  validateTokenUpdate,
+  tokenController.updateToken
+);
+
+// DELETE /api/tokens/:id - Remove a registered token (admin)
+router.delete(
+  '/:id',
+  apiKeyAuth,
+  validateTokenId,
+  tokenController.deleteToken
+);
+
 module.exports = router;
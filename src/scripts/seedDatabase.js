@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const Token = require('../models/Token');
 const TokenPrice = require('../models/TokenPrice');
+const InterpolatedPrice = require('../models/InterpolatedPrice');
 const logger = require('../utils/logger');
 require('dotenv').config();
 
@@ -103,7 +104,11 @@ async function seedDatabase() {
 
     // Clear existing data
     logger.info('Clearing existing data...');
-    await Promise.all([Token.deleteMany({}), TokenPrice.deleteMany({})]);
+    await Promise.all([
+      Token.deleteMany({}),
+      TokenPrice.deleteMany({}),
+      InterpolatedPrice.deleteMany({})
+    ]);
 
     // Insert sample tokens
     logger.info('Inserting sample tokens...');
@@ -138,31 +143,40 @@ async function seedDatabase() {
     const interpolatedPrices = [];
 
     for (const token of insertedTokens) {
-      const basePrice = await TokenPrice.findOne({
+      // Estimates sit in the gap between the two latest observations
+      const [after, before] = await TokenPrice.find({
         token: token.address,
         network: token.network
-      }).sort({ timestamp: -1 });
+      })
+        .sort({ timestamp: -1 })
+        .limit(2);
 
-      if (basePrice) {
+      if (before && after) {
         // Create a few interpolated records
         for (let i = 1; i <= 3; i++) {
-          const interpolatedTimestamp = basePrice.timestamp + i * 3600; // 1 hour intervals
+          const interpolatedTimestamp = before.timestamp + i * 3600; // 1 hour intervals
+          const weight =
+            (interpolatedTimestamp - before.timestamp) /
+            (after.timestamp - before.timestamp);
           interpolatedPrices.push({
             token: token.address,
             network: token.network,
             date: new Date(interpolatedTimestamp * 1000),
             timestamp: interpolatedTimestamp,
-            price: basePrice.price * (1 + (Math.random() - 0.5) * 0.01),
-            priceUsd: basePrice.price * (1 + (Math.random() - 0.5) * 0.01),
-            source: 'interpolated',
-            confidence: 0.85
+            price: before.price + (after.price - before.price) * weight,
+            confidence: 0.85,
+            method: 'weighted_average',
+            beforeTimestamp: before.timestamp,
+            afterTimestamp: after.timestamp,
+            beforePrice: before.price,
+            afterPrice: after.price
           });
         }
       }
     }
 
     if (interpolatedPrices.length > 0) {
-      await TokenPrice.insertMany(interpolatedPrices);
+      await InterpolatedPrice.insertMany(interpolatedPrices);
       logger.info(
         `Inserted ${interpolatedPrices.length} interpolated price records`
       );
@@ -0,0 +1,166 @@
+const TokenPrice = require('../models/TokenPrice');
+const deadLetterService = require('./deadLetterService');
+const providerRegistry = require('../providers');
+const { BACKFILL_CONFIG, GRANULARITIES } = require('../constants');
+
+class BackfillService {
+  /**
+   * Fill a job's timestamps from bulk price ranges instead of one request
+   * per timestamp. Timestamps without a nearby range point are returned as
+   * gaps for the per-timestamp provider chain.
+   * @param {string} token - Token contract address
+   * @param {string} network - Network name
+   * @param {number[]} timestamps - Unix timestamps to fill
+   * @param {string} [granularity='1d'] - Job granularity (1h, 4h or 1d)
+   * @returns {Promise<{stored: number, existing: number, gaps: number[], provider: string|null}>}
+   */
+  async backfill(token, network, timestamps, granularity = '1d') {
+    const normalizedToken = token.toLowerCase();
+    const normalizedNetwork = network.toLowerCase();
+    const result = { stored: 0, existing: 0, gaps: [], provider: null };
+
+    const existingTimestamps = new Set(
+      await TokenPrice.distinct('timestamp', {
+        token: normalizedToken,
+        network: normalizedNetwork,
+        timestamp: { $in: timestamps },
+        source: { $ne: 'interpolated' }
+      })
+    );
+    const pending = timestamps
+      .filter((timestamp) => !existingTimestamps.has(timestamp))
+      .sort((a, b) => a - b);
+    result.existing = timestamps.length - pending.length;
+
+    const [provider] = providerRegistry.getProviders({
+      capability: 'priceRange',
+      network: normalizedNetwork,
+      token: normalizedToken
+    });
+
+    if (!provider) {
+      result.gaps = pending;
+      return result;
+    }
+
+    result.provider = provider.name;
+
+    // Intraday jobs need ranges short enough to come back hourly
+    const interval = GRANULARITIES[granularity];
+    const rangeDays =
+      interval < GRANULARITIES['1d']
+        ? BACKFILL_CONFIG.HOURLY_RANGE_DAYS
+        : BACKFILL_CONFIG.RANGE_DAYS;
+    const tolerance = Math.min(
+      BACKFILL_CONFIG.MAX_POINT_DISTANCE_SECONDS,
+      interval / 2
+    );
+
+    for (const chunk of this.chunkTimestamps(pending, rangeDays)) {
+      let points;
+
+      try {
+        points = await provider.getPriceRange(
+          normalizedToken,
+          normalizedNetwork,
+          chunk[0] - tolerance,
+          chunk[chunk.length - 1] + tolerance
+        );
+      } catch (error) {
+        console.warn(
+          `⚠️ Range fetch from ${provider.name} failed for ${token}: ${error.message}`
+        );
+        result.gaps.push(...chunk);
+        continue;
+      }
+
+      const { records, gaps } = this.mapPointsToTimestamps(
+        points,
+        chunk,
+        tolerance
+      );
+
+      if (records.length > 0) {
+        await TokenPrice.bulkUpsert(
+          records.map(({ timestamp, point }) => ({
+            token: normalizedToken,
+            network: normalizedNetwork,
+            date: new Date(timestamp * 1000),
+            timestamp,
+            price: point.price,
+            priceUsd: point.price,
+            volume24h: point.volume24h,
+            marketCap: point.marketCap,
+            source: provider.source,
+            granularity,
+            confidence: 1,
+            metadata: {
+              method: 'range_backfill',
+              provider: provider.name,
+              pointTimestamp: point.timestamp
+            }
+          }))
+        );
+        await deadLetterService.resolveMany(
+          normalizedToken,
+          normalizedNetwork,
+          records.map(({ timestamp }) => timestamp)
+        );
+      }
+
+      result.stored += records.length;
+      result.gaps.push(...gaps);
+    }
+
+    return result;
+  }
+
+  // Split sorted timestamps into spans no longer than one range request
+  chunkTimestamps(timestamps, rangeDays = BACKFILL_CONFIG.RANGE_DAYS) {
+    const maxSpan = rangeDays * 24 * 60 * 60;
+    const chunks = [];
+
+    timestamps.forEach((timestamp) => {
+      const current = chunks[chunks.length - 1];
+
+      if (current && timestamp - current[0] <= maxSpan) {
+        current.push(timestamp);
+      } else {
+        chunks.push([timestamp]);
+      }
+    });
+
+    return chunks;
+  }
+
+  // Pair each sorted timestamp with the closest point within the tolerance
+  mapPointsToTimestamps(points, timestamps, tolerance) {
+    const sortedPoints = [...points].sort((a, b) => a.timestamp - b.timestamp);
+    const records = [];
+    const gaps = [];
+    let index = 0;
+
+    timestamps.forEach((timestamp) => {
+      const distance = (point) => Math.abs(point.timestamp - timestamp);
+
+      while (
+        index < sortedPoints.length - 1 &&
+        distance(sortedPoints[index + 1]) <= distance(sortedPoints[index])
+      ) {
+        index++;
+      }
+
+      const point = sortedPoints[index];
+
+      if (point && distance(point) <= tolerance && point.price > 0) {
+        records.push({ timestamp, point });
+      } else {
+        gaps.push(timestamp);
+      }
+    });
+
+    return { records, gaps };
+  }
+}
+
+module.exports = new BackfillService();
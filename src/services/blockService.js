@@ -0,0 +1,224 @@
+const BlockTimestamp = require('../models/BlockTimestamp');
+const redisConnection = require('../config/redis');
+const databaseConnection = require('../config/database');
+const alchemyConnection = require('../config/alchemy');
+const rateLimiterService = require('./rateLimiterService');
+const { BLOCK_CONFIG } = require('../constants');
+
+class BlockService {
+  // Main method: resolve the block closest to a unix timestamp
+  async getBlockByTimestamp(network, timestamp) {
+    const normalizedNetwork = network.toLowerCase();
+    const cacheKey = redisConnection.generateBlockKey(
+      normalizedNetwork,
+      timestamp
+    );
+
+    // 1. Check Redis cache first
+    if (redisConnection.getClient()) {
+      const cachedBlock = await redisConnection.get(cacheKey);
+      if (cachedBlock) {
+        return { ...cachedBlock, source: 'cache' };
+      }
+    }
+
+    // 2. Check MongoDB for a previous resolution
+    const storedBlock = await this.findStoredBlock(
+      normalizedNetwork,
+      timestamp
+    );
+
+    if (storedBlock) {
+      const result = this.formatResult(normalizedNetwork, timestamp, {
+        number: storedBlock.blockNumber,
+        timestamp: storedBlock.blockTimestamp
+      });
+      await this.cacheResult(cacheKey, result);
+      return { ...result, source: 'database' };
+    }
+
+    // 3. Binary search over the chain
+    const block = await this.resolveBlock(normalizedNetwork, timestamp);
+    const result = this.formatResult(normalizedNetwork, timestamp, block);
+
+    // The head only answers for now: later blocks may land closer
+    if (block.isHead) {
+      await this.cacheResult(cacheKey, result, BLOCK_CONFIG.HEAD_CACHE_TTL);
+      return { ...result, source: 'rpc' };
+    }
+
+    await this.storeResult(result);
+    await this.cacheResult(cacheKey, result);
+
+    return { ...result, source: 'rpc' };
+  }
+
+  formatResult(network, timestamp, block) {
+    return {
+      network,
+      timestamp,
+      blockNumber: block.number,
+      blockTimestamp: block.timestamp
+    };
+  }
+
+  async resolveBlock(network, timestamp) {
+    const client = alchemyConnection.getClient(network);
+    await rateLimiterService.acquireRpc();
+    const latestNumber = await client.core.getBlockNumber();
+    const latest = await this.getBlock(client, latestNumber);
+
+    if (timestamp >= latest.timestamp) {
+      return { ...latest, isHead: true };
+    }
+
+    let [low, high] = await this.getKnownBracket(network, timestamp);
+
+    if (!low || !high) {
+      [low, high] = await this.getEstimatedBracket(
+        client,
+        network,
+        timestamp,
+        latest
+      );
+    }
+
+    // Target precedes the earliest reachable block
+    if (timestamp <= low.timestamp) {
+      return low;
+    }
+
+    // Invariant: low.timestamp <= timestamp < high.timestamp
+    while (high.number - low.number > 1) {
+      const mid = await this.getBlock(
+        client,
+        Math.floor((low.number + high.number) / 2)
+      );
+
+      if (mid.timestamp <= timestamp) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return timestamp - low.timestamp <= high.timestamp - timestamp
+      ? low
+      : high;
+  }
+
+  // Use earlier resolutions on either side of the target as the bracket
+  async getKnownBracket(network, timestamp) {
+    if (!databaseConnection.isConnected) {
+      return [null, null];
+    }
+
+    try {
+      const [before, after] = await BlockTimestamp.findBracket(
+        network,
+        timestamp
+      );
+
+      return [
+        before && { number: before.blockNumber, timestamp: before.blockTimestamp },
+        after && { number: after.blockNumber, timestamp: after.blockTimestamp }
+      ];
+    } catch (error) {
+      console.warn(`⚠️ Block bracket lookup failed: ${error.message}`);
+      return [null, null];
+    }
+  }
+
+  // Estimate the block from the average block time, then gallop outwards
+  async getEstimatedBracket(client, network, timestamp, latest) {
+    const blockTime = BLOCK_CONFIG.AVERAGE_BLOCK_TIME[network] || 12;
+    const estimate = Math.min(
+      latest.number,
+      Math.max(
+        0,
+        latest.number - Math.round((latest.timestamp - timestamp) / blockTime)
+      )
+    );
+
+    let guess = await this.getBlock(client, estimate);
+    let step = Math.max(
+      Math.round(Math.abs(guess.timestamp - timestamp) / blockTime),
+      1
+    );
+
+    if (guess.timestamp <= timestamp) {
+      let low = guess;
+      while (low.number < latest.number) {
+        guess = await this.getBlock(
+          client,
+          Math.min(low.number + step, latest.number)
+        );
+        if (guess.timestamp > timestamp) {
+          return [low, guess];
+        }
+        low = guess;
+        step *= 2;
+      }
+      return [low, latest];
+    }
+
+    let high = guess;
+    while (high.number > 0) {
+      guess = await this.getBlock(client, Math.max(high.number - step, 0));
+      if (guess.timestamp <= timestamp) {
+        return [guess, high];
+      }
+      high = guess;
+      step *= 2;
+    }
+    return [high, high];
+  }
+
+  async getBlock(client, blockNumber) {
+    await rateLimiterService.acquireRpc();
+    const block = await client.core.getBlock(blockNumber);
+
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not found`);
+    }
+
+    return { number: block.number, timestamp: block.timestamp };
+  }
+
+  async findStoredBlock(network, timestamp) {
+    if (!databaseConnection.isConnected) {
+      return null;
+    }
+
+    try {
+      return await BlockTimestamp.findOne({ network, timestamp });
+    } catch (error) {
+      console.warn(`⚠️ Block lookup in database failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async storeResult(result) {
+    if (!databaseConnection.isConnected) {
+      return;
+    }
+
+    try {
+      await BlockTimestamp.updateOne(
+        { network: result.network, timestamp: result.timestamp },
+        { $set: result },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to persist block resolution: ${error.message}`);
+    }
+  }
+
+  async cacheResult(cacheKey, result, ttl = BLOCK_CONFIG.CACHE_TTL) {
+    if (redisConnection.getClient()) {
+      await redisConnection.set(cacheKey, result, ttl);
+    }
+  }
+}
+
+module.exports = new BlockService();
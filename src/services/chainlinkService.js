@@ -0,0 +1,131 @@
+const { BigNumber, Utils } = require('alchemy-sdk');
+const alchemyConnection = require('../config/alchemy');
+const blockService = require('./blockService');
+const rateLimiterService = require('./rateLimiterService');
+const { CHAINLINK_CONFIG } = require('../constants');
+
+const AGGREGATOR_PROXY_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function getRoundData(uint80 roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Proxy round ids are (phaseId << 64) | aggregatorRoundId
+const AGGREGATOR_ROUND_MASK = BigNumber.from(1).shl(64).sub(1);
+
+class ChainlinkService {
+  constructor() {
+    this.aggregator = new Utils.Interface(AGGREGATOR_PROXY_ABI);
+  }
+
+  getFeed(token, network) {
+    const feeds = CHAINLINK_CONFIG.FEEDS[network.toLowerCase()] || {};
+    return feeds[token.toLowerCase()] || null;
+  }
+
+  hasFeed(token, network) {
+    return !!this.getFeed(token, network);
+  }
+
+  // Main method: the aggregator answer that was valid at a timestamp
+  async getPriceAtTimestamp(token, network, timestamp) {
+    const feed = this.getFeed(token, network);
+    if (!feed) {
+      return null;
+    }
+
+    const client = alchemyConnection.getClient(network);
+    const { blockNumber } = await blockService.getBlockByTimestamp(
+      network,
+      timestamp
+    );
+
+    const [decimals] = await this.call(
+      client,
+      feed.proxy,
+      'decimals',
+      [],
+      blockNumber
+    );
+
+    // Start from the latest round as of the resolved block...
+    let round = await this.call(
+      client,
+      feed.proxy,
+      'latestRoundData',
+      [],
+      blockNumber
+    );
+
+    // ...and walk backwards until the round was updated at or before the target
+    let steps = 0;
+    while (round.updatedAt.toNumber() > timestamp) {
+      const previousRoundId = this.getPreviousRoundId(round.roundId);
+
+      if (!previousRoundId || steps >= CHAINLINK_CONFIG.MAX_ROUND_STEPS) {
+        console.warn(
+          `⚠️ No ${feed.pair} round found before ${timestamp} within ${steps} steps`
+        );
+        return null;
+      }
+
+      round = await this.call(
+        client,
+        feed.proxy,
+        'getRoundData',
+        [previousRoundId],
+        blockNumber
+      );
+      steps++;
+    }
+
+    const updatedAt = round.updatedAt.toNumber();
+    if (timestamp - updatedAt > CHAINLINK_CONFIG.MAX_STALENESS_SECONDS) {
+      console.warn(
+        `⚠️ Stale ${feed.pair} answer: updated at ${updatedAt}, requested ${timestamp}`
+      );
+      return null;
+    }
+
+    if (round.answer.lte(0)) {
+      return null;
+    }
+
+    const price = parseFloat(Utils.formatUnits(round.answer, decimals));
+
+    return {
+      price,
+      priceUsd: price,
+      metadata: {
+        method: 'chainlink',
+        feed: feed.pair,
+        proxy: feed.proxy,
+        roundId: round.roundId.toString(),
+        answeredInRound: round.answeredInRound.toString(),
+        updatedAt,
+        blockNumber,
+        roundsWalked: steps
+      }
+    };
+  }
+
+  // Previous round within the same phase (null at the start of a phase)
+  getPreviousRoundId(roundId) {
+    const aggregatorRoundId = roundId.and(AGGREGATOR_ROUND_MASK);
+
+    if (aggregatorRoundId.lte(1)) {
+      return null;
+    }
+
+    return roundId.sub(1);
+  }
+
+  async call(client, to, method, args, blockNumber) {
+    const data = this.aggregator.encodeFunctionData(method, args);
+    await rateLimiterService.acquireRpc();
+    const result = await client.core.call({ to, data }, blockNumber);
+    return this.aggregator.decodeFunctionResult(method, result);
+  }
+}
+
+module.exports = new ChainlinkService();
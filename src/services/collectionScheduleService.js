@@ -0,0 +1,214 @@
+const moment = require('moment');
+const Token = require('../models/Token');
+const TokenPrice = require('../models/TokenPrice');
+const databaseConnection = require('../config/database');
+const oracleService = require('./oracleService');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, COLLECTION_SCHEDULES } = require('../constants');
+
+// Loaded lazily: the queue pulls in BullMQ and its Redis connection
+const getQueueService = () => require('./queueService');
+
+class CollectionScheduleService {
+  ensureDatabase() {
+    if (!databaseConnection.isConnected) {
+      throw new AppError(
+        'Database not available',
+        HTTP_STATUS.SERVICE_UNAVAILABLE
+      );
+    }
+  }
+
+  getScheduleJobId(token) {
+    return `schedule-${token.network}-${token.address}`;
+  }
+
+  async getScheduledToken(id) {
+    this.ensureDatabase();
+
+    const token = await Token.findById(id);
+
+    if (!token || !token.collectionSchedule?.granularity) {
+      throw new AppError('Schedule not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return token;
+  }
+
+  async register(token) {
+    const { granularity } = token.collectionSchedule;
+
+    await getQueueService().addRepeatableCollectionJob(
+      {
+        token: token.address,
+        network: token.network,
+        granularity,
+        mode: 'incremental'
+      },
+      {
+        jobId: this.getScheduleJobId(token),
+        pattern: COLLECTION_SCHEDULES[granularity]
+      }
+    );
+  }
+
+  /**
+   * Track a registered token with a recurring incremental collection job
+   * @param {string} id - Token ObjectId
+   * @param {string} granularity - 1h, 4h or 1d
+   * @returns {Promise<Object>} The schedule summary
+   */
+  async scheduleToken(id, granularity) {
+    this.ensureDatabase();
+
+    const token = await Token.findById(id);
+
+    if (!token) {
+      throw new AppError('Token not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    token.collectionSchedule = {
+      granularity,
+      isPaused: false,
+      updatedAt: new Date()
+    };
+    await this.register(token);
+    await token.save();
+
+    return this.describe(token);
+  }
+
+  // Called when a backfill completes; keeps an existing schedule untouched
+  async ensureSchedule(address, network, granularity = '1d') {
+    try {
+      if (!databaseConnection.isConnected) {
+        return null;
+      }
+
+      const token = await Token.findByAddress(address, network);
+
+      if (!token || token.collectionSchedule?.granularity) {
+        return null;
+      }
+
+      return await this.scheduleToken(token._id, granularity);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not schedule collection for ${address} on ${network}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  async listSchedules() {
+    this.ensureDatabase();
+
+    const [tokens, repeatable] = await Promise.all([
+      Token.find({ 'collectionSchedule.granularity': { $exists: true } })
+        .sort({ network: 1, symbol: 1 }),
+      getQueueService().getRepeatableCollectionJobs()
+    ]);
+    const nextRuns = new Map(
+      repeatable.map((entry) => [entry.id, entry.next])
+    );
+
+    return tokens.map((token) =>
+      this.describe(token, nextRuns.get(this.getScheduleJobId(token)))
+    );
+  }
+
+  async pauseSchedule(id) {
+    const token = await this.getScheduledToken(id);
+
+    await getQueueService().removeRepeatableCollectionJob(
+      this.getScheduleJobId(token)
+    );
+    token.set({
+      'collectionSchedule.isPaused': true,
+      'collectionSchedule.updatedAt': new Date()
+    });
+    await token.save();
+
+    return this.describe(token);
+  }
+
+  async resumeSchedule(id) {
+    const token = await this.getScheduledToken(id);
+
+    token.set({
+      'collectionSchedule.isPaused': false,
+      'collectionSchedule.updatedAt': new Date()
+    });
+    await this.register(token);
+    await token.save();
+
+    return this.describe(token);
+  }
+
+  async removeSchedule(id) {
+    const token = await this.getScheduledToken(id);
+
+    await getQueueService().removeRepeatableCollectionJob(
+      this.getScheduleJobId(token)
+    );
+    token.collectionSchedule = undefined;
+    await token.save();
+
+    console.log(`🗑️ Removed collection schedule for ${token.address}`);
+  }
+
+  // Re-register active schedules, e.g. after Redis lost its repeatable jobs
+  async syncSchedules() {
+    if (!databaseConnection.isConnected) {
+      return 0;
+    }
+
+    const tokens = await Token.find({
+      isActive: true,
+      'collectionSchedule.granularity': { $exists: true },
+      'collectionSchedule.isPaused': { $ne: true }
+    });
+
+    for (const token of tokens) {
+      await this.register(token);
+    }
+
+    console.log(`🔁 Synced ${tokens.length} collection schedules`);
+    return tokens.length;
+  }
+
+  /**
+   * Interval timestamps after the latest stored price, up to now. Tokens
+   * without history start from their creation time.
+   * @returns {Promise<number[]>} Unix timestamps to collect
+   */
+  async getMissingTail(address, network, granularity = '1d') {
+    const latest = await TokenPrice.getLatestPrice(address, network);
+    const start = latest
+      ? latest.timestamp + 1
+      : await oracleService.getTokenCreationTimestamp(address, network);
+
+    return oracleService
+      .generateTimestamps(start, moment().unix(), granularity)
+      .filter((timestamp) => !latest || timestamp > latest.timestamp);
+  }
+
+  describe(token, nextRun) {
+    const { granularity, isPaused, updatedAt } = token.collectionSchedule;
+
+    return {
+      id: token._id,
+      token: token.address,
+      network: token.network,
+      symbol: token.symbol,
+      granularity,
+      pattern: COLLECTION_SCHEDULES[granularity],
+      timezone: 'UTC',
+      isPaused: Boolean(isPaused),
+      nextRun: nextRun && !isPaused ? new Date(nextRun).toISOString() : null,
+      updatedAt
+    };
+  }
+}
+
+module.exports = new CollectionScheduleService();
@@ -0,0 +1,176 @@
+const FailedTimestamp = require('../models/FailedTimestamp');
+const databaseConnection = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../constants');
+
+// Loaded lazily: the queue pulls in BullMQ and its Redis connection
+const getQueueService = () => require('./queueService');
+
+class DeadLetterService {
+  ensureDatabase() {
+    if (!databaseConnection.isConnected) {
+      throw new AppError(
+        'Database not available',
+        HTTP_STATUS.SERVICE_UNAVAILABLE
+      );
+    }
+  }
+
+  /**
+   * Record a timestamp a collection job gave up on. Bookkeeping failures are
+   * logged rather than failing the job.
+   * @param {Object} failure - `{ token, network, timestamp, granularity, error, attempts, jobId }`
+   */
+  async recordFailure(failure) {
+    try {
+      await FailedTimestamp.recordFailure(failure);
+    } catch (error) {
+      console.error(
+        `❌ Could not record failed timestamp ${failure.timestamp} for ${failure.token}:`,
+        error
+      );
+    }
+  }
+
+  // Drop the dead letter once a price is stored for the timestamp
+  async resolve(token, network, timestamp) {
+    try {
+      await FailedTimestamp.resolve(token, network, timestamp);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not clear failed timestamp ${timestamp} for ${token}: ${error.message}`
+      );
+    }
+  }
+
+  // Drop the dead letters of timestamps a bulk backfill stored
+  async resolveMany(token, network, timestamps) {
+    try {
+      await FailedTimestamp.resolveMany(token, network, timestamps);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not clear ${timestamps.length} failed timestamps for ${token}: ${error.message}`
+      );
+    }
+  }
+
+  async listFailures({ token, network, status, limit = 50, offset = 0 } = {}) {
+    this.ensureDatabase();
+
+    const query = {};
+    if (token) query.token = token.toLowerCase();
+    if (network) query.network = network.toLowerCase();
+    if (status) query.status = status;
+
+    const [failures, total] = await Promise.all([
+      FailedTimestamp.find(query)
+        .sort({ lastFailedAt: -1 })
+        .skip(offset)
+        .limit(limit),
+      FailedTimestamp.countDocuments(query)
+    ]);
+
+    return { failures, pagination: { limit, offset, total } };
+  }
+
+  /**
+   * Re-enqueue selected failures, one collection job per token, network and
+   * granularity. Failures already being retried are included once their
+   * retry job has finished or is gone.
+   * @param {Object} selection - `{ ids }` or `{ token, network }`
+   * @returns {Promise<{retried: number, jobs: Object[]}>}
+   */
+  async retryFailures({ ids, token, network }) {
+    this.ensureDatabase();
+
+    const query = { status: { $in: ['failed', 'retrying'] } };
+    if (ids) query._id = { $in: ids };
+    if (token) query.token = token.toLowerCase();
+    if (network) query.network = network.toLowerCase();
+
+    const failures = await this.dropPendingRetries(
+      await FailedTimestamp.find(query).sort({ timestamp: 1 })
+    );
+
+    if (failures.length === 0) {
+      throw new AppError('No failed timestamps to retry', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const groups = new Map();
+    failures.forEach((failure) => {
+      const granularity = failure.granularity || '1d';
+      const key = `${failure.network}:${failure.token}:${granularity}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          token: failure.token,
+          network: failure.network,
+          granularity,
+          failures: []
+        });
+      }
+      groups.get(key).failures.push(failure);
+    });
+
+    const jobs = [];
+
+    for (const group of groups.values()) {
+      const timestamps = group.failures.map((failure) => failure.timestamp);
+      const job = await getQueueService().addPriceCollectionJob({
+        token: group.token,
+        network: group.network,
+        timestamps,
+        granularity: group.granularity,
+        mode: 'retry'
+      });
+
+      await FailedTimestamp.updateMany(
+        { _id: { $in: group.failures.map((failure) => failure._id) } },
+        { $set: { status: 'retrying', retryJobId: String(job.id) } }
+      );
+
+      jobs.push({
+        jobId: job.id,
+        token: group.token,
+        network: group.network,
+        granularity: group.granularity,
+        timestamps: timestamps.length
+      });
+    }
+
+    console.log(
+      `🔁 Re-enqueued ${failures.length} failed timestamps in ${jobs.length} jobs`
+    );
+    return { retried: failures.length, jobs };
+  }
+
+  // Leave out failures whose retry job is still waiting or running
+  async dropPendingRetries(failures) {
+    const pending = new Map();
+    const isPending = async(jobId) => {
+      if (!pending.has(jobId)) {
+        const status = await getQueueService().getJobStatus(jobId);
+        pending.set(
+          jobId,
+          Boolean(status) && !['completed', 'failed'].includes(status.state)
+        );
+      }
+      return pending.get(jobId);
+    };
+
+    const retryable = [];
+    for (const failure of failures) {
+      const waiting =
+        failure.status === 'retrying' &&
+        failure.retryJobId &&
+        (await isPending(failure.retryJobId));
+
+      if (!waiting) {
+        retryable.push(failure);
+      }
+    }
+    return retryable;
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -0,0 +1,183 @@
+const providerRegistry = require('../providers');
+const { ORACLE_CONFIG } = require('../constants');
+
+const { AGGREGATION } = ORACLE_CONFIG;
+
+class HistoricalPriceService {
+  constructor() {
+    this.maxDeviation =
+      parseFloat(process.env.PRICE_AGGREGATION_MAX_DEVIATION) ||
+      AGGREGATION.MAX_DEVIATION;
+  }
+
+  // Main method: first provider in the chain that can price the token
+  async fetchPrice(token, network, timestamp) {
+    const providers = providerRegistry.getProviders({
+      capability: 'historicalPrice',
+      network,
+      token
+    });
+    const errors = [];
+
+    for (const provider of providers) {
+      try {
+        const priceData = await provider.getHistoricalPrice(
+          token,
+          network,
+          timestamp
+        );
+
+        if (priceData) {
+          return {
+            ...priceData,
+            provider: provider.name,
+            source: provider.source,
+            metadata: { ...priceData.metadata, provider: provider.name }
+          };
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ Provider ${provider.name} failed for ${token} at ${timestamp}: ${error.message}`
+        );
+        errors.push({ provider: provider.name, message: error.message });
+      }
+    }
+
+    return this.handleNoPrice(token, network, timestamp, errors);
+  }
+
+  /**
+   * Query every capable provider in parallel and combine their quotes.
+   * Quotes further than `maxDeviation` (relative) from the median are
+   * dropped; confidence reflects how many sources agree and how tightly.
+   * @param {string} token - Token contract address
+   * @param {string} network - Network name
+   * @param {number} timestamp - Unix timestamp
+   * @param {Object} options - Optional `maxDeviation` override
+   * @returns {Promise<Object|null>} Aggregate price with per-source quotes
+   */
+  async aggregatePrice(token, network, timestamp, options = {}) {
+    const maxDeviation = options.maxDeviation || this.maxDeviation;
+    const providers = providerRegistry.getProviders({
+      capability: 'historicalPrice',
+      network,
+      token
+    });
+
+    const settled = await Promise.allSettled(
+      providers.map((provider) =>
+        provider.getHistoricalPrice(token, network, timestamp)
+      )
+    );
+
+    const quotes = [];
+    const errors = [];
+
+    settled.forEach((outcome, index) => {
+      const provider = providers[index];
+
+      if (outcome.status === 'rejected') {
+        console.warn(
+          `⚠️ Provider ${provider.name} failed for ${token} at ${timestamp}: ${outcome.reason.message}`
+        );
+        errors.push({
+          provider: provider.name,
+          message: outcome.reason.message
+        });
+        return;
+      }
+
+      const priceData = outcome.value;
+      const price = priceData && (priceData.priceUsd ?? priceData.price);
+
+      if (price > 0) {
+        quotes.push({
+          provider: provider.name,
+          source: provider.source,
+          price,
+          metadata: priceData.metadata
+        });
+      }
+    });
+
+    if (quotes.length === 0) {
+      return this.handleNoPrice(token, network, timestamp, errors);
+    }
+
+    const median = this.median(quotes.map((quote) => quote.price));
+    quotes.forEach((quote) => {
+      quote.deviation = Math.abs(quote.price - median) / median;
+      quote.accepted = quote.deviation <= maxDeviation;
+    });
+
+    // With an even split nothing may sit near the median; defer to priority
+    if (!quotes.some((quote) => quote.accepted)) {
+      quotes[0].accepted = true;
+    }
+
+    const accepted = quotes.filter((quote) => quote.accepted);
+    const price = this.median(accepted.map((quote) => quote.price));
+    const isSingleSource = accepted.length === 1;
+
+    return {
+      price,
+      priceUsd: price,
+      provider: isSingleSource ? accepted[0].provider : 'aggregate',
+      source: isSingleSource ? accepted[0].source : 'aggregated',
+      confidence: this.calculateAgreement(quotes, accepted, maxDeviation),
+      metadata: {
+        method: 'median',
+        provider: isSingleSource ? accepted[0].provider : 'aggregate',
+        median,
+        maxDeviation,
+        acceptedCount: accepted.length,
+        rejectedCount: quotes.length - accepted.length,
+        quotes,
+        errors
+      }
+    };
+  }
+
+  // Share of agreeing sources, reduced by how widely the accepted quotes spread
+  calculateAgreement(quotes, accepted, maxDeviation) {
+    if (quotes.length === 1) {
+      return AGGREGATION.SINGLE_SOURCE_CONFIDENCE;
+    }
+
+    const agreement = accepted.length / quotes.length;
+    const spread = Math.max(...accepted.map((quote) => quote.deviation));
+    const confidence =
+      agreement * (1 - AGGREGATION.SPREAD_PENALTY * (spread / maxDeviation));
+
+    return Math.max(
+      ORACLE_CONFIG.MIN_CONFIDENCE_SCORE,
+      Math.min(ORACLE_CONFIG.MAX_CONFIDENCE_SCORE, confidence)
+    );
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  // Errors may be transient, so surface them instead of reporting "no data"
+  handleNoPrice(token, network, timestamp, errors) {
+    if (errors.length > 0) {
+      const error = new Error(
+        `No provider could price ${token} on ${network} at ${timestamp}: ${errors
+          .map((entry) => `${entry.provider}: ${entry.message}`)
+          .join('; ')}`
+      );
+      error.providerErrors = errors;
+      throw error;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new HistoricalPriceService();
@@ -1,11 +1,29 @@
 const TokenPrice = require('../models/TokenPrice');
+const InterpolatedPrice = require('../models/InterpolatedPrice');
+const { ORACLE_CONFIG, DEX_CONFIG } = require('../constants');
+
+const { INTERPOLATION } = ORACLE_CONFIG;
+const HOUR = 60 * 60;
 
 class InterpolationService {
-  // Main interpolation method
-  async interpolatePrice(token, network, targetTimestamp) {
+  /**
+   * Estimate and store the price at a timestamp between two observations
+   * @param {string} method - One of ORACLE_CONFIG.INTERPOLATION.METHODS;
+   *   trend methods fall back to weighted_average without enough points
+   * @param {Object} options - `{ extrapolate }` projects from one side when
+   *   the target lies outside the collected history
+   * @returns {Promise<Object|null>} The estimate, or null without usable data
+   */
+  async interpolatePrice(
+    token,
+    network,
+    targetTimestamp,
+    method = INTERPOLATION.DEFAULT_METHOD,
+    options = {}
+  ) {
     try {
       console.log(
-        `🧮 Interpolating price for ${token} on ${network} at ${targetTimestamp}`
+        `🧮 Interpolating price for ${token} on ${network} at ${targetTimestamp} (${method})`
       );
 
       // Find nearest prices before and after target timestamp
@@ -17,62 +35,93 @@ class InterpolationService {
 
       // Check if we have both before and after prices
       if (!beforePrice || !afterPrice) {
+        if (options.extrapolate) {
+          return await this.extrapolatePrice(token, network, targetTimestamp);
+        }
+
         console.warn(
           `⚠️ Insufficient data for interpolation: before=${!!beforePrice}, after=${!!afterPrice}`
         );
         return null;
       }
 
-      // Check if timestamps are too far apart (more than 7 days)
-      const maxGap = 7 * 24 * 60 * 60; // 7 days in seconds
-      const gap = afterPrice.timestamp - beforePrice.timestamp;
+      const tokenClass = this.getTokenClass(token, network);
+      const profile = this.getProfile(tokenClass);
 
-      if (gap > maxGap) {
+      // Check if timestamps are too far apart for this class of token
+      const gapHours = (afterPrice.timestamp - beforePrice.timestamp) / HOUR;
+
+      if (gapHours > profile.MAX_TIME_GAP_HOURS) {
         console.warn(
-          `⚠️ Price gap too large for reliable interpolation: ${
-            gap / (24 * 60 * 60)
-          } days`
+          `⚠️ Price gap too large for reliable interpolation: ${gapHours.toFixed(1)}h (max ${profile.MAX_TIME_GAP_HOURS}h for ${tokenClass} tokens)`
         );
         return null;
       }
 
-      // Perform weighted average interpolation
+      const points = ['least_squares', 'monotone_cubic'].includes(method)
+        ? await this.getTrendPoints(token, network, targetTimestamp)
+        : [];
+
       const interpolatedData = this.calculateInterpolation(
         beforePrice,
         afterPrice,
-        targetTimestamp
+        targetTimestamp,
+        method,
+        points,
+        profile
       );
 
-      // Save interpolated price to database
-      const interpolatedPrice = new TokenPrice({
-        token: token.toLowerCase(),
-        network: network.toLowerCase(),
-        date: new Date(targetTimestamp * 1000),
-        timestamp: targetTimestamp,
-        price: interpolatedData.price,
-        source: 'interpolated',
-        confidence: interpolatedData.confidence,
-        metadata: {
-          interpolation: {
-            beforeTimestamp: beforePrice.timestamp,
-            afterTimestamp: afterPrice.timestamp,
-            beforePrice: beforePrice.price,
-            afterPrice: afterPrice.price,
-            method: 'weighted_average'
-          }
-        }
-      });
+      const interpolation = {
+        beforeTimestamp: beforePrice.timestamp,
+        afterTimestamp: afterPrice.timestamp,
+        beforePrice: beforePrice.price,
+        afterPrice: afterPrice.price,
+        method: interpolatedData.method,
+        ...(interpolatedData.method !== method && { requestedMethod: method }),
+        ...(interpolatedData.points && { points: interpolatedData.points }),
+        ...(interpolatedData.rSquared !== undefined && {
+          rSquared: interpolatedData.rSquared
+        }),
+        tokenClass
+      };
 
-      await interpolatedPrice.save();
+      // Save the estimate apart from observations, replacing an earlier one
+      const { requestedMethod, points: pointCount, rSquared } = interpolation;
+      await InterpolatedPrice.updateOne(
+        {
+          token: token.toLowerCase(),
+          network: network.toLowerCase(),
+          timestamp: targetTimestamp
+        },
+        {
+          $set: {
+            date: new Date(targetTimestamp * 1000),
+            price: interpolatedData.price,
+            confidence: interpolatedData.confidence,
+            method: interpolation.method,
+            beforeTimestamp: interpolation.beforeTimestamp,
+            afterTimestamp: interpolation.afterTimestamp,
+            beforePrice: interpolation.beforePrice,
+            afterPrice: interpolation.afterPrice,
+            isStale: false,
+            metadata: {
+              requestedMethod,
+              points: pointCount,
+              rSquared,
+              tokenClass
+            }
+          },
+          $unset: { staleSince: '' }
+        },
+        { upsert: true, runValidators: true }
+      );
 
       return {
         price: interpolatedData.price,
         confidence: interpolatedData.confidence,
-        beforePrice: beforePrice.price,
-        afterPrice: afterPrice.price,
-        beforeTimestamp: beforePrice.timestamp,
-        afterTimestamp: afterPrice.timestamp,
-        method: 'weighted_average'
+        confidenceLevel: interpolatedData.confidenceLevel,
+        band: interpolatedData.band,
+        ...interpolation
       };
     } catch (error) {
       console.error('Error in interpolatePrice:', error);
@@ -80,102 +129,545 @@ class InterpolationService {
     }
   }
 
-  // Calculate interpolated price using weighted average
-  calculateInterpolation(beforePrice, afterPrice, targetTimestamp) {
+  // Current stored estimate in the shape interpolatePrice returns
+  async getStoredEstimate(token, network, targetTimestamp) {
+    const estimate = await InterpolatedPrice.findOne({
+      token: token.toLowerCase(),
+      network: network.toLowerCase(),
+      timestamp: targetTimestamp,
+      isStale: false
+    });
+
+    if (!estimate) {
+      return null;
+    }
+
+    const tokenClass = this.getTokenClass(token, network);
+
+    return {
+      price: estimate.price,
+      confidence: estimate.confidence,
+      confidenceLevel: this.getConfidenceLevel(estimate.confidence),
+      band: this.getConfidenceBand(
+        estimate.price,
+        estimate.confidence,
+        Math.abs(estimate.afterPrice - estimate.beforePrice) || 0,
+        this.getProfile(tokenClass)
+      ),
+      beforeTimestamp: estimate.beforeTimestamp,
+      afterTimestamp: estimate.afterTimestamp,
+      beforePrice: estimate.beforePrice,
+      afterPrice: estimate.afterPrice,
+      method: estimate.method,
+      tokenClass,
+      ...estimate.metadata
+    };
+  }
+
+  // Stablecoins get tighter bounds and tolerate longer gaps than other tokens
+  getTokenClass(token, network) {
+    const stablecoins = DEX_CONFIG[network.toLowerCase()]?.STABLECOINS || [];
+
+    return stablecoins.includes(token.toLowerCase())
+      ? 'stablecoin'
+      : 'volatile';
+  }
+
+  // Interpolation limits for a token class, falling back to the defaults
+  getProfile(tokenClass = 'volatile') {
+    return { ...INTERPOLATION, ...INTERPOLATION.TOKEN_CLASSES[tokenClass] };
+  }
+
+  getConfidenceLevel(confidence) {
+    if (confidence >= INTERPOLATION.HIGH_CONFIDENCE_THRESHOLD) {
+      return 'high';
+    }
+    if (confidence >= INTERPOLATION.MEDIUM_CONFIDENCE_THRESHOLD) {
+      return 'medium';
+    }
+    return 'low';
+  }
+
+  /**
+   * Low and high price estimates around a point value. The band widens as
+   * confidence drops, in proportion to how far the price moved across the
+   * observations it was estimated from.
+   * @param {number} spread - Absolute price move the estimate spans
+   * @returns {{low: number, high: number}}
+   */
+  getConfidenceBand(price, confidence, spread, profile = this.getProfile()) {
+    const halfWidth =
+      (1 - confidence) * Math.max(spread, price * profile.BAND_MIN_SPREAD);
+
+    return {
+      low: parseFloat(Math.max(0, price - halfWidth).toFixed(8)),
+      high: parseFloat((price + halfWidth).toFixed(8))
+    };
+  }
+
+  /**
+   * Re-interpolate estimates flagged stale by new observations, oldest first.
+   * Estimates that now have an observation, or no longer have neighbours on
+   * both sides, are dropped.
+   * @returns {Promise<{migrated: number, refreshed: number, removed: number}>}
+   */
+  async refreshStaleEstimates(limit = INTERPOLATION.REFRESH_BATCH_SIZE) {
+    const migrated = await this.migrateLegacyEstimates(limit);
+    const stale = await InterpolatedPrice.find({ isStale: true })
+      .sort({ staleSince: 1 })
+      .limit(limit);
+    const result = { migrated, refreshed: 0, removed: 0 };
+
+    for (const estimate of stale) {
+      const { token, network, timestamp, method } = estimate;
+
+      try {
+        const observed = await TokenPrice.exists({
+          token,
+          network,
+          timestamp,
+          source: { $ne: 'interpolated' }
+        });
+        const refreshed = observed
+          ? null
+          : await this.interpolatePrice(token, network, timestamp, method);
+
+        if (refreshed) {
+          result.refreshed++;
+        } else {
+          await InterpolatedPrice.deleteOne({ _id: estimate._id });
+          result.removed++;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Could not refresh interpolated price for ${token} at ${timestamp}:`,
+          error
+        );
+      }
+    }
+
+    console.log(
+      `🔁 Interpolation sweep: ${result.refreshed} refreshed, ${result.removed} removed, ${migrated} migrated`
+    );
+    return result;
+  }
+
+  // Move estimates saved to token_prices by earlier versions, flagged stale
+  // so the sweep recomputes them
+  async migrateLegacyEstimates(limit) {
+    const legacy = await TokenPrice.find({ source: 'interpolated' }).limit(
+      limit
+    );
+
+    for (const row of legacy) {
+      const interpolation = row.metadata?.interpolation || {};
+
+      await InterpolatedPrice.updateOne(
+        { token: row.token, network: row.network, timestamp: row.timestamp },
+        {
+          $setOnInsert: {
+            date: row.date,
+            price: row.price,
+            confidence: row.confidence ?? ORACLE_CONFIG.MIN_CONFIDENCE_SCORE,
+            method: INTERPOLATION.METHODS.includes(interpolation.method)
+              ? interpolation.method
+              : INTERPOLATION.DEFAULT_METHOD,
+            beforeTimestamp: interpolation.beforeTimestamp ?? row.timestamp,
+            afterTimestamp: interpolation.afterTimestamp ?? row.timestamp,
+            beforePrice: interpolation.beforePrice,
+            afterPrice: interpolation.afterPrice,
+            isStale: true,
+            staleSince: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      await TokenPrice.deleteOne({ _id: row._id });
+    }
+
+    return legacy.length;
+  }
+
+  /**
+   * Project a price past the first or last observation from the trend of
+   * the nearest EXTRAPOLATION_POINTS. Confidence starts at the token class's
+   * interpolated confidence, so a one-sided projection never outranks an
+   * estimate between two observations, and decays exponentially with the
+   * distance to the nearest observation; nothing is projected beyond
+   * MAX_DISTANCE_HOURS. Projections are not stored, so collected prices
+   * replace them as soon as they arrive.
+   * @returns {Promise<Object|null>} The projection with `source: "extrapolated"`
+   */
+  async extrapolatePrice(token, network, targetTimestamp) {
+    const points = await this.getExtrapolationPoints(
+      token,
+      network,
+      targetTimestamp
+    );
+
+    if (points.length === 0) {
+      return null;
+    }
+
+    const forward = points[0].timestamp <= targetTimestamp;
+    const anchor = forward ? points[points.length - 1] : points[0];
+    const distanceHours = Math.abs(targetTimestamp - anchor.timestamp) / HOUR;
+
+    if (distanceHours > INTERPOLATION.MAX_DISTANCE_HOURS) {
+      console.warn(
+        `⚠️ Target is ${distanceHours.toFixed(1)}h from collected history; not extrapolating beyond ${INTERPOLATION.MAX_DISTANCE_HOURS}h`
+      );
+      return null;
+    }
+
+    // Follow the trend when there are enough points, else hold the last price
+    const fit =
+      points.length >= INTERPOLATION.MIN_TREND_POINTS
+        ? this.leastSquares(points, targetTimestamp)
+        : null;
+    const projected = fit && fit.price > 0;
+
+    const profile = this.getProfile(this.getTokenClass(token, network));
+    const confidence = parseFloat(
+      Math.max(
+        ORACLE_CONFIG.MIN_CONFIDENCE_SCORE,
+        profile.INTERPOLATED_CONFIDENCE *
+          Math.exp(-INTERPOLATION.TIME_DECAY_FACTOR * distanceHours)
+      ).toFixed(4)
+    );
+    const price = parseFloat(
+      (projected ? fit.price : anchor.price).toFixed(8)
+    );
+
+    console.log(
+      `🔭 Extrapolated ${token} on ${network} ${distanceHours.toFixed(1)}h ${forward ? 'forward' : 'backward'} from ${points.length} points`
+    );
+
+    return {
+      price,
+      confidence,
+      confidenceLevel: this.getConfidenceLevel(confidence),
+      band: this.getConfidenceBand(
+        price,
+        confidence,
+        Math.abs(price - anchor.price),
+        profile
+      ),
+      source: 'extrapolated',
+      extrapolation: {
+        method: projected ? 'least_squares' : 'last_price',
+        direction: forward ? 'forward' : 'backward',
+        anchorTimestamp: anchor.timestamp,
+        anchorPrice: anchor.price,
+        distanceHours: parseFloat(distanceHours.toFixed(2)),
+        points: points.length,
+        ...(projected && { rSquared: fit.rSquared })
+      }
+    };
+  }
+
+  // Nearest observations on the side of the target that has data, oldest first
+  async getExtrapolationPoints(token, network, targetTimestamp) {
+    const query = (timestamp, order) =>
+      TokenPrice.find({
+        token: token.toLowerCase(),
+        network: network.toLowerCase(),
+        timestamp,
+        source: { $ne: 'interpolated' }
+      })
+        .sort({ timestamp: order })
+        .limit(INTERPOLATION.EXTRAPOLATION_POINTS)
+        .select('timestamp price');
+
+    const before = await query({ $lte: targetTimestamp }, -1);
+
+    if (before.length > 0) {
+      return before.reverse();
+    }
+
+    return query({ $gte: targetTimestamp }, 1);
+  }
+
+  // Stored observations around the target, oldest first
+  async getTrendPoints(token, network, targetTimestamp) {
+    const window = INTERPOLATION.TREND_WINDOW_DAYS * 24 * HOUR;
+
+    return TokenPrice.find({
+      token: token.toLowerCase(),
+      network: network.toLowerCase(),
+      timestamp: {
+        $gte: targetTimestamp - window,
+        $lte: targetTimestamp + window
+      },
+      source: { $ne: 'interpolated' }
+    })
+      .sort({ timestamp: 1 })
+      .select('timestamp price');
+  }
+
+  // Estimate the price with the requested method
+  calculateInterpolation(
+    beforePrice,
+    afterPrice,
+    targetTimestamp,
+    method = INTERPOLATION.DEFAULT_METHOD,
+    points = [],
+    profile = this.getProfile()
+  ) {
     const tsBefore = beforePrice.timestamp;
     const tsAfter = afterPrice.timestamp;
-    const tsTarget = targetTimestamp;
 
     // Calculate the ratio of where target timestamp falls between before and after
-    const ratio = (tsTarget - tsBefore) / (tsAfter - tsBefore);
+    const ratio =
+      tsAfter === tsBefore
+        ? 0
+        : (targetTimestamp - tsBefore) / (tsAfter - tsBefore);
+
+    let estimate = this.estimate(
+      beforePrice,
+      afterPrice,
+      targetTimestamp,
+      ratio,
+      method,
+      points
+    );
+
+    // Trend methods can run away from the neighbours; the weighted average
+    // always stays between them
+    if (
+      estimate.method !== INTERPOLATION.DEFAULT_METHOD &&
+      !this.validateInterpolation(
+        beforePrice,
+        afterPrice,
+        estimate.price,
+        profile
+      )
+    ) {
+      estimate = this.estimate(
+        beforePrice,
+        afterPrice,
+        targetTimestamp,
+        ratio,
+        INTERPOLATION.DEFAULT_METHOD,
+        points
+      );
+    }
 
-    // Weighted average interpolation
-    const interpolatedPrice =
-      beforePrice.price + ratio * (afterPrice.price - beforePrice.price);
+    // Round to 8 decimal places
+    const price = parseFloat(estimate.price.toFixed(8));
 
     // Calculate confidence based on time gap and price volatility
-    const confidence = this.calculateConfidence(beforePrice, afterPrice, ratio);
+    const confidence = this.calculateConfidence(
+      beforePrice,
+      afterPrice,
+      ratio,
+      profile
+    );
 
     return {
-      price: parseFloat(interpolatedPrice.toFixed(8)), // Round to 8 decimal places
-      confidence: confidence
+      ...estimate,
+      price,
+      confidence,
+      confidenceLevel: this.getConfidenceLevel(confidence),
+      band: this.getConfidenceBand(
+        price,
+        confidence,
+        Math.abs(afterPrice.price - beforePrice.price),
+        profile
+      )
     };
   }
 
+  estimate(beforePrice, afterPrice, targetTimestamp, ratio, method, points) {
+    const fallback = () =>
+      this.estimate(
+        beforePrice,
+        afterPrice,
+        targetTimestamp,
+        ratio,
+        INTERPOLATION.DEFAULT_METHOD,
+        points
+      );
+
+    switch (method) {
+    case 'least_squares': {
+      if (points.length < INTERPOLATION.MIN_TREND_POINTS) {
+        return fallback();
+      }
+
+      const fit = this.leastSquares(points, targetTimestamp);
+      if (fit.price <= 0) {
+        return fallback();
+      }
+
+      return { method, ...fit, points: points.length };
+    }
+    case 'monotone_cubic': {
+      if (points.length < INTERPOLATION.MIN_TREND_POINTS) {
+        return fallback();
+      }
+
+      return {
+        method,
+        price: this.monotoneCubic(points, targetTimestamp),
+        points: points.length
+      };
+    }
+    case 'log_linear':
+      // Constant growth rate between the neighbours; needs positive prices
+      if (beforePrice.price <= 0 || afterPrice.price <= 0) {
+        return fallback();
+      }
+
+      return {
+        method,
+        price: Math.exp(
+          Math.log(beforePrice.price) +
+            ratio * (Math.log(afterPrice.price) - Math.log(beforePrice.price))
+        )
+      };
+    default:
+      // Weighted average of the neighbours by distance in time
+      return {
+        method: 'weighted_average',
+        price: beforePrice.price + ratio * (afterPrice.price - beforePrice.price)
+      };
+    }
+  }
+
+  /**
+   * Ordinary least-squares line through the window, evaluated at the target.
+   * Time is measured in hours from the target to keep the sums small.
+   * @returns {{price: number, rSquared: number}}
+   */
+  leastSquares(points, targetTimestamp) {
+    const xs = points.map((point) => (point.timestamp - targetTimestamp) / HOUR);
+    const ys = points.map((point) => point.price);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    xs.forEach((x, index) => {
+      sxx += (x - meanX) ** 2;
+      sxy += (x - meanX) * (ys[index] - meanY);
+      syy += (ys[index] - meanY) ** 2;
+    });
+
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+
+    return {
+      price: intercept,
+      rSquared: parseFloat((sxx === 0 ? 0 : rSquared).toFixed(4))
+    };
+  }
+
+  /**
+   * Monotone cubic Hermite spline (Fritsch-Butland tangents), which passes
+   * through every point without overshooting between them
+   */
+  monotoneCubic(points, targetTimestamp) {
+    const xs = points.map((point) => point.timestamp / HOUR);
+    const ys = points.map((point) => point.price);
+    const x = targetTimestamp / HOUR;
+    const last = xs.length - 1;
+
+    const widths = xs.slice(1).map((value, index) => value - xs[index]);
+    const slopes = widths.map(
+      (width, index) => (ys[index + 1] - ys[index]) / width
+    );
+
+    const tangents = xs.map((_, index) => {
+      if (index === 0) return slopes[0];
+      if (index === last) return slopes[last - 1];
+
+      const [left, right] = [slopes[index - 1], slopes[index]];
+      if (left * right <= 0) return 0;
+
+      const [h0, h1] = [widths[index - 1], widths[index]];
+      return (3 * (h0 + h1)) / ((2 * h1 + h0) / left + (h1 + 2 * h0) / right);
+    });
+
+    let k = 0;
+    while (k < last - 1 && xs[k + 1] < x) k++;
+
+    const h = widths[k];
+    const t = Math.min(Math.max((x - xs[k]) / h, 0), 1);
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return (
+      (2 * t3 - 3 * t2 + 1) * ys[k] +
+      (t3 - 2 * t2 + t) * h * tangents[k] +
+      (-2 * t3 + 3 * t2) * ys[k + 1] +
+      (t3 - t2) * h * tangents[k + 1]
+    );
+  }
+
   // Calculate confidence score for interpolated price
-  calculateConfidence(beforePrice, afterPrice, ratio) {
-    // Base confidence starts at 0.8 for interpolated data
-    let confidence = 0.8;
+  calculateConfidence(
+    beforePrice,
+    afterPrice,
+    ratio,
+    profile = this.getProfile()
+  ) {
+    let confidence = profile.INTERPOLATED_CONFIDENCE;
 
     // Reduce confidence if prices are very different (high volatility)
     const priceChange =
       Math.abs(afterPrice.price - beforePrice.price) / beforePrice.price;
-    if (priceChange > 0.5) {
-      // More than 50% change
-      confidence *= 0.7;
-    } else if (priceChange > 0.2) {
-      // More than 20% change
-      confidence *= 0.85;
+    const move = profile.MOVE_PENALTIES.find(
+      (penalty) => priceChange > penalty.change
+    );
+    if (move) {
+      confidence *= move.factor;
     }
 
     // Reduce confidence if interpolating near the edges
     if (ratio < 0.1 || ratio > 0.9) {
-      confidence *= 0.9;
+      confidence *= profile.EDGE_PENALTY;
     }
 
     // Reduce confidence based on time gap
-    const timeGap = afterPrice.timestamp - beforePrice.timestamp;
-    const hoursGap = timeGap / 3600; // Convert to hours
-
-    if (hoursGap > 48) {
-      // More than 2 days
-      confidence *= 0.8;
-    } else if (hoursGap > 24) {
-      // More than 1 day
-      confidence *= 0.9;
+    const hoursGap = (afterPrice.timestamp - beforePrice.timestamp) / HOUR;
+    const gap = profile.GAP_PENALTIES.find(
+      (penalty) => hoursGap > penalty.hours
+    );
+    if (gap) {
+      confidence *= gap.factor;
     }
 
-    return Math.max(0.1, Math.min(1.0, confidence)); // Clamp between 0.1 and 1.0
+    return Math.max(
+      ORACLE_CONFIG.MIN_CONFIDENCE_SCORE,
+      Math.min(ORACLE_CONFIG.MAX_CONFIDENCE_SCORE, confidence)
+    );
   }
 
-  // Advanced interpolation methods
-  async interpolateWithTrend(token, network, targetTimestamp) {
-    try {
-      // Get more data points for trend analysis
-      const prices = await TokenPrice.find({
-        token: token.toLowerCase(),
-        network: network.toLowerCase(),
-        timestamp: {
-          $gte: targetTimestamp - 7 * 24 * 60 * 60, // 7 days before
-          $lte: targetTimestamp + 7 * 24 * 60 * 60 // 7 days after
-        }
-      }).sort({ timestamp: 1 });
-
-      if (prices.length < 3) {
-        // Fall back to simple interpolation
-        return await this.interpolatePrice(token, network, targetTimestamp);
-      }
-
-      // Implement trend-based interpolation
-      // This could use linear regression or moving averages
-      console.log(
-        `📈 Using trend-based interpolation with ${prices.length} data points`
-      );
-
-      // For now, fall back to simple interpolation
-      // TODO: Implement advanced trend analysis
-      return await this.interpolatePrice(token, network, targetTimestamp);
-    } catch (error) {
-      console.error('Error in trend-based interpolation:', error);
-      throw error;
-    }
+  // Interpolate from the trend around the target rather than its neighbours
+  async interpolateWithTrend(
+    token,
+    network,
+    targetTimestamp,
+    method = 'least_squares'
+  ) {
+    return this.interpolatePrice(token, network, targetTimestamp, method);
   }
 
   // Validate interpolation quality
-  validateInterpolation(beforePrice, afterPrice, interpolatedPrice) {
+  validateInterpolation(
+    beforePrice,
+    afterPrice,
+    interpolatedPrice,
+    profile = this.getProfile()
+  ) {
     // Check if interpolated price is within reasonable bounds
-    const minPrice = Math.min(beforePrice.price, afterPrice.price) * 0.5;
-    const maxPrice = Math.max(beforePrice.price, afterPrice.price) * 2;
+    const minPrice =
+      Math.min(beforePrice.price, afterPrice.price) * profile.BOUNDS.LOWER;
+    const maxPrice =
+      Math.max(beforePrice.price, afterPrice.price) * profile.BOUNDS.UPPER;
 
     if (interpolatedPrice < minPrice || interpolatedPrice > maxPrice) {
       console.warn('⚠️ Interpolated price outside reasonable bounds');
@@ -188,27 +680,30 @@ class InterpolationService {
   // Get interpolation statistics
   async getInterpolationStats(token = null, network = null) {
     try {
-      const filter = { source: 'interpolated' };
+      const filter = {};
 
       if (token) filter.token = token.toLowerCase();
       if (network) filter.network = network.toLowerCase();
 
-      const stats = await TokenPrice.aggregate([
+      const stats = await InterpolatedPrice.aggregate([
         { $match: filter },
         {
           $group: {
             _id: null,
             count: { $sum: 1 },
+            stale: { $sum: { $cond: ['$isStale', 1, 0] } },
             avgConfidence: { $avg: '$confidence' },
             minConfidence: { $min: '$confidence' },
             maxConfidence: { $max: '$confidence' }
           }
-        }
+        },
+        { $project: { _id: 0 } }
       ]);
 
       return (
         stats[0] || {
           count: 0,
+          stale: 0,
           avgConfidence: 0,
           minConfidence: 0,
           maxConfidence: 0
@@ -0,0 +1,321 @@
+const { Utils } = require('alchemy-sdk');
+const alchemyConnection = require('../config/alchemy');
+const blockService = require('./blockService');
+const rateLimiterService = require('./rateLimiterService');
+const { DEX_CONFIG } = require('../constants');
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)'
+];
+const V2_FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) view returns (address)'
+];
+const V2_PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+const V3_FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)'
+];
+const V3_POOL_ABI = [
+  'function token0() view returns (address)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+];
+
+const Q96 = 2 ** 96;
+
+class OnchainPriceService {
+  constructor() {
+    this.erc20 = new Utils.Interface(ERC20_ABI);
+    this.v2Factory = new Utils.Interface(V2_FACTORY_ABI);
+    this.v2Pair = new Utils.Interface(V2_PAIR_ABI);
+    this.v3Factory = new Utils.Interface(V3_FACTORY_ABI);
+    this.v3Pool = new Utils.Interface(V3_POOL_ABI);
+    this.decimalsCache = new Map();
+  }
+
+  // Main method: USD price of a token from Uniswap pool state at a timestamp
+  async getPriceAtTimestamp(token, network, timestamp) {
+    const config = DEX_CONFIG[network.toLowerCase()];
+    if (!config) {
+      throw new Error(`No DEX configuration for network: ${network}`);
+    }
+
+    const client = alchemyConnection.getClient(network);
+    const resolved = await blockService.getBlockByTimestamp(network, timestamp);
+    const block = {
+      number: resolved.blockNumber,
+      timestamp: resolved.blockTimestamp
+    };
+    const tokenAddress = token.toLowerCase();
+
+    // Stablecoins are priced at their peg
+    if (config.STABLECOINS.includes(tokenAddress)) {
+      return {
+        price: 1,
+        priceUsd: 1,
+        metadata: {
+          method: 'stablecoin_peg',
+          blockNumber: block.number,
+          blockTimestamp: block.timestamp
+        }
+      };
+    }
+
+    // Route 1: token -> USDC directly
+    const direct = await this.getBestPoolQuote(
+      client,
+      config,
+      tokenAddress,
+      config.USDC,
+      block.number
+    );
+
+    if (direct) {
+      return this.formatResult(direct.price, block, [direct]);
+    }
+
+    // Route 2: token -> WETH -> USDC
+    if (tokenAddress === config.WETH) {
+      return null;
+    }
+
+    const toWeth = await this.getBestPoolQuote(
+      client,
+      config,
+      tokenAddress,
+      config.WETH,
+      block.number
+    );
+
+    if (!toWeth) {
+      return null;
+    }
+
+    const wethToUsd = await this.getBestPoolQuote(
+      client,
+      config,
+      config.WETH,
+      config.USDC,
+      block.number
+    );
+
+    if (!wethToUsd) {
+      return null;
+    }
+
+    return this.formatResult(toWeth.price * wethToUsd.price, block, [
+      toWeth,
+      wethToUsd
+    ]);
+  }
+
+  formatResult(priceUsd, block, hops) {
+    const price = parseFloat(priceUsd.toPrecision(12));
+
+    return {
+      price,
+      priceUsd: price,
+      metadata: {
+        method: hops.length === 1 ? hops[0].protocol : 'uniswap_route',
+        blockNumber: block.number,
+        blockTimestamp: block.timestamp,
+        route: hops.map((hop) => ({
+          protocol: hop.protocol,
+          pool: hop.pool,
+          fee: hop.fee,
+          base: hop.base,
+          quote: hop.quote,
+          price: hop.price,
+          quoteReserve: hop.quoteReserve
+        }))
+      }
+    };
+  }
+
+  // Pick the deepest pool (by quote token held) across V3 fee tiers and V2
+  async getBestPoolQuote(client, config, base, quote, blockNumber) {
+    const candidates = [];
+
+    for (const fee of DEX_CONFIG.V3_FEE_TIERS) {
+      try {
+        const quoteResult = await this.getV3Quote(
+          client,
+          config,
+          base,
+          quote,
+          fee,
+          blockNumber
+        );
+        if (quoteResult) candidates.push(quoteResult);
+      } catch (error) {
+        console.warn(
+          `⚠️ Uniswap V3 quote failed for ${base}/${quote} (${fee}): ${error.message}`
+        );
+      }
+    }
+
+    try {
+      const quoteResult = await this.getV2Quote(
+        client,
+        config,
+        base,
+        quote,
+        blockNumber
+      );
+      if (quoteResult) candidates.push(quoteResult);
+    } catch (error) {
+      console.warn(
+        `⚠️ Uniswap V2 quote failed for ${base}/${quote}: ${error.message}`
+      );
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return candidates.reduce((best, current) =>
+      current.quoteReserve > best.quoteReserve ? current : best
+    );
+  }
+
+  async getV3Quote(client, config, base, quote, fee, blockNumber) {
+    const [pool] = await this.call(
+      client,
+      config.V3_FACTORY,
+      this.v3Factory,
+      'getPool',
+      [base, quote, fee],
+      blockNumber
+    );
+
+    if (this.isEmptyAddress(pool)) {
+      return null;
+    }
+
+    const [[token0], slot0] = await Promise.all([
+      this.call(client, pool, this.v3Pool, 'token0', [], blockNumber),
+      this.call(client, pool, this.v3Pool, 'slot0', [], blockNumber)
+    ]);
+
+    const sqrtPriceX96 = Number(slot0.sqrtPriceX96.toString());
+    if (!sqrtPriceX96) {
+      return null;
+    }
+
+    const [baseDecimals, quoteDecimals, quoteReserve] = await Promise.all([
+      this.getDecimals(client, base, blockNumber),
+      this.getDecimals(client, quote, blockNumber),
+      this.getBalance(client, quote, pool, blockNumber)
+    ]);
+
+    // sqrtPriceX96^2 / 2^192 = raw token1 per raw token0
+    const rawPrice = (sqrtPriceX96 / Q96) ** 2;
+    const baseIsToken0 = token0.toLowerCase() === base;
+    const price = baseIsToken0
+      ? rawPrice * 10 ** (baseDecimals - quoteDecimals)
+      : (1 / rawPrice) * 10 ** (baseDecimals - quoteDecimals);
+
+    return {
+      protocol: 'uniswap_v3',
+      pool: pool.toLowerCase(),
+      fee,
+      base,
+      quote,
+      price,
+      quoteReserve: quoteReserve / 10 ** quoteDecimals
+    };
+  }
+
+  async getV2Quote(client, config, base, quote, blockNumber) {
+    const [pair] = await this.call(
+      client,
+      config.V2_FACTORY,
+      this.v2Factory,
+      'getPair',
+      [base, quote],
+      blockNumber
+    );
+
+    if (this.isEmptyAddress(pair)) {
+      return null;
+    }
+
+    const [[token0], reserves] = await Promise.all([
+      this.call(client, pair, this.v2Pair, 'token0', [], blockNumber),
+      this.call(client, pair, this.v2Pair, 'getReserves', [], blockNumber)
+    ]);
+
+    const [baseDecimals, quoteDecimals] = await Promise.all([
+      this.getDecimals(client, base, blockNumber),
+      this.getDecimals(client, quote, blockNumber)
+    ]);
+
+    const baseIsToken0 = token0.toLowerCase() === base;
+    const baseReserve =
+      Number((baseIsToken0 ? reserves.reserve0 : reserves.reserve1).toString()) /
+      10 ** baseDecimals;
+    const quoteReserve =
+      Number((baseIsToken0 ? reserves.reserve1 : reserves.reserve0).toString()) /
+      10 ** quoteDecimals;
+
+    if (!baseReserve || !quoteReserve) {
+      return null;
+    }
+
+    return {
+      protocol: 'uniswap_v2',
+      pool: pair.toLowerCase(),
+      fee: null,
+      base,
+      quote,
+      price: quoteReserve / baseReserve,
+      quoteReserve
+    };
+  }
+
+  async getDecimals(client, token, blockNumber) {
+    const cacheKey = `${client.config?.network}:${token}`;
+    if (this.decimalsCache.has(cacheKey)) {
+      return this.decimalsCache.get(cacheKey);
+    }
+
+    const [decimals] = await this.call(
+      client,
+      token,
+      this.erc20,
+      'decimals',
+      [],
+      blockNumber
+    );
+    this.decimalsCache.set(cacheKey, Number(decimals));
+    return Number(decimals);
+  }
+
+  async getBalance(client, token, owner, blockNumber) {
+    const [balance] = await this.call(
+      client,
+      token,
+      this.erc20,
+      'balanceOf',
+      [owner],
+      blockNumber
+    );
+    return Number(balance.toString());
+  }
+
+  // eth_call at a historical block and decode the result
+  async call(client, to, contractInterface, method, args, blockNumber) {
+    const data = contractInterface.encodeFunctionData(method, args);
+    await rateLimiterService.acquireRpc();
+    const result = await client.core.call({ to, data }, blockNumber);
+    return contractInterface.decodeFunctionResult(method, result);
+  }
+
+  isEmptyAddress(address) {
+    return !address || address.toLowerCase() === DEX_CONFIG.ZERO_ADDRESS;
+  }
+}
+
+module.exports = new OnchainPriceService();
@@ -2,8 +2,29 @@ const TokenPrice = require("../models/TokenPrice");
 const redisConnection = require("../config/redis");
 const interpolationService = require("./interpolationService");
 const alchemyConnection = require("../config/alchemy");
+const databaseConnection = require("../config/database");
+const historicalPriceService = require("./historicalPriceService");
+const tokenRegistryService = require("./tokenRegistryService");
+const rateLimiterService = require("./rateLimiterService");
+const providerRegistry = require("../providers");
+const { generateHourlyTimestamps } = require("../utils/timeUtils");
+const { GRANULARITIES } = require("../constants");
 const moment = require("moment");
 
+// Prices were found but none met the request's confidence or source
+// requirements; `candidate` is the most confident of them
+class PriceRequirementsError extends Error {
+  constructor(requirements, candidate) {
+    super(
+      `No price meets the requested requirements; best is ${candidate.source} at confidence ${candidate.confidence}`
+    );
+    this.name = "PriceRequirementsError";
+    this.code = "PRICE_REQUIREMENTS_NOT_MET";
+    this.requirements = requirements;
+    this.candidate = candidate;
+  }
+}
+
 class OracleService {
   constructor() {
     this.cacheClient = null;
@@ -29,8 +50,47 @@ class OracleService {
     }
   }
 
-  // Main method: Get token price at specific timestamp
-  async getTokenPriceAtTimestamp(token, network, timestamp) {
+  /**
+   * Main method: Get token price at specific timestamp
+   * @param {Object} options - `{ method }` interpolation method used when no
+   *   observation exists; estimates stored with another method are redone.
+   *   `{ extrapolate }` opts in to projections outside collected history.
+   *   `{ minConfidence, allowedSources }` make every stage pass over prices
+   *   below the confidence or from other sources; when nothing qualifies a
+   *   PriceRequirementsError carries the best of them.
+   */
+  async getTokenPriceAtTimestamp(token, network, timestamp, options = {}) {
+    const {
+      method,
+      extrapolate = false,
+      minConfidence = 0,
+      allowedSources,
+    } = options;
+    // Interpolated results only satisfy requests for the same method
+    const isReusable = (interpolation) =>
+      !method || !interpolation || interpolation.method === method;
+
+    let bestCandidate = null;
+    // Unscored prices count as certain, as when they are stored
+    const meetsRequirements = (candidate) => {
+      if (
+        (candidate.confidence ?? 1) >= minConfidence &&
+        (!allowedSources || allowedSources.includes(candidate.source))
+      ) {
+        return true;
+      }
+
+      if (!bestCandidate || candidate.confidence > bestCandidate.confidence) {
+        bestCandidate = candidate;
+      }
+      return false;
+    };
+    const requirementsError = () =>
+      new PriceRequirementsError(
+        { minConfidence, allowedSources },
+        bestCandidate
+      );
+
     try {
       // 1. Check Redis cache first
       const cacheKey = redisConnection.generatePriceKey(
@@ -39,9 +99,16 @@ class OracleService {
         timestamp
       );
 
+      let cachedPrice = null;
+      let observation = null;
+
       if (this.cacheClient) {
-        const cachedPrice = await redisConnection.get(cacheKey);
-        if (cachedPrice) {
+        cachedPrice = await redisConnection.get(cacheKey);
+        if (
+          cachedPrice &&
+          isReusable(cachedPrice.interpolation) &&
+          meetsRequirements(cachedPrice)
+        ) {
           console.log(
             `💾 Cache hit for ${token} on ${network} at ${timestamp}`
           );
@@ -52,11 +119,12 @@ class OracleService {
         }
       }
 
-      // 2. Check MongoDB for exact timestamp
+      // 2. Check MongoDB for an observation at the exact timestamp
       const existingPrice = await TokenPrice.findOne({
         token: token.toLowerCase(),
         network: network.toLowerCase(),
         timestamp: timestamp,
+        source: { $ne: "interpolated" },
       });
 
       if (existingPrice) {
@@ -70,6 +138,7 @@ class OracleService {
           timestamp: existingPrice.timestamp,
           price: existingPrice.price,
           source: existingPrice.source,
+          provider: existingPrice.metadata?.provider,
           confidence: existingPrice.confidence || 1,
         };
 
@@ -78,70 +147,105 @@ class OracleService {
           await redisConnection.set(cacheKey, result, this.cacheTTL);
         }
 
-        return result;
+        if (meetsRequirements(result)) {
+          return result;
+        }
+
+        // Later stages may still find a price the request accepts
+        observation = result;
       }
 
-      // 3. Try to get price from Alchemy
+      // First sighting of a token: register it and queue its history
+      const hasHistory =
+        observation ||
+        (await TokenPrice.exists({
+          token: token.toLowerCase(),
+          network: network.toLowerCase(),
+          source: { $ne: "interpolated" },
+        }));
+      const backfillJob = hasHistory
+        ? null
+        : await this.scheduleInitialBackfill(token, network);
+
+      // 3. Query the historical price providers in parallel and aggregate
       console.log(
-        `🔍 Fetching from Alchemy: ${token} on ${network} at ${timestamp}`
+        `🔍 Fetching from providers: ${token} on ${network} at ${timestamp}`
       );
 
       try {
-        const alchemyPrice = await this.fetchPriceFromAlchemy(
+        const fetchedPrice = await historicalPriceService.aggregatePrice(
           token,
           network,
           timestamp
         );
 
-        if (alchemyPrice) {
-          // Save to MongoDB
-          const priceRecord = new TokenPrice({
-            token: token.toLowerCase(),
-            network: network.toLowerCase(),
-            date: new Date(timestamp * 1000),
-            timestamp: timestamp,
-            price: alchemyPrice.price,
-            priceUsd: alchemyPrice.priceUsd,
-            source: "alchemy",
-            confidence: 1,
-            metadata: alchemyPrice.metadata,
-          });
-
-          await priceRecord.save();
-
-          const result = {
-            token: token.toLowerCase(),
-            network: network.toLowerCase(),
-            timestamp: timestamp,
-            price: alchemyPrice.price,
-            priceUsd: alchemyPrice.priceUsd,
-            source: "alchemy",
-            confidence: 1,
-          };
-
-          // Cache the result
-          if (this.cacheClient) {
-            await redisConnection.set(cacheKey, result, this.cacheTTL);
+        if (fetchedPrice) {
+          // Answer without storing over the observation already stored
+          let result;
+          if (observation) {
+            result = this.formatFetchedPrice(
+              token,
+              network,
+              timestamp,
+              fetchedPrice
+            );
+          } else {
+            result = await this.storeFetchedPrice(
+              cacheKey,
+              token,
+              network,
+              timestamp,
+              fetchedPrice
+            );
           }
 
-          return result;
+          if (meetsRequirements(result)) {
+            return result;
+          }
         }
-      } catch (alchemyError) {
-        console.warn(`⚠️ Alchemy fetch failed: ${alchemyError.message}`);
+      } catch (providerError) {
+        console.warn(`⚠️ Provider fetch failed: ${providerError.message}`);
       }
 
-      // 4. Use interpolation as fallback
+      // 4. Use interpolation as fallback, reusing a current estimate
       console.log(
         `🧮 Using interpolation for ${token} on ${network} at ${timestamp}`
       );
 
-      const interpolatedPrice = await interpolationService.interpolatePrice(
+      let interpolatedPrice = await interpolationService.getStoredEstimate(
         token,
         network,
         timestamp
       );
 
-      if (interpolatedPrice) {
+      if (!interpolatedPrice || !isReusable(interpolatedPrice)) {
+        interpolatedPrice = await interpolationService.interpolatePrice(
+          token,
+          network,
+          timestamp,
+          method,
+          { extrapolate }
+        );
+      }
+
+      // Projections go stale as history grows, so they are never cached
+      if (interpolatedPrice?.source === "extrapolated") {
+        const result = {
+          token: token.toLowerCase(),
+          network: network.toLowerCase(),
+          timestamp: timestamp,
+          price: interpolatedPrice.price,
+          source: "extrapolated",
+          confidence: interpolatedPrice.confidence,
+          confidenceLevel: interpolatedPrice.confidenceLevel,
+          band: interpolatedPrice.band,
+          extrapolation: interpolatedPrice.extrapolation,
+        };
+
+        if (meetsRequirements(result)) {
+          return result;
+        }
+      } else if (interpolatedPrice) {
         const result = {
           token: token.toLowerCase(),
           network: network.toLowerCase(),
@@ -149,16 +253,28 @@ class OracleService {
           price: interpolatedPrice.price,
           source: "interpolated",
           confidence: interpolatedPrice.confidence,
+          confidenceLevel: interpolatedPrice.confidenceLevel,
+          band: interpolatedPrice.band,
           interpolation: {
             beforePrice: interpolatedPrice.beforePrice,
             afterPrice: interpolatedPrice.afterPrice,
             beforeTimestamp: interpolatedPrice.beforeTimestamp,
             afterTimestamp: interpolatedPrice.afterTimestamp,
+            method: interpolatedPrice.method,
+            tokenClass: interpolatedPrice.tokenClass,
           },
         };
 
-        // Cache the interpolated result with shorter TTL
-        if (this.cacheClient) {
+        // Cache the interpolated result with shorter TTL, unless it falls
+        // short of this request or the cache holds a better price
+        const accepted = meetsRequirements(result);
+        const cachedIsBetter =
+          observation ||
+          (cachedPrice &&
+            (cachedPrice.source !== "interpolated" ||
+              cachedPrice.confidence > result.confidence));
+
+        if (this.cacheClient && accepted && !cachedIsBetter) {
           await redisConnection.set(
             cacheKey,
             result,
@@ -166,10 +282,29 @@ class OracleService {
           );
         }
 
-        return result;
+        if (accepted) {
+          return result;
+        }
+      }
+
+      // 5. No price found, or none good enough
+      if (bestCandidate) {
+        throw requirementsError();
+      }
+
+      // Nothing to answer with until the backfill has run
+      if (backfillJob) {
+        return {
+          token: token.toLowerCase(),
+          network: network.toLowerCase(),
+          timestamp: timestamp,
+          status: "pending",
+          jobId: backfillJob.id,
+          message:
+            "No price history for this token yet; a backfill job has been queued",
+        };
       }
 
-      // 5. No price found
       throw new Error(
         `No price data found for ${token} on ${network} at timestamp ${timestamp}`
       );
@@ -179,14 +314,65 @@ class OracleService {
     }
   }
 
+  // Save a freshly fetched observation to MongoDB and the cache
+  async storeFetchedPrice(
+    cacheKey,
+    token,
+    network,
+    timestamp,
+    priceData
+  ) {
+    const priceRecord = new TokenPrice({
+      token: token.toLowerCase(),
+      network: network.toLowerCase(),
+      date: new Date(timestamp * 1000),
+      timestamp: timestamp,
+      price: priceData.price,
+      priceUsd: priceData.priceUsd,
+      source: priceData.source,
+      confidence: priceData.confidence ?? 1,
+      metadata: priceData.metadata,
+    });
+
+    await TokenPrice.dropLegacyEstimate(token, network, timestamp);
+    await priceRecord.save();
+
+    const result = this.formatFetchedPrice(
+      token,
+      network,
+      timestamp,
+      priceData
+    );
+
+    // Cache the result
+    if (this.cacheClient) {
+      await redisConnection.set(cacheKey, result, this.cacheTTL);
+    }
+
+    return result;
+  }
+
+  // Response shape for an aggregated provider price
+  formatFetchedPrice(token, network, timestamp, priceData) {
+    return {
+      token: token.toLowerCase(),
+      network: network.toLowerCase(),
+      timestamp: timestamp,
+      price: priceData.price,
+      priceUsd: priceData.priceUsd,
+      source: priceData.source,
+      provider: priceData.provider,
+      confidence: priceData.confidence ?? 1,
+    };
+  }
+
   // Schedule historical data collection
-  async scheduleHistoricalDataCollection(token, network) {
+  async scheduleHistoricalDataCollection(token, network, options = {}) {
     try {
       // Get token creation timestamp
-      const creationTimestamp = await this.getTokenCreationTimestamp(
-        token,
-        network
-      );
+      const creationTimestamp =
+        options.creationTimestamp ||
+        (await this.getTokenCreationTimestamp(token, network));
 
       if (!creationTimestamp) {
         throw new Error(
@@ -194,21 +380,57 @@ class OracleService {
         );
       }
 
-      // Generate daily timestamps from creation to now
-      const timestamps = this.generateDailyTimestamps(creationTimestamp);
+      // Requested window, clamped to the token's lifetime and to now
+      const startTimestamp = options.startDate
+        ? Math.max(moment(options.startDate).unix(), creationTimestamp)
+        : creationTimestamp;
+      const endTimestamp = options.endDate
+        ? Math.min(moment(options.endDate).unix(), moment().unix())
+        : moment().unix();
+
+      // Generate timestamps and drop the intervals we already have
+      const granularity = options.granularity || "1d";
+      const requested = this.generateTimestamps(
+        startTimestamp,
+        endTimestamp,
+        granularity
+      );
+      const timestamps = await this.filterStoredIntervals(
+        token,
+        network,
+        requested,
+        granularity
+      );
 
       console.log(
-        `📅 Generated ${timestamps.length} timestamps for ${token} on ${network}`
+        `📅 ${timestamps.length} of ${requested.length} ${granularity} intervals need collection for ${token} on ${network}`
       );
 
+      if (timestamps.length === 0) {
+        return null;
+      }
+
       // Queue the job
       const queueService = require("./queueService");
-      const job = await queueService.addPriceCollectionJob({
-        token,
-        network,
-        timestamps,
-        creationTimestamp,
-      });
+      const jobOptions = {};
+      if (options.jobId) jobOptions.jobId = options.jobId;
+      if (options.priority) jobOptions.priority = options.priority;
+
+      const job = await queueService.addPriceCollectionJob(
+        {
+          token,
+          network,
+          timestamps,
+          creationTimestamp,
+          startTimestamp,
+          endTimestamp,
+          granularity,
+          skippedTimestamps: requested.length - timestamps.length,
+          mode: "backfill",
+          keepCurrent: Boolean(options.keepCurrent),
+        },
+        jobOptions
+      );
 
       return job;
     } catch (error) {
@@ -217,6 +439,60 @@ class OracleService {
     }
   }
 
+  // Register an unseen token and queue its backfill once; tokens whose
+  // backfill stored nothing are collected through /schedule from then on
+  async scheduleInitialBackfill(token, network) {
+    try {
+      const registered = await tokenRegistryService.ensureToken(
+        token,
+        network
+      );
+
+      if (!registered) {
+        console.warn(
+          `⚠️ Not queueing a backfill for unregistered ${token} on ${network}`
+        );
+        return null;
+      }
+
+      // Report the earlier backfill while it runs, but never queue another
+      const previous = registered.initialBackfill;
+      if (previous?.requestedAt) {
+        const queueService = require("./queueService");
+        const status =
+          previous.jobId && (await queueService.getJobStatus(previous.jobId));
+
+        return status && !["completed", "failed"].includes(status.state)
+          ? status
+          : null;
+      }
+
+      const job = await this.scheduleHistoricalDataCollection(token, network, {
+        jobId: this.getBackfillJobId(token, network),
+        creationTimestamp: registered.creationTimestamp,
+        keepCurrent: true,
+      });
+
+      await tokenRegistryService.recordInitialBackfill(token, network, job?.id);
+
+      if (job) {
+        console.log(
+          `🆕 Queued initial backfill job ${job.id} for ${token} on ${network}`
+        );
+      }
+      return job;
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not queue initial backfill for ${token} on ${network}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  getBackfillJobId(token, network) {
+    return `backfill-${network.toLowerCase()}-${token.toLowerCase()}`;
+  }
+
   // Get token creation timestamp
   async getTokenCreationTimestamp(token, network) {
     try {
@@ -232,11 +508,42 @@ class OracleService {
     }
   }
 
+  // Drop interval timestamps that already have a stored price in that interval
+  async filterStoredIntervals(token, network, timestamps, granularity = "1d") {
+    if (timestamps.length === 0 || !databaseConnection.isConnected) {
+      return timestamps;
+    }
+
+    const interval = GRANULARITIES[granularity];
+    const stored = await TokenPrice.distinct("timestamp", {
+      token: token.toLowerCase(),
+      network: network.toLowerCase(),
+      timestamp: {
+        $gte: timestamps[0],
+        $lt: timestamps[timestamps.length - 1] + interval,
+      },
+      source: { $ne: "interpolated" },
+    });
+    const storedIntervals = new Set(
+      stored.map((timestamp) => this.getIntervalStart(timestamp, granularity))
+    );
+
+    return timestamps.filter((timestamp) => !storedIntervals.has(timestamp));
+  }
+
+  // Start of the interval containing a timestamp, aligned to midnight
+  getIntervalStart(timestamp, granularity = "1d") {
+    const dayStart = moment.unix(timestamp).startOf("day").unix();
+    const interval = GRANULARITIES[granularity];
+
+    return dayStart + Math.floor((timestamp - dayStart) / interval) * interval;
+  }
+
   // Generate daily timestamps
-  generateDailyTimestamps(startTimestamp) {
+  generateDailyTimestamps(startTimestamp, endTimestamp) {
     const timestamps = [];
     const start = moment.unix(startTimestamp);
-    const end = moment();
+    const end = endTimestamp ? moment.unix(endTimestamp) : moment();
 
     let current = start.clone().startOf("day");
 
@@ -248,110 +555,28 @@ class OracleService {
     return timestamps;
   }
 
-  // Fetch price from external APIs
-  async fetchPriceFromAlchemy(token, network, timestamp) {
-    try {
-      // For development, let's implement a simple fallback price mechanism
-      console.log(`🔍 Attempting to fetch price for ${token} on ${network}`);
-
-      // First try to get current price and extrapolate
-      const currentPrice = await this.getCurrentPrice(token, network);
-      if (currentPrice) {
-        // Add some historical variation based on timestamp
-        const now = Math.floor(Date.now() / 1000);
-        const timeDiff = now - timestamp;
-        const daysDiff = timeDiff / (24 * 60 * 60);
-
-        // Add some realistic price variation (±5% per day max)
-        const variation = Math.sin(daysDiff) * 0.05 * Math.random();
-        const historicalPrice = currentPrice * (1 + variation);
-
-        return {
-          price: Math.max(0.0001, historicalPrice),
-          priceUsd: Math.max(0.0001, historicalPrice),
-          metadata: {
-            method: "current_price_extrapolation",
-            daysDiff: daysDiff,
-            variation: variation,
-          },
-        };
-      }
-
-      // Fallback to mock data for known tokens
-      return this.getMockPriceData(token, network, timestamp);
-    } catch (error) {
-      console.error("Error fetching price from external APIs:", error);
-      return this.getMockPriceData(token, network, timestamp);
-    }
-  }
-
-  // Get current price from a simple API (CoinGecko, etc.)
-  async getCurrentPrice(token, network) {
-    try {
-      // For demo purposes, return mock current prices for known tokens
-      const mockPrices = {
-        "0xa0b86a33e6441f8c29e8a34b6c55f738c68c3aaa": 1.001, // USDC (the one being tested)
-        "0xa0b86a33e6441e2edbe8f672dd33f01c258c1b07": 1.001, // Example Token
-        "0xdac17f958d2ee523a2206206994597c13d831ec7": 1.0, // USDT
-        "0x6b175474e89094c44da98b954eedeac495271d0f": 1.001, // DAI
-        "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2": 3200.5, // WETH
-        "0x1f9840a85d5af5bf1d1762f925bdaddc4201f984": 12.34, // UNI
-        "0x514910771af9ca656af840dff83e8264ecf986ca": 18.75, // LINK
-      };
-
-      const lowerToken = token.toLowerCase();
-      return mockPrices[lowerToken] || null;
-    } catch (error) {
-      console.error("Error getting current price:", error);
-      return null;
-    }
-  }
-
-  // Provide mock data for testing
-  async getMockPriceData(token, network, timestamp) {
-    const mockPrices = {
-      ethereum: {
-        "0xa0b86a33e6441f8c29e8a34b6c55f738c68c3aaa": 1.001, // USDC (the one being tested)
-        "0xa0b86a33e6441e2edbe8f672dd33f01c258c1b07": 1.001, // Example Token
-        "0xdac17f958d2ee523a2206206994597c13d831ec7": 1.0, // USDT
-        "0x6b175474e89094c44da98b954eedeac495271d0f": 1.001, // DAI
-        "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2": 2847.32, // WETH (Jan 2024 price)
-        "0x1f9840a85d5af5bf1d1762f925bdaddc4201f984": 8.67, // UNI
-        "0x514910771af9ca656af840dff83e8264ecf986ca": 14.23, // LINK
-      },
-      polygon: {
-        "0x2791bca1f2de4661ed88a30c99a7a9449aa84174": 1.0, // USDC on Polygon
-        "0x8f3cf7ad23cd3cadbd9735aff958023239c6a063": 1.001, // DAI on Polygon
-      },
-    };
+  // Generate interval starts covering the window at a job granularity
+  generateTimestamps(startTimestamp, endTimestamp, granularity = "1d") {
+    const days = this.generateDailyTimestamps(startTimestamp, endTimestamp);
 
-    const networkPrices = mockPrices[network?.toLowerCase()];
-    const basePrice = networkPrices?.[token?.toLowerCase()];
-
-    if (!basePrice) {
-      console.log(`⚠️ No mock data for token ${token} on ${network}`);
-      return null;
+    if (granularity === "1d") {
+      return days;
     }
 
-    // Add some historical variation
-    const now = Math.floor(Date.now() / 1000);
-    const timeDiff = now - timestamp;
-    const variation =
-      Math.sin(timeDiff / 86400) * 0.1 + Math.random() * 0.05 - 0.025;
-    const price = Math.max(0.0001, basePrice + variation);
-
-    console.log(`✅ Mock price generated: ${price} for ${token}`);
-
-    return {
-      price: Number(price.toFixed(8)),
-      priceUsd: Number(price.toFixed(8)),
-      metadata: {
-        method: "mock_data",
-        basePrice: basePrice,
-        variation: variation,
-        timestamp: timestamp,
-      },
-    };
+    const hoursPerInterval = GRANULARITIES[granularity] / GRANULARITIES["1h"];
+    const firstInterval = this.getIntervalStart(startTimestamp, granularity);
+
+    return days
+      .flatMap((day) =>
+        generateHourlyTimestamps(moment.unix(day)).filter(
+          (_, hour) => hour % hoursPerInterval === 0
+        )
+      )
+      .filter(
+        (timestamp) =>
+          timestamp >= firstInterval &&
+          (!endTimestamp || timestamp <= endTimestamp)
+      );
   }
 
   // Get system health status
@@ -424,6 +649,7 @@ class OracleService {
         },
         cache: {},
         queue: {},
+        providers: providerRegistry.describe(),
       };
 
       // Cache stats
@@ -435,6 +661,11 @@ class OracleService {
       const queueService = require("./queueService");
       stats.queue = await queueService.getQueueStats();
 
+      // Upstream quota usage across API processes and workers
+      stats.rateLimits = await rateLimiterService.getUsage(
+        providerRegistry.getRateLimits()
+      );
+
       return stats;
     } catch (error) {
       console.error("Error getting system stats:", error);
@@ -1,13 +1,8 @@
-const axios = require('axios');
+const providerRegistry = require('../providers');
+const tokenResolutionService = require('./tokenResolutionService');
 
 class PriceService {
   constructor() {
-    this.coinGeckoBaseUrl =
-      process.env.COINGECKO_BASE_URL || 'https://api.coingecko.com/api/v3';
-    this.coinMarketCapBaseUrl =
-      process.env.COINMARKETCAP_BASE_URL || 'https://pro-api.coinmarketcap.com';
-    this.binanceBaseUrl =
-      process.env.BINANCE_BASE_URL || 'https://api.binance.com';
     this.cache = new Map();
     this.cacheExpiry = 30 * 1000; // 30 seconds for price data
   }
@@ -38,171 +33,104 @@ class PriceService {
     }
   }
 
-  // Get current price for a token
-  async getTokenPrice(symbol, currency = 'USD') {
-    const cacheKey = `price_${symbol}_${currency}`;
-
-    return this.getCachedData(cacheKey, async() => {
+  /**
+   * Run a request against each provider with the capability, in priority
+   * order (CoinGecko, CoinMarketCap, Binance), until one succeeds
+   * @param {string} capability - Provider capability to route on
+   * @param {string} description - What is being fetched, for logging
+   * @param {Function} fetchFunction - Called with each provider in turn
+   * @returns {Promise<{provider: Object, data: *}>} First successful result
+   */
+  async withFailover(capability, description, fetchFunction) {
+    const providers = providerRegistry.getProviders({ capability });
+
+    for (const provider of providers) {
       try {
-        // Try CoinGecko first
-        const response = await axios.get(
-          `${this.coinGeckoBaseUrl}/simple/price`,
-          {
-            params: {
-              ids: await this.getTokenIdBySymbol(symbol),
-              vs_currencies: currency.toLowerCase(),
-              include_market_cap: true,
-              include_24hr_vol: true,
-              include_24hr_change: true,
-              include_last_updated_at: true
-            },
-            timeout: 10000
-          }
-        );
-
-        const tokenId = await this.getTokenIdBySymbol(symbol);
-        const priceData = response.data[tokenId];
-
-        if (!priceData) {
-          throw new Error(`Price data not found for ${symbol}`);
-        }
-
-        return {
-          symbol: symbol.toUpperCase(),
-          currency: currency.toUpperCase(),
-          price: priceData[currency.toLowerCase()],
-          market_cap: priceData[`${currency.toLowerCase()}_market_cap`],
-          volume_24h: priceData[`${currency.toLowerCase()}_24h_vol`],
-          change_24h: priceData[`${currency.toLowerCase()}_24h_change`],
-          last_updated: new Date(
-            priceData.last_updated_at * 1000
-          ).toISOString(),
-          source: 'CoinGecko'
-        };
+        const data = await fetchFunction(provider);
+        return { provider, data };
       } catch (error) {
-        console.error(`Error fetching price for ${symbol}:`, error.message);
-
-        // Fallback to Binance for major pairs
-        try {
-          return await this.getBinancePrice(symbol, currency);
-        } catch (binanceError) {
-          console.error(
-            `Binance fallback failed for ${symbol}:`,
-            binanceError.message
-          );
-          throw new Error(`Failed to fetch price for ${symbol}`);
-        }
+        console.error(
+          `Error fetching ${description} from ${provider.label}:`,
+          error.message
+        );
       }
-    });
-  }
+    }
 
-  // Get price from Binance as fallback
-  async getBinancePrice(symbol, currency = 'USDT') {
-    try {
-      const pair = `${symbol}${currency}`;
-      const response = await axios.get(
-        `${this.binanceBaseUrl}/api/v3/ticker/24hr`,
-        {
-          params: {
-            symbol: pair
-          },
-          timeout: 10000
-        }
-      );
+    throw new Error(`All price providers failed for ${description}`);
+  }
 
-      return {
-        symbol: symbol.toUpperCase(),
-        currency: currency.toUpperCase(),
-        price: parseFloat(response.data.lastPrice),
-        change_24h: parseFloat(response.data.priceChangePercent),
-        volume_24h: parseFloat(response.data.volume),
-        high_24h: parseFloat(response.data.highPrice),
-        low_24h: parseFloat(response.data.lowPrice),
-        last_updated: new Date().toISOString(),
-        source: 'Binance'
-      };
-    } catch (error) {
-      throw new Error(`Binance API error for ${symbol}: ${error.message}`);
-    }
+  // Contract identifiers echo the resolved network and address
+  describeToken(token) {
+    return token.address
+      ? { network: token.network, address: token.address }
+      : {};
   }
 
-  // Get token ID by symbol (for CoinGecko)
-  async getTokenIdBySymbol(symbol) {
-    const cacheKey = `token_id_${symbol}`;
+  // Get current price for a token
+  async getTokenPrice(identifier, currency = 'USD') {
+    const key = tokenResolutionService.normalizeIdentifier(identifier);
+    const cacheKey = `price_${key}_${currency}`;
 
-    return this.getCachedData(
-      cacheKey,
-      async() => {
-        const response = await axios.get(
-          `${this.coinGeckoBaseUrl}/coins/list`,
-          {
-            timeout: 10000
-          }
-        );
+    return this.getCachedData(cacheKey, async() => {
+      const token = await tokenResolutionService.resolve(key);
 
-        const coin = response.data.find(
-          (coin) => coin.symbol.toUpperCase() === symbol.toUpperCase()
+      try {
+        const { data } = await this.withFailover(
+          'currentPrice',
+          `price for ${key}`,
+          (provider) => provider.getCurrentPrice({ ...token, currency })
         );
-
-        if (!coin) {
-          throw new Error(`Token not found: ${symbol}`);
-        }
-
-        return coin.id;
-      },
-      60 * 60 * 1000
-    ); // Cache for 1 hour
+        return { ...data, ...this.describeToken(token) };
+      } catch (error) {
+        throw new Error(`Failed to fetch price for ${key}`);
+      }
+    });
   }
 
   // Get price history for a token
   async getTokenPriceHistory(
-    symbol,
+    identifier,
     period = '7d',
     currency = 'USD',
     interval = '1d'
   ) {
-    const cacheKey = `history_${symbol}_${period}_${currency}_${interval}`;
+    const key = tokenResolutionService.normalizeIdentifier(identifier);
+    const cacheKey = `history_${key}_${period}_${currency}_${interval}`;
 
     return this.getCachedData(
       cacheKey,
       async() => {
-        try {
-          const tokenId = await this.getTokenIdBySymbol(symbol);
+        const token = await tokenResolutionService.resolve(key);
 
+        try {
           // Convert period to days
           const days = this.periodToDays(period);
 
-          const response = await axios.get(
-            `${this.coinGeckoBaseUrl}/coins/${tokenId}/market_chart`,
-            {
-              params: {
-                vs_currency: currency.toLowerCase(),
-                days: days,
-                interval: interval === '1h' ? 'hourly' : 'daily'
-              },
-              timeout: 15000
-            }
+          const { provider, data } = await this.withFailover(
+            'priceHistory',
+            `price history for ${key}`,
+            (provider) =>
+              provider.getPriceHistory(token, { days, currency, interval })
           );
 
-          const prices = response.data.prices || [];
-
           return {
-            symbol: symbol.toUpperCase(),
+            symbol: token.symbol,
+            ...this.describeToken(token),
             currency: currency.toUpperCase(),
             period: period,
             interval: interval,
-            data: prices.map(([timestamp, price]) => ({
+            data: data.prices.map(([timestamp, price]) => ({
               timestamp: new Date(timestamp).toISOString(),
               price: price
             })),
-            source: 'CoinGecko'
+            source: provider.label
           };
         } catch (error) {
           console.error(
-            `Error fetching price history for ${symbol}:`,
+            `Error fetching price history for ${key}:`,
             error.message
           );
-          throw new Error(`Failed to fetch price history for ${symbol}`);
+          throw new Error(`Failed to fetch price history for ${key}`);
         }
       },
       5 * 60 * 1000
@@ -210,106 +138,108 @@ class PriceService {
   }
 
   // Get prices for multiple tokens
-  async getBulkTokenPrices(symbols, currency = 'USD') {
-    const cacheKey = `bulk_${symbols.join(',')}_${currency}`;
+  async getBulkTokenPrices(identifiers, currency = 'USD') {
+    const keys = identifiers.map((identifier) =>
+      tokenResolutionService.normalizeIdentifier(identifier)
+    );
+    const cacheKey = `bulk_${keys.join(',')}_${currency}`;
 
     return this.getCachedData(cacheKey, async() => {
-      try {
-        // Get token IDs for all symbols
-        const tokenIds = await Promise.all(
-          symbols.map((symbol) =>
-            this.getTokenIdBySymbol(symbol).catch(() => null)
-          )
-        );
-
-        const validTokenIds = tokenIds.filter((id) => id !== null);
-
-        if (validTokenIds.length === 0) {
-          throw new Error('No valid tokens found');
+      const result = {};
+
+      // Unresolvable identifiers are reported per entry
+      const resolutions = await Promise.all(
+        keys.map((key) =>
+          tokenResolutionService.resolve(key).catch((error) => {
+            result[key] = {
+              symbol: key,
+              error: error.message,
+              ...(error.candidates && { candidates: error.candidates })
+            };
+            return null;
+          })
+        )
+      );
+      let missing = resolutions.filter(Boolean);
+
+      // Tokens one provider cannot price are retried with the next
+      for (const provider of providerRegistry.getProviders({
+        capability: 'bulkPrices'
+      })) {
+        if (missing.length === 0) {
+          break;
         }
 
-        const response = await axios.get(
-          `${this.coinGeckoBaseUrl}/simple/price`,
-          {
-            params: {
-              ids: validTokenIds.join(','),
-              vs_currencies: currency.toLowerCase(),
-              include_market_cap: true,
-              include_24hr_vol: true,
-              include_24hr_change: true
-            },
-            timeout: 15000
-          }
-        );
-
-        const result = {};
-
-        for (let i = 0; i < symbols.length; i++) {
-          const symbol = symbols[i];
-          const tokenId = tokenIds[i];
-
-          if (tokenId && response.data[tokenId]) {
-            const priceData = response.data[tokenId];
-            result[symbol] = {
-              symbol: symbol.toUpperCase(),
-              currency: currency.toUpperCase(),
-              price: priceData[currency.toLowerCase()],
-              market_cap: priceData[`${currency.toLowerCase()}_market_cap`],
-              volume_24h: priceData[`${currency.toLowerCase()}_24h_vol`],
-              change_24h: priceData[`${currency.toLowerCase()}_24h_change`]
-            };
-          } else {
-            result[symbol] = {
-              symbol: symbol.toUpperCase(),
-              error: 'Token not found or price unavailable'
-            };
-          }
+        try {
+          const prices = await provider.getBulkPrices(missing, currency);
+
+          missing.forEach((token) => {
+            if (prices[token.key]) {
+              result[token.key] = {
+                ...prices[token.key],
+                ...this.describeToken(token),
+                source: provider.label
+              };
+            }
+          });
+          missing = missing.filter((token) => !result[token.key]);
+        } catch (error) {
+          console.error(
+            `Error fetching bulk prices from ${provider.label}:`,
+            error.message
+          );
         }
+      }
 
-        return result;
-      } catch (error) {
-        console.error('Error fetching bulk prices:', error.message);
+      // Resolution errors alone are still a useful per-entry response
+      if (
+        resolutions.some(Boolean) &&
+        !keys.some((key) => result[key] && !result[key].error)
+      ) {
         throw new Error('Failed to fetch bulk token prices');
       }
+
+      return keys.reduce((prices, key) => {
+        prices[key] = result[key] || {
+          symbol: key,
+          error: 'Token not found or price unavailable'
+        };
+        return prices;
+      }, {});
     });
   }
 
   // Get chart data for a token
   async getTokenChartData(
-    symbol,
+    identifier,
     period = '24h',
     currency = 'USD',
     points = 100
   ) {
-    const cacheKey = `chart_${symbol}_${period}_${currency}_${points}`;
+    const key = tokenResolutionService.normalizeIdentifier(identifier);
+    const cacheKey = `chart_${key}_${period}_${currency}_${points}`;
 
     return this.getCachedData(
       cacheKey,
       async() => {
+        const token = await tokenResolutionService.resolve(key);
+
         try {
-          const tokenId = await this.getTokenIdBySymbol(symbol);
           const days = this.periodToDays(period);
 
-          const response = await axios.get(
-            `${this.coinGeckoBaseUrl}/coins/${tokenId}/market_chart`,
-            {
-              params: {
-                vs_currency: currency.toLowerCase(),
-                days: days
-              },
-              timeout: 15000
-            }
+          const { provider, data } = await this.withFailover(
+            'priceHistory',
+            `chart data for ${key}`,
+            (provider) => provider.getPriceHistory(token, { days, currency })
           );
 
-          const prices = response.data.prices || [];
-          const volumes = response.data.total_volumes || [];
-
           // Sample data points if needed
-          const sampledPrices = this.sampleData(prices, points);
-          const sampledVolumes = this.sampleData(volumes, points);
+          const sampledPrices = this.sampleData(data.prices, points);
+          const sampledVolumes = this.sampleData(data.volumes, points);
 
           return {
-            symbol: symbol.toUpperCase(),
+            symbol: token.symbol,
+            ...this.describeToken(token),
             currency: currency.toUpperCase(),
             period: period,
             points: sampledPrices.length,
@@ -321,14 +251,14 @@ class PriceService {
               timestamp: new Date(timestamp).toISOString(),
               volume: volume
             })),
-            source: 'CoinGecko'
+            source: provider.label
           };
         } catch (error) {
           console.error(
-            `Error fetching chart data for ${symbol}:`,
+            `Error fetching chart data for ${key}:`,
             error.message
           );
-          throw new Error(`Failed to fetch chart data for ${symbol}`);
+          throw new Error(`Failed to fetch chart data for ${key}`);
         }
       },
       2 * 60 * 1000
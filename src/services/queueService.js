@@ -1,11 +1,48 @@
-const { Queue, Worker } = require("bullmq");
+const { Queue, Worker, FlowProducer, QueueEvents } = require("bullmq");
 const Redis = require("ioredis");
 const pRetry = require("p-retry");
+const { AppError } = require("../middleware/errorHandler");
+const { QUEUE_CONFIG, HTTP_STATUS } = require("../constants");
+
+const QUEUE_NAME = "price-collection";
+
+// Applied to queued jobs and to every job of a flow, which skips queue defaults
+const DEFAULT_JOB_OPTIONS = {
+  removeOnComplete: {
+    age: QUEUE_CONFIG.JOB_RETENTION_SECONDS,
+    count: QUEUE_CONFIG.JOB_RETENTION_COUNT,
+  },
+  removeOnFail: {
+    age: QUEUE_CONFIG.JOB_RETENTION_SECONDS,
+    count: QUEUE_CONFIG.JOB_RETENTION_COUNT,
+  },
+  attempts: 3,
+  backoff: {
+    type: "exponential",
+    delay: 2000,
+  },
+};
+
+// Listed job states and the BullMQ sets behind them
+const JOB_STATES = {
+  active: ["active"],
+  waiting: ["wait", "paused"],
+  prioritized: ["prioritized"],
+  delayed: ["delayed"],
+  "waiting-children": ["waiting-children"],
+  completed: ["completed"],
+  failed: ["failed"],
+};
+
+const JOB_SCAN_PAGE_SIZE = 200;
 
 class QueueService {
   constructor() {
     this.connection = null;
     this.priceQueue = null;
+    this.flowProducer = null;
+    this.queueEvents = null;
+    this.connectionConfig = null;
     this.worker = null;
     this.isInitialized = false;
   }
@@ -39,24 +76,20 @@ class QueueService {
 
       // Create Redis connection
       this.connection = new Redis(connectionConfig);
+      this.connectionConfig = connectionConfig;
 
       // Wait for connection to be established
       await this.connection.ping();
 
       // Create price collection queue
-      this.priceQueue = new Queue("price-collection", {
+      this.priceQueue = new Queue(QUEUE_NAME, {
         connection: this.connection,
-        defaultJobOptions: {
-          removeOnComplete: 100,
-          removeOnFail: 50,
-          attempts: 3,
-          backoff: {
-            type: "exponential",
-            delay: 2000,
-          },
-        },
+        defaultJobOptions: DEFAULT_JOB_OPTIONS,
       });
 
+      // Flows split long histories into child jobs
+      this.flowProducer = new FlowProducer({ connection: this.connection });
+
       this.isInitialized = true;
       console.log("🎯 Queue service initialized successfully");
     } catch (error) {
@@ -72,17 +105,13 @@ class QueueService {
     }
 
     this.worker = new Worker(
-      "price-collection",
+      QUEUE_NAME,
       async (job) => {
         return await this.processPriceCollectionJob(job);
       },
       {
         connection: this.connection,
         concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 5,
-        limiter: {
-          max: parseInt(process.env.ALCHEMY_RATE_LIMIT) || 100,
-          duration: 60000, // per minute
-        },
       }
     );
 
@@ -96,7 +125,8 @@ class QueueService {
     });
 
     this.worker.on("progress", (job, progress) => {
-      console.log(`📊 Job ${job.id} progress: ${progress}%`);
+      const percent = progress.percent ?? progress;
+      console.log(`📊 Job ${job.id} progress: ${percent}%`);
     });
 
     console.log("👷 Worker created and listening for jobs");
@@ -104,15 +134,48 @@ class QueueService {
   }
 
   // Add price collection job to queue
-  async addPriceCollectionJob(data) {
+  async addPriceCollectionJob(data, options = {}) {
     if (!this.priceQueue) {
       throw new Error("Queue not initialized");
     }
 
-    const job = await this.priceQueue.add("collect-historical-prices", data, {
+    // A custom jobId deduplicates: reuse the job unless it already finished
+    if (options.jobId) {
+      const existing = await this.priceQueue.getJob(options.jobId);
+
+      if (existing) {
+        const state = await existing.getState();
+
+        if (state !== "completed" && state !== "failed") {
+          console.log(
+            `♻️ Reusing ${state} price collection job ${existing.id} for ${data.token} on ${data.network}`
+          );
+          return existing;
+        }
+
+        await existing.remove();
+      }
+    }
+
+    const jobOptions = {
       priority: 1,
       delay: 1000, // Start after 1 second
-    });
+      ...options,
+    };
+    const maxTimestamps =
+      parseInt(process.env.MAX_TIMESTAMPS_PER_JOB) ||
+      QUEUE_CONFIG.MAX_TIMESTAMPS_PER_JOB;
+
+    let job;
+    if (data.timestamps.length > maxTimestamps) {
+      job = await this.addCollectionFlow(data, jobOptions, maxTimestamps);
+    } else {
+      job = await this.priceQueue.add(
+        "collect-historical-prices",
+        data,
+        jobOptions
+      );
+    }
 
     console.log(
       `📋 Added price collection job ${job.id} for ${data.token} on ${data.network}`
@@ -120,51 +183,310 @@ class QueueService {
     return job;
   }
 
+  // Split a long history into child jobs under a parent that summarizes them
+  async addCollectionFlow(data, options, chunkSize) {
+    // Children get their own ids; only the parent keeps the caller's jobId
+    const childOptions = { ...options };
+    delete childOptions.jobId;
+    const chunks = [];
+
+    for (let i = 0; i < data.timestamps.length; i += chunkSize) {
+      chunks.push(data.timestamps.slice(i, i + chunkSize));
+    }
+
+    const flow = await this.flowProducer.add({
+      name: "collect-historical-prices",
+      queueName: QUEUE_NAME,
+      data: {
+        ...data,
+        timestamps: [],
+        totalTimestamps: data.timestamps.length,
+        childJobs: chunks.length,
+      },
+      opts: { ...DEFAULT_JOB_OPTIONS, ...options },
+      children: chunks.map((timestamps, index) => ({
+        name: "collect-historical-prices",
+        queueName: QUEUE_NAME,
+        data: { ...data, timestamps, part: index + 1 },
+        opts: {
+          ...DEFAULT_JOB_OPTIONS,
+          ...childOptions,
+          failParentOnFailure: true,
+        },
+      })),
+    });
+
+    console.log(
+      `🧩 Split ${data.timestamps.length} timestamps for ${data.token} into ${chunks.length} child jobs`
+    );
+    return flow.job;
+  }
+
+  // Register a repeatable collection job; the jobId identifies the schedule
+  async addRepeatableCollectionJob(data, { jobId, pattern }) {
+    if (!this.priceQueue) {
+      throw new Error("Queue not initialized");
+    }
+
+    // A changed pattern would otherwise run alongside the old one
+    await this.removeRepeatableCollectionJob(jobId);
+
+    const job = await this.priceQueue.add("collect-incremental-prices", data, {
+      jobId,
+      repeat: { pattern, tz: "UTC" },
+    });
+
+    console.log(
+      `🔁 Scheduled ${jobId} for ${data.token} on ${data.network} (${pattern} UTC)`
+    );
+    return job;
+  }
+
+  // Remove a repeatable collection job by schedule jobId
+  async removeRepeatableCollectionJob(jobId) {
+    if (!this.priceQueue) {
+      throw new Error("Queue not initialized");
+    }
+
+    const repeatable = await this.getRepeatableCollectionJobs();
+    const matches = repeatable.filter((entry) => entry.id === jobId);
+
+    for (const entry of matches) {
+      await this.priceQueue.removeRepeatableByKey(entry.key);
+    }
+
+    return matches.length > 0;
+  }
+
+  async getRepeatableCollectionJobs() {
+    if (!this.priceQueue) {
+      throw new Error("Queue not initialized");
+    }
+
+    return this.priceQueue.getRepeatableJobs();
+  }
+
   // Process price collection job
   async processPriceCollectionJob(job) {
-    const { token, network, timestamps, creationTimestamp } = job.data;
+    const { token, network } = job.data;
     const batchSize = parseInt(process.env.BATCH_SIZE) || 10;
 
-    console.log(
-      `🔄 Processing job ${job.id}: ${token} on ${network} (${timestamps.length} timestamps)`
-    );
+    // Flow parents only summarize the child jobs that did the work
+    if (job.data.childJobs) {
+      return this.summarizeChildJobs(job);
+    }
+
+    // Resume from the last completed batch after a retry or worker restart
+    let checkpoint = job.data.checkpoint;
 
-    let processed = 0;
-    let successful = 0;
-    let failed = 0;
+    if (checkpoint) {
+      console.log(
+        `⏯️ Resuming job ${job.id} at ${checkpoint.next} of ${checkpoint.remaining.length} remaining timestamps`
+      );
+    } else {
+      checkpoint = await this.prepareCollection(job);
+      await this.saveCheckpoint(job, checkpoint);
+    }
+
+    const { remaining } = checkpoint;
 
     // Process timestamps in batches
-    for (let i = 0; i < timestamps.length; i += batchSize) {
-      const batch = timestamps.slice(i, i + batchSize);
+    for (let i = checkpoint.next; i < remaining.length; i += batchSize) {
+      const batch = remaining.slice(i, i + batchSize);
+      const successfulBefore = checkpoint.successful;
+      const failedBefore = checkpoint.failed;
 
       try {
-        await this.processBatch(token, network, batch, job);
-        successful += batch.length;
+        const batchResult = await this.processBatch(token, network, batch, job);
+        checkpoint.successful += batchResult.successful;
+        checkpoint.failed += batchResult.failed.length;
+        checkpoint.failedTimestamps.push(...batchResult.failed);
+        Object.entries(batchResult.providers).forEach(([provider, count]) => {
+          checkpoint.providers[provider] =
+            (checkpoint.providers[provider] || 0) + count;
+        });
+      } catch (error) {
+        console.error("❌ Batch processing failed:", error);
+        checkpoint.failed += batch.length;
+
+        const deadLetterService = require("./deadLetterService");
+        for (const timestamp of batch) {
+          checkpoint.failedTimestamps.push({ timestamp, error: error.message });
+          await deadLetterService.recordFailure({
+            token,
+            network,
+            timestamp,
+            granularity: job.data.granularity,
+            error: error.message,
+            attempts: 1,
+            jobId: String(job.id),
+          });
+        }
+      }
+
+      // Record the batch as done before moving on
+      checkpoint.processed += batch.length;
+      checkpoint.next = i + batchSize;
+      await this.saveCheckpoint(job, checkpoint);
+
+      // Update job progress
+      await this.reportProgress(job, checkpoint, {
+        size: batch.length,
+        successful: checkpoint.successful - successfulBefore,
+        failed: checkpoint.failed - failedBefore,
+      });
+
+      // Delay between batches to respect rate limits
+      if (i + batchSize < remaining.length) {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+
+    return this.completeCollection(job, {
+      totalTimestamps: checkpoint.totalTimestamps,
+      backfilled: checkpoint.backfilled,
+      successful: checkpoint.successful,
+      failed: checkpoint.failed,
+      failedTimestamps: checkpoint.failedTimestamps,
+      providers: checkpoint.providers,
+    });
+  }
+
+  // Work out the job's timestamps and fill what range backfill can cover
+  async prepareCollection(job) {
+    const { token, network, mode } = job.data;
+    const granularity = job.data.granularity || "1d";
+
+    // Incremental runs collect whatever is missing since the latest price
+    let timestamps = job.data.timestamps;
+    if (mode === "incremental") {
+      const collectionScheduleService = require("./collectionScheduleService");
+      timestamps = await collectionScheduleService.getMissingTail(
+        token,
+        network,
+        granularity
+      );
+    }
+
+    console.log(
+      `🔄 Processing job ${job.id}: ${token} on ${network} (${timestamps.length} timestamps)`
+    );
+
+    const checkpoint = {
+      totalTimestamps: timestamps.length,
+      remaining: timestamps,
+      next: 0,
+      processed: 0,
+      successful: 0,
+      failed: 0,
+      backfilled: 0,
+      failedTimestamps: [],
+      providers: {},
+    };
 
-        // Update job progress
-        processed += batch.length;
-        const progress = Math.round((processed / timestamps.length) * 100);
-        await job.updateProgress(progress);
+    // Backfill mode: fill what bulk price ranges cover, then fetch only the gaps
+    if ((mode === "backfill" || mode === "incremental") && timestamps.length) {
+      try {
+        const backfillService = require("./backfillService");
+        const backfill = await backfillService.backfill(
+          token,
+          network,
+          timestamps,
+          granularity
+        );
 
-        // Delay between batches to respect rate limits
-        if (i + batchSize < timestamps.length) {
-          await new Promise((resolve) => setTimeout(resolve, 1000));
+        checkpoint.backfilled = backfill.stored;
+        checkpoint.successful += backfill.stored + backfill.existing;
+        if (backfill.stored > 0) {
+          checkpoint.providers[backfill.provider] = backfill.stored;
         }
+
+        checkpoint.remaining = backfill.gaps;
+        checkpoint.processed = timestamps.length - backfill.gaps.length;
+        await this.reportProgress(job, checkpoint);
+
+        console.log(
+          `📦 Backfilled ${backfill.stored} prices for ${token} from ranges (${backfill.existing} existing, ${backfill.gaps.length} gaps)`
+        );
       } catch (error) {
-        console.error("❌ Batch processing failed:", error);
-        failed += batch.length;
+        console.error(
+          "❌ Range backfill failed, fetching per timestamp:",
+          error
+        );
       }
     }
 
+    return checkpoint;
+  }
+
+  // Progress carries running counts for status polling and event streams
+  async reportProgress(job, checkpoint, batch = null) {
+    const total = checkpoint.totalTimestamps;
+
+    await job.updateProgress({
+      percent: total ? Math.round((checkpoint.processed / total) * 100) : 100,
+      processed: checkpoint.processed,
+      total,
+      successful: checkpoint.successful,
+      failed: checkpoint.failed,
+      backfilled: checkpoint.backfilled,
+      batch,
+    });
+  }
+
+  // Persist progress in the job data so a retried job picks it up
+  async saveCheckpoint(job, checkpoint) {
+    await job.updateData({ ...job.data, checkpoint });
+  }
+
+  // Combine child job results once every child of a flow has completed
+  async summarizeChildJobs(job) {
+    const values = Object.values(await job.getChildrenValues());
+    const providers = {};
+
+    values.forEach((value) => {
+      Object.entries(value.providers || {}).forEach(([provider, count]) => {
+        providers[provider] = (providers[provider] || 0) + count;
+      });
+    });
+
+    const sum = (field) =>
+      values.reduce((total, value) => total + (value[field] || 0), 0);
+
+    return this.completeCollection(job, {
+      totalTimestamps: job.data.totalTimestamps,
+      childJobs: values.length,
+      backfilled: sum("backfilled"),
+      successful: sum("successful"),
+      failed: sum("failed"),
+      failedTimestamps: values.flatMap((value) => value.failedTimestamps || []),
+      providers,
+    });
+  }
+
+  async completeCollection(job, summary) {
+    const { token, network, mode, part, keepCurrent } = job.data;
+    const granularity = job.data.granularity || "1d";
+
     const result = {
       token,
       network,
-      totalTimestamps: timestamps.length,
-      successful,
-      failed,
+      granularity,
+      mode: mode || "per_timestamp",
+      ...summary,
       completedAt: new Date().toISOString(),
     };
 
+    // Keep a token up to date after its initial backfill; other backfills
+    // are one-off windows and schedules are created through /schedules
+    if (keepCurrent && !part) {
+      await require("./collectionScheduleService").ensureSchedule(
+        token,
+        network,
+        granularity
+      );
+    }
+
     console.log(`✅ Job ${job.id} completed:`, result);
     return result;
   }
@@ -172,7 +494,10 @@ class QueueService {
   // Process a batch of timestamps
   async processBatch(token, network, timestamps, job) {
     const TokenPrice = require("../models/TokenPrice");
-    const alchemyConnection = require("../config/alchemy");
+    const historicalPriceService = require("./historicalPriceService");
+    const deadLetterService = require("./deadLetterService");
+
+    const result = { successful: 0, failed: [], providers: {} };
 
     for (const timestamp of timestamps) {
       try {
@@ -181,17 +506,26 @@ class QueueService {
           token: token.toLowerCase(),
           network: network.toLowerCase(),
           timestamp: timestamp,
+          source: { $ne: "interpolated" },
         });
 
         if (existingPrice) {
           console.log(`⏭️ Price already exists for ${token} at ${timestamp}`);
+          result.successful++;
+          if (job.data.mode === "retry") {
+            await deadLetterService.resolve(token, network, timestamp);
+          }
           continue;
         }
 
-        // Fetch price with retry logic
+        // Run the provider chain with retry logic for transient errors
         const priceData = await pRetry(
           async () => {
-            return await this.fetchHistoricalPrice(token, network, timestamp);
+            return await historicalPriceService.fetchPrice(
+              token,
+              network,
+              timestamp
+            );
           },
           {
             retries: parseInt(process.env.RETRY_ATTEMPTS) || 3,
@@ -205,61 +539,54 @@ class QueueService {
           }
         );
 
-        if (priceData) {
-          // Save to database
-          const priceRecord = new TokenPrice({
-            token: token.toLowerCase(),
-            network: network.toLowerCase(),
-            date: new Date(timestamp * 1000),
-            timestamp: timestamp,
-            price: priceData.price,
-            priceUsd: priceData.priceUsd,
-            volume24h: priceData.volume24h,
-            marketCap: priceData.marketCap,
-            source: "alchemy",
-            confidence: 1,
-            metadata: priceData.metadata,
-          });
-
-          await priceRecord.save();
-          console.log(
-            `💾 Saved price for ${token} at ${timestamp}: $${priceData.price}`
-          );
+        if (!priceData) {
+          throw new Error("No provider returned a price");
         }
+
+        // Save to database
+        const priceRecord = new TokenPrice({
+          token: token.toLowerCase(),
+          network: network.toLowerCase(),
+          date: new Date(timestamp * 1000),
+          timestamp: timestamp,
+          price: priceData.price,
+          priceUsd: priceData.priceUsd,
+          volume24h: priceData.volume24h,
+          marketCap: priceData.marketCap,
+          source: priceData.source,
+          granularity: job.data.granularity || "1d",
+          confidence: 1,
+          metadata: priceData.metadata,
+        });
+
+        await TokenPrice.dropLegacyEstimate(token, network, timestamp);
+        await priceRecord.save();
+        await deadLetterService.resolve(token, network, timestamp);
+        result.successful++;
+        result.providers[priceData.provider] =
+          (result.providers[priceData.provider] || 0) + 1;
+        console.log(
+          `💾 Saved ${priceData.provider} price for ${token} at ${timestamp}: $${priceData.price}`
+        );
       } catch (error) {
         console.error(`❌ Failed to process ${token} at ${timestamp}:`, error);
+        result.failed.push({ timestamp, error: error.message });
+
+        // Keep it for inspection and retry via /api/oracle/failures
+        await deadLetterService.recordFailure({
+          token,
+          network,
+          timestamp,
+          granularity: job.data.granularity,
+          error: error.message,
+          attempts: error.attemptNumber || 1,
+          jobId: String(job.id),
+        });
         // Continue with next timestamp
       }
     }
-  }
-
-  // Fetch historical price (placeholder - integrate with actual price sources)
-  async fetchHistoricalPrice(token, network, timestamp) {
-    try {
-      // This would integrate with:
-      // - DEX price feeds (Uniswap, SushiSwap)
-      // - External APIs (CoinGecko, CoinMarketCap with historical endpoints)
-      // - Oracle networks (Chainlink)
 
-      console.warn(
-        `⚠️ Historical price fetching not implemented for ${token} at ${timestamp}`
-      );
-
-      // Return mock data for now
-      return {
-        price: Math.random() * 1000, // Mock price
-        priceUsd: Math.random() * 1000,
-        volume24h: Math.random() * 1000000,
-        marketCap: Math.random() * 1000000000,
-        metadata: {
-          source: "mock",
-          timestamp: timestamp,
-        },
-      };
-    } catch (error) {
-      console.error("Error fetching historical price:", error);
-      throw error;
-    }
+    return result;
   }
 
   // Get job status
@@ -279,7 +606,8 @@ class QueueService {
         id: job.id,
         name: job.name,
         data: job.data,
-        progress: job.progress,
+        progress: job.progress?.percent ?? job.progress,
+        counts: typeof job.progress === "object" ? job.progress : null,
         state: await job.getState(),
         createdAt: new Date(job.timestamp).toISOString(),
         processedOn: job.processedOn
@@ -297,44 +625,154 @@ class QueueService {
     }
   }
 
+  // QueueEvents holds a blocking connection, so it is only opened on demand
+  async getQueueEvents() {
+    if (!this.connectionConfig) {
+      throw new Error("Queue not initialized");
+    }
+
+    if (!this.queueEvents) {
+      this.queueEvents = new QueueEvents(QUEUE_NAME, {
+        connection: { ...this.connectionConfig, maxRetriesPerRequest: null },
+      });
+      this.queueEvents.setMaxListeners(0);
+      await this.queueEvents.waitUntilReady();
+    }
+
+    return this.queueEvents;
+  }
+
+  /**
+   * Listen for progress, completed and failed events of one job
+   * @param {string} jobId - Job to follow
+   * @param {Function} listener - Called with `(event, payload)`
+   * @returns {Promise<Function>} Unsubscribes the listener
+   */
+  async subscribeToJob(jobId, listener) {
+    const queueEvents = await this.getQueueEvents();
+    const handlers = {
+      [`progress:${jobId}`]: ({ data }) => listener("progress", data),
+      [`completed:${jobId}`]: ({ returnvalue }) =>
+        listener("completed", returnvalue),
+      [`failed:${jobId}`]: ({ failedReason }) =>
+        listener("failed", { failedReason }),
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) =>
+      queueEvents.on(event, handler)
+    );
+
+    return () =>
+      Object.entries(handlers).forEach(([event, handler]) =>
+        queueEvents.off(event, handler)
+      );
+  }
+
   // Get all jobs
+  /**
+   * List jobs one state at a time so each job carries its real state and
+   * offset/limit apply across states. BullMQ cannot filter on job data, so a
+   * token or network filter scans each state up to JOB_SCAN_LIMIT jobs.
+   * @param {Object} options - `{ status, limit, offset, token, network }`
+   * @returns {Promise<{jobs: Object[], total: number}>}
+   */
   async getAllJobs(options = {}) {
     if (!this.priceQueue) {
       throw new Error("Queue not initialized");
     }
 
     try {
-      const { status, limit = 50, offset = 0 } = options;
-
-      let jobs;
-      if (status) {
-        jobs = await this.priceQueue.getJobs(
-          [status],
-          offset,
-          offset + limit - 1
-        );
-      } else {
-        jobs = await this.priceQueue.getJobs(
-          ["waiting", "active", "completed", "failed"],
-          offset,
-          offset + limit - 1
-        );
+      const { status, limit = 50, offset = 0, token, network } = options;
+      const states = status ? [status] : Object.keys(JOB_STATES);
+      const filtered = Boolean(token || network);
+      const matches = (job) =>
+        (!token || job.data?.token === token.toLowerCase()) &&
+        (!network || job.data?.network === network);
+
+      const jobs = [];
+      let total = 0;
+
+      for (const state of states) {
+        for (const type of JOB_STATES[state]) {
+          const scanned = filtered ? await this.scanJobs(type, matches) : null;
+          const count = filtered
+            ? scanned.length
+            : await this.priceQueue.getJobCountByTypes(type);
+          const start = Math.max(offset - total, 0);
+          const end = Math.min(count, offset + limit - total) - 1;
+
+          if (end >= start) {
+            const page = filtered
+              ? scanned.slice(start, end + 1)
+              : await this.priceQueue.getJobs([type], start, end);
+
+            page
+              .filter(Boolean)
+              .forEach((job) => jobs.push(this.describeJob(job, state)));
+          }
+
+          total += count;
+        }
       }
 
-      return jobs.map((job) => ({
-        id: job.id,
-        name: job.name,
-        data: job.data,
-        progress: job.progress,
-        state: job.opts.delay ? "delayed" : "waiting", // Simplified state
-        createdAt: new Date(job.timestamp).toISOString(),
-      }));
+      return { jobs, total };
     } catch (error) {
       console.error("Error getting all jobs:", error);
       throw error;
     }
   }
 
+  // Read a job set newest first, keeping jobs that match
+  async scanJobs(type, predicate, stopWhen = () => false) {
+    const matches = [];
+
+    for (
+      let start = 0;
+      start < QUEUE_CONFIG.JOB_SCAN_LIMIT;
+      start += JOB_SCAN_PAGE_SIZE
+    ) {
+      const jobs = (
+        await this.priceQueue.getJobs(
+          [type],
+          start,
+          start + JOB_SCAN_PAGE_SIZE - 1
+        )
+      ).filter(Boolean);
+
+      const stopAt = jobs.findIndex(stopWhen);
+      const visited = stopAt === -1 ? jobs : jobs.slice(0, stopAt);
+      matches.push(...visited.filter(predicate));
+
+      if (stopAt !== -1 || jobs.length < JOB_SCAN_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return matches;
+  }
+
+  describeJob(job, state) {
+    return {
+      id: job.id,
+      name: job.name,
+      state,
+      token: job.data?.token,
+      network: job.data?.network,
+      granularity: job.data?.granularity,
+      mode: job.data?.mode,
+      data: job.data,
+      progress: job.progress?.percent ?? job.progress,
+      createdAt: new Date(job.timestamp).toISOString(),
+      processedOn: job.processedOn
+        ? new Date(job.processedOn).toISOString()
+        : null,
+      finishedOn: job.finishedOn
+        ? new Date(job.finishedOn).toISOString()
+        : null,
+      failedReason: job.failedReason,
+    };
+  }
+
   // Cancel job
   async cancelJob(jobId) {
     if (!this.priceQueue) {
@@ -356,6 +794,90 @@ class QueueService {
     }
   }
 
+  // Admin operations answer with HTTP-friendly errors
+  requireQueue() {
+    if (!this.priceQueue) {
+      throw new AppError(
+        "Queue not initialized",
+        HTTP_STATUS.SERVICE_UNAVAILABLE
+      );
+    }
+    return this.priceQueue;
+  }
+
+  async getJobInState(jobId, states, action) {
+    const job = await this.requireQueue().getJob(jobId);
+
+    if (!job) {
+      throw new AppError("Job not found", HTTP_STATUS.NOT_FOUND);
+    }
+
+    const state = await job.getState();
+
+    if (!states.includes(state)) {
+      throw new AppError(
+        `Cannot ${action} job ${jobId} in state ${state}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return job;
+  }
+
+  // Pause the queue; workers finish active jobs but take no new ones
+  async pauseQueue() {
+    await this.requireQueue().pause();
+    console.log("⏸️ Price collection queue paused");
+    return { paused: true };
+  }
+
+  async resumeQueue() {
+    await this.requireQueue().resume();
+    console.log("▶️ Price collection queue resumed");
+    return { paused: false };
+  }
+
+  // Retry a failed job; it resumes from its checkpoint
+  async retryJob(jobId) {
+    const job = await this.getJobInState(jobId, ["failed"], "retry");
+
+    await job.retry("failed");
+    console.log(`🔁 Retrying job ${jobId}`);
+    return { jobId, state: await job.getState() };
+  }
+
+  // Run a delayed job now
+  async promoteJob(jobId) {
+    const job = await this.getJobInState(jobId, ["delayed"], "promote");
+
+    await job.promote();
+    console.log(`⏫ Promoted job ${jobId}`);
+    return { jobId, state: await job.getState() };
+  }
+
+  async changeJobPriority(jobId, priority) {
+    const job = await this.getJobInState(
+      jobId,
+      ["waiting", "prioritized"],
+      "reprioritize"
+    );
+
+    await job.changePriority({ priority });
+    console.log(`🔀 Changed priority of job ${jobId} to ${priority}`);
+    return { jobId, priority, state: await job.getState() };
+  }
+
+  /**
+   * Remove jobs in a state that finished more than `olderThanMs` ago
+   * @returns {Promise<{state: string, removed: number}>}
+   */
+  async cleanJobs(state, olderThanMs, limit = 1000) {
+    const removed = await this.requireQueue().clean(olderThanMs, limit, state);
+
+    console.log(`🧹 Removed ${removed.length} ${state} jobs`);
+    return { state, removed: removed.length };
+  }
+
   // Get queue statistics
   async getQueueStats() {
     if (!this.priceQueue) {
@@ -363,18 +885,27 @@ class QueueService {
     }
 
     try {
-      const waiting = await this.priceQueue.getWaiting();
-      const active = await this.priceQueue.getActive();
-      const completed = await this.priceQueue.getCompleted();
-      const failed = await this.priceQueue.getFailed();
+      const counts = await this.priceQueue.getJobCounts(
+        "wait",
+        "paused",
+        "prioritized",
+        "active",
+        "delayed",
+        "waiting-children",
+        "completed",
+        "failed"
+      );
 
       return {
-        waiting: waiting.length,
-        active: active.length,
-        completed: completed.length,
-        failed: failed.length,
-        total:
-          waiting.length + active.length + completed.length + failed.length,
+        waiting: counts.wait + counts.paused,
+        prioritized: counts.prioritized,
+        active: counts.active,
+        delayed: counts.delayed,
+        "waiting-children": counts["waiting-children"],
+        completed: counts.completed,
+        failed: counts.failed,
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        isPaused: await this.priceQueue.isPaused(),
       };
     } catch (error) {
       console.error("Error getting queue stats:", error);
@@ -382,6 +913,72 @@ class QueueService {
     }
   }
 
+  /**
+   * Throughput, average duration and failure rate of jobs finished in each
+   * of QUEUE_CONFIG.JOB_STATS_WINDOWS, read from retained finished jobs
+   */
+  async getJobStats() {
+    const queue = this.requireQueue();
+    const now = Date.now();
+    const cutoff =
+      now - Math.max(...Object.values(QUEUE_CONFIG.JOB_STATS_WINDOWS));
+    // Flow parents only aggregate their children's results
+    const isLeaf = (job) => !job.data?.childJobs;
+    const isOlder = (job) => job.finishedOn < cutoff;
+
+    const [completed, failed, counts] = await Promise.all([
+      this.scanJobs("completed", isLeaf, isOlder),
+      this.scanJobs("failed", isLeaf, isOlder),
+      this.getQueueStats(),
+    ]);
+
+    const windows = {};
+    Object.entries(QUEUE_CONFIG.JOB_STATS_WINDOWS).forEach(([name, length]) => {
+      windows[name] = this.summarizeWindow(
+        completed.filter((job) => job.finishedOn >= now - length),
+        failed.filter((job) => job.finishedOn >= now - length),
+        length
+      );
+    });
+
+    return {
+      queue: queue.name,
+      counts,
+      windows,
+      generatedAt: new Date(now).toISOString(),
+    };
+  }
+
+  summarizeWindow(completed, failed, length) {
+    const hours = length / (60 * 60 * 1000);
+    const finished = completed.length + failed.length;
+    const durations = completed
+      .filter((job) => job.processedOn)
+      .map((job) => job.finishedOn - job.processedOn);
+    const totalDuration = durations.reduce(
+      (sum, duration) => sum + duration,
+      0
+    );
+    const timestamps = completed.reduce(
+      (sum, job) => sum + (job.returnvalue?.successful || 0),
+      0
+    );
+
+    return {
+      completed: completed.length,
+      failed: failed.length,
+      failureRate: finished ? Number((failed.length / finished).toFixed(4)) : 0,
+      averageDurationMs: durations.length
+        ? Math.round(totalDuration / durations.length)
+        : null,
+      throughput: {
+        jobsPerHour: Number((completed.length / hours).toFixed(2)),
+        timestampsPerHour: Number((timestamps / hours).toFixed(2)),
+      },
+      timestampsCollected: timestamps,
+    };
+  }
+
   // Health check
   async getHealthStatus() {
     try {
@@ -409,9 +1006,10 @@ class QueueService {
     }
 
     try {
-      await this.priceQueue.clean(24 * 60 * 60 * 1000, 1000, "completed"); // Clean completed jobs older than 24 hours
-      await this.priceQueue.clean(7 * 24 * 60 * 60 * 1000, 100, "failed"); // Clean failed jobs older than 7 days
+      const completed = await this.priceQueue.clean(24 * 60 * 60 * 1000, 1000, "completed"); // Clean completed jobs older than 24 hours
+      const failed = await this.priceQueue.clean(7 * 24 * 60 * 60 * 1000, 100, "failed"); // Clean failed jobs older than 7 days
       console.log("🧹 Queue cleanup completed");
+      return { completed: completed.length, failed: failed.length };
     } catch (error) {
       console.error("Error during queue cleanup:", error);
     }
@@ -430,6 +1028,14 @@ class QueueService {
         console.log("📋 Queue closed gracefully");
       }
 
+      if (this.flowProducer) {
+        await this.flowProducer.close();
+      }
+
+      if (this.queueEvents) {
+        await this.queueEvents.close();
+      }
+
       if (this.connection) {
         await this.connection.quit();
         console.log("🔌 Queue Redis connection closed");
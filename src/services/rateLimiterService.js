@@ -0,0 +1,226 @@
+const redisConnection = require('../config/redis');
+const { RATE_LIMITER_CONFIG } = require('../constants');
+
+/*
+ * Token bucket shared through Redis: refill the bucket for the time elapsed
+ * since the last call, then take `cost` tokens if enough are left.
+ * KEYS: bucket hash, used counter, throttled counter
+ * ARGV: capacity, refill per ms, cost, counter ttl (ms)
+ * Returns: allowed (0/1), tokens left, ms until `cost` tokens are available
+ */
+const TAKE_TOKENS_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+
+local allowed = 0
+local waitMs = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+  if cost > 0 then
+    redis.call('INCRBY', KEYS[2], cost)
+    redis.call('PEXPIRE', KEYS[2], ARGV[4])
+  end
+else
+  waitMs = math.ceil((cost - tokens) / refillPerMs)
+  redis.call('INCR', KEYS[3])
+  redis.call('PEXPIRE', KEYS[3], ARGV[4])
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs) * 2)
+
+return { allowed, tostring(tokens), waitMs }
+`;
+
+class RateLimitError extends Error {
+  constructor(bucket, waitMs) {
+    super(`Rate limit reached for ${bucket}; next request in ${waitMs}ms`);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.bucket = bucket;
+    this.retryAfterMs = waitMs;
+  }
+}
+
+class RateLimiterService {
+  constructor() {
+    // Per-process buckets used while Redis is unavailable
+    this.localBuckets = new Map();
+  }
+
+  getClient() {
+    return redisConnection.isConnected ? redisConnection.getClient() : null;
+  }
+
+  getKeys(bucket, limit) {
+    const prefix = `${RATE_LIMITER_CONFIG.KEY_PREFIX}:${bucket}`;
+    const window = Math.floor(Date.now() / limit.intervalMs);
+
+    return [
+      prefix,
+      `${prefix}:used:${window}`,
+      `${prefix}:throttled:${window}`
+    ];
+  }
+
+  /**
+   * Take `cost` tokens from the bucket, or report how long until they refill
+   * @param {string} bucket - Upstream name shared by every process using it
+   * @param {Object} limit - `{ requests, intervalMs }`
+   * @returns {Promise<{allowed: boolean, remaining: number, waitMs: number}>}
+   */
+  async take(bucket, limit, cost = 1) {
+    const refillPerMs = limit.requests / limit.intervalMs;
+    const client = this.getClient();
+
+    if (client) {
+      try {
+        const [allowed, tokens, waitMs] = await client.eval(
+          TAKE_TOKENS_SCRIPT,
+          3,
+          ...this.getKeys(bucket, limit),
+          limit.requests,
+          refillPerMs,
+          cost,
+          limit.intervalMs * 2
+        );
+
+        return {
+          allowed: allowed === 1,
+          remaining: Math.floor(parseFloat(tokens)),
+          waitMs
+        };
+      } catch (error) {
+        console.warn(
+          `⚠️ Redis rate limiter failed for ${bucket}, using local bucket: ${error.message}`
+        );
+      }
+    }
+
+    return this.takeLocal(bucket, limit, cost);
+  }
+
+  // Same algorithm as TAKE_TOKENS_SCRIPT, limited to this process
+  takeLocal(bucket, limit, cost) {
+    const now = Date.now();
+    const refillPerMs = limit.requests / limit.intervalMs;
+    const state = this.getLocalBucket(bucket, limit);
+    let waitMs = 0;
+
+    state.tokens = Math.min(
+      limit.requests,
+      state.tokens + Math.max(0, now - state.updatedAt) * refillPerMs
+    );
+    state.updatedAt = now;
+
+    if (state.tokens >= cost) {
+      state.tokens -= cost;
+      state.used += cost;
+    } else {
+      waitMs = Math.ceil((cost - state.tokens) / refillPerMs);
+      state.throttled += 1;
+    }
+
+    return {
+      allowed: waitMs === 0,
+      remaining: Math.floor(state.tokens),
+      waitMs
+    };
+  }
+
+  // Local bucket whose counters restart with each interval window
+  getLocalBucket(bucket, limit) {
+    const window = Math.floor(Date.now() / limit.intervalMs);
+    const state = this.localBuckets.get(bucket) || {
+      tokens: limit.requests,
+      updatedAt: Date.now()
+    };
+
+    if (state.window !== window) {
+      Object.assign(state, { window, used: 0, throttled: 0 });
+    }
+
+    this.localBuckets.set(bucket, state);
+    return state;
+  }
+
+  /**
+   * Wait for a token, giving up with a RateLimitError once the wait would
+   * exceed `maxWaitMs` so callers can fail over to another provider
+   */
+  async acquire(bucket, limit, options = {}) {
+    const { cost = 1, maxWaitMs = RATE_LIMITER_CONFIG.MAX_WAIT_MS } = options;
+    const deadline = Date.now() + maxWaitMs;
+
+    for (;;) {
+      const { allowed, waitMs } = await this.take(bucket, limit, cost);
+
+      if (allowed) {
+        return;
+      }
+
+      if (Date.now() + waitMs > deadline) {
+        throw new RateLimitError(bucket, waitMs);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+  }
+
+  // Charge the shared Alchemy quota for each JSON-RPC call made
+  async acquireRpc(cost = 1) {
+    const limit = {
+      requests:
+        parseInt(process.env.ALCHEMY_RATE_LIMIT) ||
+        RATE_LIMITER_CONFIG.RPC_DEFAULT_LIMIT,
+      intervalMs: RATE_LIMITER_CONFIG.DEFAULT_INTERVAL_MS
+    };
+
+    await this.acquire(RATE_LIMITER_CONFIG.RPC_BUCKET, limit, { cost });
+  }
+
+  // Current window usage and tokens left for each bucket
+  async getUsage(limits) {
+    const usage = {};
+
+    for (const [bucket, limit] of Object.entries(limits)) {
+      const { remaining } = await this.take(bucket, limit, 0);
+      const counts = await this.getWindowCounts(bucket, limit);
+
+      usage[bucket] = {
+        limit: limit.requests,
+        intervalMs: limit.intervalMs,
+        remaining,
+        ...counts,
+        shared: Boolean(this.getClient())
+      };
+    }
+
+    return usage;
+  }
+
+  async getWindowCounts(bucket, limit) {
+    const client = this.getClient();
+
+    if (!client) {
+      const { used, throttled } = this.getLocalBucket(bucket, limit);
+      return { used, throttled };
+    }
+
+    const [, usedKey, throttledKey] = this.getKeys(bucket, limit);
+    const [used, throttled] = await client.mget(usedKey, throttledKey);
+
+    return { used: parseInt(used) || 0, throttled: parseInt(throttled) || 0 };
+  }
+}
+
+module.exports = new RateLimiterService();
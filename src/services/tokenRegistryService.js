@@ -0,0 +1,200 @@
+const Token = require('../models/Token');
+const databaseConnection = require('../config/database');
+const alchemyConnection = require('../config/alchemy');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../constants');
+
+// Fields Alchemy's token metadata can fill in
+const METADATA_FIELDS = ['name', 'symbol', 'decimals', 'logo'];
+const REQUIRED_FIELDS = ['name', 'symbol', 'decimals'];
+
+class TokenRegistryService {
+  ensureDatabase() {
+    if (!databaseConnection.isConnected) {
+      throw new AppError(
+        'Database not available',
+        HTTP_STATUS.SERVICE_UNAVAILABLE
+      );
+    }
+  }
+
+  /**
+   * Register a token, filling missing metadata from Alchemy
+   * @param {Object} data - Validated token fields (address and network required)
+   * @returns {Promise<Object>} The stored Token document
+   */
+  async registerToken(data) {
+    this.ensureDatabase();
+
+    const address = data.address.toLowerCase();
+    const network = data.network.toLowerCase();
+
+    if (await Token.findOne({ address, network })) {
+      throw new AppError(
+        `Token ${address} is already registered on ${network}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const details = { ...data, address, network };
+
+    if (METADATA_FIELDS.some((field) => details[field] === undefined)) {
+      const metadata = await this.fetchMetadata(address, network);
+
+      METADATA_FIELDS.forEach((field) => {
+        const value = metadata[field];
+        const hasValue = value !== null && value !== undefined;
+
+        if (details[field] === undefined && hasValue) {
+          details[field] = value;
+        }
+      });
+    }
+
+    if (details.creationTimestamp === undefined) {
+      const creationTimestamp = await this.fetchCreationTimestamp(
+        address,
+        network
+      );
+
+      if (creationTimestamp) {
+        details.creationTimestamp = creationTimestamp;
+      }
+    }
+
+    const missing = REQUIRED_FIELDS.filter(
+      (field) => details[field] === undefined || details[field] === ''
+    );
+
+    if (missing.length > 0) {
+      throw new AppError(
+        `Could not determine ${missing.join(', ')} for ${address}; provide them in the request`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const token = await Token.create(details);
+    console.log(`🪙 Registered ${token.symbol} (${address}) on ${network}`);
+    return token;
+  }
+
+  /**
+   * Registered token for an address, registering it on first sight
+   * @returns {Promise<Object|null>} The Token document, or null if it could not be registered
+   */
+  async ensureToken(address, network) {
+    if (!databaseConnection.isConnected) {
+      return null;
+    }
+
+    const existing = await Token.findOne({
+      address: address.toLowerCase(),
+      network: network.toLowerCase()
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await this.registerToken({ address, network });
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not register ${address} on ${network}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // Remember the first-query backfill so later queries do not repeat it
+  async recordInitialBackfill(address, network, jobId) {
+    await Token.updateOne(
+      { address: address.toLowerCase(), network: network.toLowerCase() },
+      { $set: { initialBackfill: { jobId, requestedAt: new Date() } } }
+    );
+  }
+
+  // Alchemy lookups are best-effort; explicit fields can stand in for them
+  async fetchMetadata(address, network) {
+    try {
+      return await alchemyConnection.getTokenMetadata(address, network);
+    } catch (error) {
+      console.warn(
+        `⚠️ Token metadata lookup failed for ${address}: ${error.message}`
+      );
+      return {};
+    }
+  }
+
+  async fetchCreationTimestamp(address, network) {
+    try {
+      return await alchemyConnection.getTokenCreationTimestamp(
+        address,
+        network
+      );
+    } catch (error) {
+      console.warn(
+        `⚠️ Creation timestamp lookup failed for ${address}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  async listTokens({ network, isActive, page = 1, limit = 50 } = {}) {
+    this.ensureDatabase();
+
+    const query = {};
+    if (network) query.network = network.toLowerCase();
+    if (isActive !== undefined) query.isActive = isActive;
+
+    const [tokens, total] = await Promise.all([
+      Token.find(query)
+        .sort({ network: 1, symbol: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Token.countDocuments(query)
+    ]);
+
+    return { tokens, pagination: { page, limit, total } };
+  }
+
+  async getToken(id) {
+    this.ensureDatabase();
+
+    const token = await Token.findById(id);
+
+    if (!token) {
+      throw new AppError('Token not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return token;
+  }
+
+  async updateToken(id, updates) {
+    const token = await this.getToken(id);
+
+    token.set(updates);
+
+    // The save hook only derives creationDate when it is unset
+    if (updates.creationTimestamp !== undefined) {
+      token.creationDate = new Date(updates.creationTimestamp * 1000);
+    }
+
+    return token.save();
+  }
+
+  async deleteToken(id) {
+    this.ensureDatabase();
+
+    const token = await Token.findByIdAndDelete(id);
+
+    if (!token) {
+      throw new AppError('Token not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    console.log(`🗑️ Removed ${token.symbol} (${token.address}) from registry`);
+    return token;
+  }
+}
+
+module.exports = new TokenRegistryService();
@@ -0,0 +1,203 @@
+const Token = require('../models/Token');
+const databaseConnection = require('../config/database');
+const providerRegistry = require('../providers');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../constants');
+
+// `ethereum:0x...` contract identifiers and `coingecko:<id>` coin identifiers
+const CONTRACT_IDENTIFIER = /^([a-z]+):(0x[a-f0-9]{40})$/i;
+const COINGECKO_IDENTIFIER = /^coingecko:([a-z0-9-]+)$/i;
+const MAX_CANDIDATES = 25;
+
+class TokenResolutionService {
+  // Canonical form used as the response key for an identifier
+  normalizeIdentifier(identifier) {
+    const value = String(identifier).trim();
+
+    return value.includes(':') ? value.toLowerCase() : value.toUpperCase();
+  }
+
+  /**
+   * Resolve a prices endpoint identifier to a provider query
+   * @param {string} identifier - Symbol, `network:0xaddress` or `coingecko:<id>`
+   * @returns {Promise<Object>} `{ key, symbol, name, coinId, network, address }`
+   * @throws {AppError} 404 for unknown tokens, 409 for ambiguous symbols
+   */
+  async resolve(identifier) {
+    const key = this.normalizeIdentifier(identifier);
+
+    const contractMatch = CONTRACT_IDENTIFIER.exec(key);
+    if (contractMatch) {
+      return this.resolveContract(key, contractMatch[1], contractMatch[2]);
+    }
+
+    const coinMatch = COINGECKO_IDENTIFIER.exec(key);
+    if (coinMatch) {
+      return this.resolveCoinId(key, coinMatch[1]);
+    }
+
+    return this.resolveSymbol(key);
+  }
+
+  // Our Token collection first, then CoinGecko's contract lookup
+  async resolveContract(key, network, address) {
+    if (!Token.schema.path('network').enumValues.includes(network)) {
+      throw new AppError(
+        `Unsupported network: ${network}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const registered = databaseConnection.isConnected
+      ? await Token.findByAddress(address, network)
+      : null;
+    const coinGecko = providerRegistry.getProvider('coingecko');
+    let coin = null;
+
+    if (coinGecko && !registered?.metadata?.coingeckoId) {
+      try {
+        coin = await coinGecko.getCoinByContract(network, address);
+      } catch (error) {
+        // A registered token is still priceable by address without CoinGecko
+        if (!registered) {
+          throw error;
+        }
+        console.warn(
+          `⚠️ CoinGecko contract lookup failed for ${key}: ${error.message}`
+        );
+      }
+    }
+
+    if (!registered && !coin) {
+      throw new AppError(`Token not found: ${key}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return {
+      key,
+      symbol: (registered?.symbol || coin.symbol).toUpperCase(),
+      name: registered?.name || coin.name,
+      coinId: registered?.metadata?.coingeckoId || coin?.id,
+      network,
+      address
+    };
+  }
+
+  async resolveCoinId(key, coinId) {
+    const coinGecko = providerRegistry.getProvider('coingecko');
+    const coins = coinGecko ? await coinGecko.getCoinList() : [];
+    const coin = coins.find((entry) => entry.id === coinId);
+
+    if (!coin) {
+      throw new AppError(`Token not found: ${key}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return {
+      key,
+      symbol: coin.symbol.toUpperCase(),
+      name: coin.name,
+      coinId: coin.id
+    };
+  }
+
+  // Bare symbols resolve to one CoinGecko coin, picked when several share it
+  async resolveSymbol(symbol) {
+    const coinGecko = providerRegistry.getProvider('coingecko');
+    let coins = [];
+
+    if (coinGecko) {
+      try {
+        coins = await coinGecko.findCoinsBySymbol(symbol);
+      } catch (error) {
+        // Let the remaining providers try the symbol as-is
+        console.warn(
+          `⚠️ CoinGecko symbol lookup failed for ${symbol}: ${error.message}`
+        );
+      }
+    }
+
+    const picked =
+      coins.length > 1 ? await this.pickCoin(symbol, coins, coinGecko) : null;
+
+    if (picked) {
+      coins = [picked];
+    } else if (coins.length > 1) {
+      const error = new AppError(
+        `Ambiguous token symbol: ${symbol} matches ${coins.length} tokens`,
+        HTTP_STATUS.CONFLICT
+      );
+      error.candidates = coins.slice(0, MAX_CANDIDATES).map((coin) => ({
+        id: coin.id,
+        name: coin.name,
+        symbol: coin.symbol.toUpperCase(),
+        identifiers: [
+          `coingecko:${coin.id}`,
+          ...coinGecko.getContractIdentifiers(coin)
+        ]
+      }));
+      throw error;
+    }
+
+    return {
+      key: symbol,
+      symbol,
+      name: coins[0]?.name,
+      coinId: coins[0]?.id
+    };
+  }
+
+  /**
+   * Settle a symbol several coins share: the coin of a registered token,
+   * then the configured preference, then the best market cap rank
+   * @returns {Promise<Object|null>} The coin, or null when nothing ranks them
+   */
+  async pickCoin(symbol, coins, coinGecko) {
+    const registered = await this.findRegisteredCoin(symbol, coins, coinGecko);
+    if (registered) {
+      return registered;
+    }
+
+    const preferredId = coinGecko.config.preferredCoinIds?.[symbol];
+    const preferred = coins.find((coin) => coin.id === preferredId);
+    if (preferred) {
+      return preferred;
+    }
+
+    try {
+      const ranks = await coinGecko.getMarketCapRanks(
+        coins.map((coin) => coin.id)
+      );
+      const ranked = coins
+        .filter((coin) => ranks[coin.id])
+        .sort((a, b) => ranks[a.id] - ranks[b.id]);
+
+      return ranked[0] || null;
+    } catch (error) {
+      console.warn(
+        `⚠️ CoinGecko market cap lookup failed for ${symbol}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // The one coin matching a registered token's CoinGecko id or contract
+  async findRegisteredCoin(symbol, coins, coinGecko) {
+    if (!databaseConnection.isConnected) {
+      return null;
+    }
+
+    const tokens = await Token.findBySymbol(symbol);
+    const matches = coins.filter((coin) => {
+      const contracts = coinGecko.getContractIdentifiers(coin);
+
+      return tokens.some(
+        (token) =>
+          token.metadata?.coingeckoId === coin.id ||
+          contracts.includes(`${token.network}:${token.address}`)
+      );
+    });
+
+    return matches.length === 1 ? matches[0] : null;
+  }
+}
+
+module.exports = new TokenResolutionService();
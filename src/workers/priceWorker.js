@@ -5,12 +5,17 @@ require("dotenv").config();
 const databaseConnection = require("../config/database");
 const redisConnection = require("../config/redis");
 const alchemyConnection = require("../config/alchemy");
+const TokenPrice = require("../models/TokenPrice");
 const queueService = require("../services/queueService");
+const collectionScheduleService = require("../services/collectionScheduleService");
+const interpolationService = require("../services/interpolationService");
+const { ORACLE_CONFIG } = require("../constants");
 
 class PriceWorker {
   constructor() {
     this.worker = null;
     this.isShuttingDown = false;
+    this.refreshTimer = null;
   }
 
   async start() {
@@ -23,6 +28,16 @@ class PriceWorker {
       // Create and start worker
       this.worker = queueService.createWorker();
 
+      // Restore recurring collection for tracked tokens
+      try {
+        await collectionScheduleService.syncSchedules();
+      } catch (error) {
+        console.warn("⚠️ Collection schedule sync failed:", error);
+      }
+
+      // Re-interpolate estimates invalidated by newly collected prices
+      this.startInterpolationRefresh();
+
       // Handle graceful shutdown
       this.setupGracefulShutdown();
 
@@ -32,9 +47,9 @@ class PriceWorker {
       console.log("📊 Worker configuration:");
       console.log(`   - Concurrency: ${process.env.WORKER_CONCURRENCY || 5}`);
       console.log(
-        `   - Rate limit: ${
+        `   - Alchemy rate limit: ${
           process.env.ALCHEMY_RATE_LIMIT || 100
-        } requests/minute`
+        } RPC calls/minute, shared by all processes`
       );
       console.log(`   - Batch size: ${process.env.BATCH_SIZE || 10}`);
       console.log(`   - Retry attempts: ${process.env.RETRY_ATTEMPTS || 3}`);
@@ -49,6 +64,7 @@ class PriceWorker {
       // Initialize database connection
       console.log("🔗 Connecting to MongoDB...");
       await databaseConnection.connect();
+      await TokenPrice.dropLegacyDateIndex();
 
       // Initialize Redis connection (optional)
       console.log("🔗 Connecting to Redis...");
@@ -76,6 +92,22 @@ class PriceWorker {
     }
   }
 
+  startInterpolationRefresh() {
+    const refresh = async () => {
+      try {
+        await interpolationService.refreshStaleEstimates();
+      } catch (error) {
+        console.error("❌ Interpolation refresh failed:", error);
+      }
+    };
+
+    refresh();
+    this.refreshTimer = setInterval(
+      refresh,
+      ORACLE_CONFIG.INTERPOLATION.REFRESH_INTERVAL_MS
+    );
+  }
+
   setupGracefulShutdown() {
     const signals = ["SIGTERM", "SIGINT", "SIGUSR2"];
 
@@ -90,6 +122,8 @@ class PriceWorker {
         console.log(`\n📡 Received ${signal}, starting graceful shutdown...`);
 
         try {
+          clearInterval(this.refreshTimer);
+
           // Stop accepting new jobs and finish current ones
           if (this.worker) {
             console.log("⏹️ Stopping worker...");
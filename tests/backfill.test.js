@@ -0,0 +1,211 @@
+const TokenPrice = require('../src/models/TokenPrice');
+const FailedTimestamp = require('../src/models/FailedTimestamp');
+const providerRegistry = require('../src/providers');
+const backfillService = require('../src/services/backfillService');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const DAY = 24 * 60 * 60;
+const START = 1672531200; // 2023-01-01T00:00:00Z
+
+const dailyTimestamps = (count) =>
+  Array.from({ length: count }, (_, index) => START + index * DAY);
+
+describe('Range backfill', () => {
+  let coingecko;
+  let bulkUpsert;
+  let resolveMany;
+
+  beforeEach(() => {
+    coingecko = providerRegistry.getProvider('coingecko');
+    jest.spyOn(TokenPrice, 'distinct').mockResolvedValue([]);
+    bulkUpsert = jest.spyOn(TokenPrice, 'bulkUpsert').mockResolvedValue({});
+    resolveMany = jest
+      .spyOn(FailedTimestamp, 'resolveMany')
+      .mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should map range points onto job timestamps and report gaps', async() => {
+    const timestamps = dailyTimestamps(5);
+    // CoinGecko daily points land a few minutes after midnight; day 3 is missing
+    const request = jest.spyOn(coingecko, 'request').mockResolvedValue({
+      prices: [0, 1, 3, 4].map((day) => [
+        (timestamps[day] + 300) * 1000,
+        1 + day
+      ]),
+      total_volumes: [[(timestamps[0] + 300) * 1000, 5000]],
+      market_caps: []
+    });
+
+    const result = await backfillService.backfill(
+      TOKEN,
+      'ethereum',
+      timestamps
+    );
+
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(request.mock.calls[0][0]).toBe(
+      `/coins/ethereum/contract/${TOKEN}/market_chart/range`
+    );
+    expect(result).toEqual({
+      stored: 4,
+      existing: 0,
+      gaps: [timestamps[2]],
+      provider: 'coingecko'
+    });
+
+    const records = bulkUpsert.mock.calls[0][0];
+    expect(records.map((record) => record.timestamp)).toEqual([
+      timestamps[0],
+      timestamps[1],
+      timestamps[3],
+      timestamps[4]
+    ]);
+    // Stored timestamps no longer need a retry
+    expect(resolveMany).toHaveBeenCalledWith(TOKEN, 'ethereum', [
+      timestamps[0],
+      timestamps[1],
+      timestamps[3],
+      timestamps[4]
+    ]);
+    expect(records[0]).toMatchObject({
+      token: TOKEN,
+      network: 'ethereum',
+      price: 1,
+      volume24h: 5000,
+      source: 'external_api',
+      metadata: {
+        method: 'range_backfill',
+        provider: 'coingecko',
+        pointTimestamp: timestamps[0] + 300
+      }
+    });
+  });
+
+  it('should split long histories into one request per range', async() => {
+    const timestamps = dailyTimestamps(800);
+    const request = jest
+      .spyOn(coingecko, 'request')
+      .mockImplementation(async(_path, { from, to }) => ({
+        prices: timestamps
+          .filter((timestamp) => timestamp >= from && timestamp <= to)
+          .map((timestamp) => [timestamp * 1000, 2])
+      }));
+
+    const result = await backfillService.backfill(
+      TOKEN,
+      'ethereum',
+      timestamps
+    );
+
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(result.stored).toBe(800);
+    expect(result.gaps).toEqual([]);
+  });
+
+  it('should match intraday timestamps within half an interval', async() => {
+    const hourly = Array.from(
+      { length: 4 },
+      (_, index) => START + index * 60 * 60
+    );
+    // The third point lands 40 minutes off, beyond an hourly job's tolerance
+    jest.spyOn(coingecko, 'request').mockResolvedValue({
+      prices: [600, 3600 + 600, 7200 + 2400, 10800].map((offset) => [
+        (START + offset) * 1000,
+        3
+      ])
+    });
+
+    const result = await backfillService.backfill(
+      TOKEN,
+      'ethereum',
+      hourly,
+      '1h'
+    );
+
+    expect(result.gaps).toEqual([hourly[2]]);
+    expect(bulkUpsert.mock.calls[0][0][0]).toMatchObject({
+      timestamp: hourly[0],
+      granularity: '1h'
+    });
+  });
+
+  it('should skip stored prices and leave failed ranges as gaps', async() => {
+    const timestamps = dailyTimestamps(3);
+    TokenPrice.distinct.mockResolvedValue([timestamps[0]]);
+    jest
+      .spyOn(coingecko, 'request')
+      .mockRejectedValue(new Error('429 Too Many Requests'));
+
+    const result = await backfillService.backfill(
+      TOKEN,
+      'ethereum',
+      timestamps
+    );
+
+    expect(result).toEqual({
+      stored: 0,
+      existing: 1,
+      gaps: [timestamps[1], timestamps[2]],
+      provider: 'coingecko'
+    });
+    expect(bulkUpsert).not.toHaveBeenCalled();
+    // Estimates saved before the move to interpolated_prices do not count
+    expect(TokenPrice.distinct.mock.calls[0][1]).toMatchObject({
+      source: { $ne: 'interpolated' }
+    });
+  });
+});
+
+describe('Legacy price index', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should drop the old one-price-per-day index and rebuild indexes', async() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(TokenPrice.collection, 'indexes').mockResolvedValue([
+      { name: '_id_', key: { _id: 1 } },
+      {
+        name: 'token_1_network_1_date_1',
+        key: { token: 1, network: 1, date: 1 },
+        unique: true
+      }
+    ]);
+    const dropIndex = jest
+      .spyOn(TokenPrice.collection, 'dropIndex')
+      .mockResolvedValue({});
+    const createIndexes = jest
+      .spyOn(TokenPrice, 'createIndexes')
+      .mockResolvedValue();
+
+    await expect(TokenPrice.dropLegacyDateIndex()).resolves.toBe(true);
+    expect(dropIndex).toHaveBeenCalledWith('token_1_network_1_date_1');
+    expect(createIndexes).toHaveBeenCalled();
+  });
+
+  it('should leave migrated and fresh databases alone', async() => {
+    const indexes = jest
+      .spyOn(TokenPrice.collection, 'indexes')
+      .mockResolvedValueOnce([
+        {
+          name: 'token_1_network_1_date_1',
+          key: { token: 1, network: 1, date: 1 }
+        }
+      ])
+      .mockRejectedValueOnce(
+        Object.assign(new Error('ns does not exist'), {
+          codeName: 'NamespaceNotFound'
+        })
+      );
+    const dropIndex = jest.spyOn(TokenPrice.collection, 'dropIndex');
+
+    await expect(TokenPrice.dropLegacyDateIndex()).resolves.toBe(false);
+    await expect(TokenPrice.dropLegacyDateIndex()).resolves.toBe(false);
+    expect(indexes).toHaveBeenCalledTimes(2);
+    expect(dropIndex).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const { createJsonRpcStandIn } = require('./helpers/jsonRpcStandIn');
+
+const GENESIS_TIME = 1600000000;
+const LATEST_BLOCK = 200000;
+
+// Irregular 12-14s block times so the closest block is not trivially computable
+const blockTime = (number) =>
+  GENESIS_TIME + number * 12 + Math.floor(number / 3) * 2;
+
+const findClosestBlock = (timestamp) => {
+  let closest = 0;
+  for (let number = 0; number <= LATEST_BLOCK; number++) {
+    if (
+      Math.abs(blockTime(number) - timestamp) <
+      Math.abs(blockTime(closest) - timestamp)
+    ) {
+      closest = number;
+    }
+  }
+  return closest;
+};
+
+describe('Block by timestamp resolution', () => {
+  const standIn = createJsonRpcStandIn({
+    latestBlock: LATEST_BLOCK,
+    blockTime
+  });
+  let blockService;
+  let redisConnection;
+
+  beforeAll(async() => {
+    const url = await standIn.start();
+    process.env.ALCHEMY_ETHEREUM_RPC_URL = url;
+    process.env.ALCHEMY_POLYGON_RPC_URL = url;
+    require('../src/config/alchemy').initialize();
+    redisConnection = require('../src/config/redis');
+    blockService = require('../src/services/blockService');
+  });
+
+  afterAll(async() => {
+    delete process.env.ALCHEMY_ETHEREUM_RPC_URL;
+    delete process.env.ALCHEMY_POLYGON_RPC_URL;
+    await standIn.stop();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve the closest block on ethereum', async() => {
+    const timestamp = blockTime(123456) + 9;
+
+    const result = await blockService.getBlockByTimestamp(
+      'ethereum',
+      timestamp
+    );
+
+    expect(result).toMatchObject({
+      network: 'ethereum',
+      timestamp,
+      blockNumber: findClosestBlock(timestamp),
+      source: 'rpc'
+    });
+  });
+
+  it('should converge even when the block time hint is off', async() => {
+    // The polygon hint assumes 2s blocks; the stand-in produces ~12.7s blocks
+    const timestamp = blockTime(4321) - 3;
+
+    const result = await blockService.getBlockByTimestamp('polygon', timestamp);
+
+    expect(result.blockNumber).toBe(findClosestBlock(timestamp));
+  });
+
+  it('should clamp timestamps after the latest block', async() => {
+    const result = await blockService.getBlockByTimestamp(
+      'ethereum',
+      blockTime(LATEST_BLOCK) + 600
+    );
+
+    expect(result.blockNumber).toBe(LATEST_BLOCK);
+  });
+
+  it('should only briefly cache resolutions to the latest block', async() => {
+    jest.spyOn(redisConnection, 'getClient').mockReturnValue({});
+    jest.spyOn(redisConnection, 'get').mockResolvedValue(null);
+    const set = jest.spyOn(redisConnection, 'set').mockResolvedValue(true);
+    const storeResult = jest.spyOn(blockService, 'storeResult');
+
+    await blockService.getBlockByTimestamp(
+      'ethereum',
+      blockTime(LATEST_BLOCK) + 60
+    );
+
+    expect(storeResult).not.toHaveBeenCalled();
+    expect(set).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ blockNumber: LATEST_BLOCK }),
+      10
+    );
+  });
+
+  it('should serve repeated lookups from the cache without RPC calls', async() => {
+    const cached = {
+      network: 'ethereum',
+      timestamp: 1650000000,
+      blockNumber: 42,
+      blockTimestamp: 1649999995
+    };
+    jest.spyOn(redisConnection, 'getClient').mockReturnValue({});
+    jest.spyOn(redisConnection, 'get').mockResolvedValue(cached);
+    standIn.requests.length = 0;
+
+    const result = await blockService.getBlockByTimestamp(
+      'ethereum',
+      1650000000
+    );
+
+    expect(result).toEqual({ ...cached, source: 'cache' });
+    expect(redisConnection.get).toHaveBeenCalledWith('block:ethereum:1650000000');
+    expect(standIn.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,123 @@
+const { BigNumber, Utils } = require('alchemy-sdk');
+const { createJsonRpcStandIn } = require('./helpers/jsonRpcStandIn');
+const { CHAINLINK_CONFIG } = require('../src/constants');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const { proxy: ETH_USD_PROXY } = CHAINLINK_CONFIG.FEEDS.ethereum[WETH];
+const GENESIS_TIME = 1690000000;
+const PHASE_ID = 5;
+const FIRST_ROUND = 100;
+const LAST_ROUND = 110;
+const BLOCKS_PER_ROUND = 300;
+
+const aggregator = new Utils.Interface([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function getRoundData(uint80 roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+]);
+
+const blockTime = (number) => GENESIS_TIME + number * 12;
+const roundBlock = (round) => (round - FIRST_ROUND) * BLOCKS_PER_ROUND + 10;
+const roundUpdatedAt = (round) => blockTime(roundBlock(round));
+const proxyRoundId = (round) => BigNumber.from(PHASE_ID).shl(64).add(round);
+
+const encodeRound = (round) => {
+  const roundId = proxyRoundId(round);
+  return aggregator.encodeFunctionResult('latestRoundData', [
+    roundId,
+    BigNumber.from(2000 + round).mul(10 ** 8),
+    roundUpdatedAt(round),
+    roundUpdatedAt(round),
+    roundId
+  ]);
+};
+
+describe('Chainlink aggregator source', () => {
+  const standIn = createJsonRpcStandIn({
+    latestBlock: roundBlock(LAST_ROUND) + 20000,
+    blockTime,
+    calls: {
+      [`${ETH_USD_PROXY}:${aggregator.getSighash('decimals')}`]:
+        aggregator.encodeFunctionResult('decimals', [8]),
+      [`${ETH_USD_PROXY}:${aggregator.getSighash('latestRoundData')}`]: (
+        params
+      ) => {
+        const block = parseInt(params[1], 16);
+        let round = FIRST_ROUND;
+        while (round < LAST_ROUND && roundBlock(round + 1) <= block) {
+          round++;
+        }
+        return encodeRound(round);
+      },
+      [`${ETH_USD_PROXY}:${aggregator.getSighash('getRoundData')}`]: (
+        params
+      ) => {
+        const [roundId] = aggregator.decodeFunctionData(
+          'getRoundData',
+          params[0].data
+        );
+        return encodeRound(roundId.sub(proxyRoundId(0)).toNumber());
+      }
+    }
+  });
+  let chainlinkService;
+
+  beforeAll(async() => {
+    process.env.ALCHEMY_ETHEREUM_RPC_URL = await standIn.start();
+    require('../src/config/alchemy').initialize();
+    chainlinkService = require('../src/services/chainlinkService');
+  });
+
+  afterAll(async() => {
+    delete process.env.ALCHEMY_ETHEREUM_RPC_URL;
+    await standIn.stop();
+  });
+
+  it('should return the answer valid at the requested timestamp', async() => {
+    const result = await chainlinkService.getPriceAtTimestamp(
+      WETH,
+      'ethereum',
+      roundUpdatedAt(104) + 1200
+    );
+
+    expect(result.priceUsd).toBe(2104);
+    expect(result.metadata).toMatchObject({
+      method: 'chainlink',
+      feed: 'ETH/USD',
+      roundId: proxyRoundId(104).toString(),
+      updatedAt: roundUpdatedAt(104)
+    });
+  });
+
+  it('should walk back when the resolved block already has a newer round', async() => {
+    // The closest block is the one that published round 105
+    const result = await chainlinkService.getPriceAtTimestamp(
+      WETH,
+      'ethereum',
+      roundUpdatedAt(105) - 3
+    );
+
+    expect(result.priceUsd).toBe(2104);
+    expect(result.metadata.roundId).toBe(proxyRoundId(104).toString());
+    expect(result.metadata.roundsWalked).toBe(1);
+  });
+
+  it('should ignore stale answers', async() => {
+    const result = await chainlinkService.getPriceAtTimestamp(
+      WETH,
+      'ethereum',
+      blockTime(roundBlock(LAST_ROUND) + 20000)
+    );
+
+    expect(result).toBeNull();
+  });
+
+  it('should skip tokens without a known feed', async() => {
+    const token = '0x00000000000000000000000000000000000000aa';
+
+    expect(chainlinkService.hasFeed(token, 'ethereum')).toBe(false);
+    expect(
+      await chainlinkService.getPriceAtTimestamp(token, 'ethereum', GENESIS_TIME)
+    ).toBeNull();
+  });
+});
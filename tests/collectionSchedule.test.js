@@ -0,0 +1,161 @@
+jest.mock('../src/services/queueService', () => ({
+  addRepeatableCollectionJob: jest.fn(),
+  removeRepeatableCollectionJob: jest.fn(),
+  getRepeatableCollectionJobs: jest.fn()
+}));
+
+const express = require('express');
+const moment = require('moment');
+const request = require('supertest');
+const Token = require('../src/models/Token');
+const TokenPrice = require('../src/models/TokenPrice');
+const databaseConnection = require('../src/config/database');
+const queueService = require('../src/services/queueService');
+const collectionScheduleService = require('../src/services/collectionScheduleService');
+const oracleRoutes = require('../src/routes/oracle');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const API_KEY = 'dev-api-key-123';
+const TOKEN_ID = '65a1b2c3d4e5f60718293a4b';
+const UNI = '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984';
+const SCHEDULE_JOB_ID = `schedule-ethereum-${UNI}`;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oracle', oracleRoutes);
+  app.use(globalErrorHandler);
+  return app;
+};
+
+const buildToken = (collectionSchedule) => {
+  const token = {
+    _id: TOKEN_ID,
+    address: UNI,
+    network: 'ethereum',
+    symbol: 'UNI',
+    collectionSchedule,
+    save: jest.fn(async() => token),
+    set: jest.fn((updates) => {
+      Object.entries(updates).forEach(([path, value]) => {
+        token.collectionSchedule[path.split('.')[1]] = value;
+      });
+    })
+  };
+  return token;
+};
+
+describe('Collection schedules', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    databaseConnection.isConnected = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    databaseConnection.isConnected = false;
+  });
+
+  it('should register a repeatable job for a registered token', async() => {
+    const token = buildToken(undefined);
+    jest.spyOn(Token, 'findById').mockResolvedValue(token);
+
+    const response = await request(app)
+      .post('/api/oracle/schedules')
+      .set('X-API-Key', API_KEY)
+      .send({ tokenId: TOKEN_ID, granularity: '1h' })
+      .expect(201);
+
+    expect(queueService.addRepeatableCollectionJob).toHaveBeenCalledWith(
+      {
+        token: UNI,
+        network: 'ethereum',
+        granularity: '1h',
+        mode: 'incremental'
+      },
+      { jobId: SCHEDULE_JOB_ID, pattern: '5 * * * *' }
+    );
+    expect(token.save).toHaveBeenCalled();
+    expect(response.body.data).toMatchObject({
+      granularity: '1h',
+      timezone: 'UTC',
+      isPaused: false
+    });
+  });
+
+  it('should list schedules with their next run', async() => {
+    const next = Date.UTC(2024, 0, 2, 0, 5);
+    jest.spyOn(Token, 'find').mockReturnValue({
+      sort: jest.fn().mockResolvedValue([
+        buildToken({ granularity: '1d', isPaused: false })
+      ])
+    });
+    queueService.getRepeatableCollectionJobs.mockResolvedValue([
+      { id: SCHEDULE_JOB_ID, key: 'key', next }
+    ]);
+
+    const response = await request(app)
+      .get('/api/oracle/schedules')
+      .expect(200);
+
+    expect(response.body.data).toEqual([
+      expect.objectContaining({
+        token: UNI,
+        pattern: '5 0 * * *',
+        nextRun: new Date(next).toISOString()
+      })
+    ]);
+  });
+
+  it('should pause by removing the repeatable job', async() => {
+    const token = buildToken({ granularity: '1d', isPaused: false });
+    jest.spyOn(Token, 'findById').mockResolvedValue(token);
+
+    const response = await request(app)
+      .post(`/api/oracle/schedules/${TOKEN_ID}/pause`)
+      .set('X-API-Key', API_KEY)
+      .expect(200);
+
+    expect(queueService.removeRepeatableCollectionJob).toHaveBeenCalledWith(
+      SCHEDULE_JOB_ID
+    );
+    expect(response.body.data.isPaused).toBe(true);
+  });
+
+  it('should answer 404 for tokens without a schedule', async() => {
+    jest.spyOn(Token, 'findById').mockResolvedValue(buildToken({}));
+
+    await request(app)
+      .delete(`/api/oracle/schedules/${TOKEN_ID}`)
+      .set('X-API-Key', API_KEY)
+      .expect(404);
+  });
+
+  it('should require an API key to change schedules', async() => {
+    await request(app)
+      .post(`/api/oracle/schedules/${TOKEN_ID}/pause`)
+      .expect(401);
+  });
+
+  it('should collect only the tail after the latest price', async() => {
+    const yesterday = moment().subtract(1, 'day').startOf('day');
+    jest.spyOn(TokenPrice, 'getLatestPrice').mockResolvedValue({
+      timestamp: yesterday.clone().subtract(2, 'days').unix()
+    });
+
+    const timestamps = await collectionScheduleService.getMissingTail(
+      UNI,
+      'ethereum',
+      '1d'
+    );
+
+    expect(timestamps).toEqual([
+      yesterday.clone().subtract(1, 'day').unix(),
+      yesterday.unix(),
+      yesterday.clone().add(1, 'day').unix()
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('../src/services/queueService', () => ({
+  addPriceCollectionJob: jest.fn(),
+  getJobStatus: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const FailedTimestamp = require('../src/models/FailedTimestamp');
+const databaseConnection = require('../src/config/database');
+const queueService = require('../src/services/queueService');
+const oracleRoutes = require('../src/routes/oracle');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const API_KEY = 'dev-api-key-123';
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oracle', oracleRoutes);
+  app.use(globalErrorHandler);
+  return app;
+};
+
+const failure = (id, token, timestamp, granularity) => ({
+  _id: id,
+  token,
+  network: 'ethereum',
+  timestamp,
+  granularity
+});
+
+describe('Dead-letter failures API', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    databaseConnection.isConnected = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueService.addPriceCollectionJob.mockReset();
+    queueService.getJobStatus.mockReset();
+    databaseConnection.isConnected = false;
+  });
+
+  it('should list failures newest first with filters', async() => {
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([failure('1', TOKEN, 1700000000)])
+    };
+    const find = jest.spyOn(FailedTimestamp, 'find').mockReturnValue(chain);
+    jest.spyOn(FailedTimestamp, 'countDocuments').mockResolvedValue(1);
+
+    const response = await request(app)
+      .get(`/api/oracle/failures?token=${TOKEN}&status=failed`)
+      .expect(200);
+
+    expect(find).toHaveBeenCalledWith({ token: TOKEN, status: 'failed' });
+    expect(chain.sort).toHaveBeenCalledWith({ lastFailedAt: -1 });
+    expect(response.body.pagination).toEqual({
+      limit: 50,
+      offset: 0,
+      total: 1
+    });
+  });
+
+  it('should re-enqueue one job per token and granularity', async() => {
+    jest.spyOn(FailedTimestamp, 'find').mockReturnValue({
+      sort: jest.fn().mockResolvedValue([
+        failure('1', TOKEN, 1700000000),
+        failure('2', TOKEN, 1700086400),
+        failure('3', OTHER, 1700000000, '1h')
+      ])
+    });
+    const updateMany = jest
+      .spyOn(FailedTimestamp, 'updateMany')
+      .mockResolvedValue({});
+    queueService.addPriceCollectionJob
+      .mockResolvedValueOnce({ id: '11' })
+      .mockResolvedValueOnce({ id: '12' });
+
+    const response = await request(app)
+      .post('/api/oracle/failures/retry')
+      .set('X-API-Key', API_KEY)
+      .send({ ids: ['65a1b2c3d4e5f60718293a4b'] })
+      .expect(200);
+
+    expect(queueService.addPriceCollectionJob).toHaveBeenCalledWith({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamps: [1700000000, 1700086400],
+      granularity: '1d',
+      mode: 'retry'
+    });
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['1', '2'] } },
+      { $set: { status: 'retrying', retryJobId: '11' } }
+    );
+    expect(response.body.data).toMatchObject({
+      retried: 3,
+      jobs: [
+        { jobId: '11', token: TOKEN, timestamps: 2 },
+        { jobId: '12', token: OTHER, granularity: '1h', timestamps: 1 }
+      ]
+    });
+  });
+
+  it('should retry failures whose retry job is gone or failed', async() => {
+    const retrying = (id, timestamp, retryJobId) => ({
+      ...failure(id, TOKEN, timestamp),
+      status: 'retrying',
+      retryJobId
+    });
+    const find = jest.spyOn(FailedTimestamp, 'find').mockReturnValue({
+      sort: jest
+        .fn()
+        .mockResolvedValue([
+          retrying('1', 1700000000, '8'),
+          retrying('2', 1700086400, '9'),
+          retrying('3', 1700172800, '10')
+        ])
+    });
+    jest.spyOn(FailedTimestamp, 'updateMany').mockResolvedValue({});
+    queueService.getJobStatus.mockImplementation(async(jobId) => {
+      if (jobId === '8') return null;
+      return { id: jobId, state: jobId === '9' ? 'failed' : 'active' };
+    });
+    queueService.addPriceCollectionJob.mockResolvedValue({ id: '11' });
+
+    await request(app)
+      .post('/api/oracle/failures/retry')
+      .set('X-API-Key', API_KEY)
+      .send({ token: TOKEN, network: 'ethereum' })
+      .expect(200);
+
+    expect(find).toHaveBeenCalledWith({
+      status: { $in: ['failed', 'retrying'] },
+      token: TOKEN,
+      network: 'ethereum'
+    });
+    expect(queueService.addPriceCollectionJob).toHaveBeenCalledWith(
+      expect.objectContaining({ timestamps: [1700000000, 1700086400] })
+    );
+  });
+
+  it('should require a selection to retry', async() => {
+    const response = await request(app)
+      .post('/api/oracle/failures/retry')
+      .set('X-API-Key', API_KEY)
+      .send({})
+      .expect(400);
+
+    expect(response.body.details[0].message).toBe(
+      'Provide failure ids or a token and network to retry'
+    );
+  });
+
+  it('should answer 404 when nothing is left to retry', async() => {
+    jest.spyOn(FailedTimestamp, 'find').mockReturnValue({
+      sort: jest.fn().mockResolvedValue([])
+    });
+
+    await request(app)
+      .post('/api/oracle/failures/retry')
+      .set('X-API-Key', API_KEY)
+      .send({ token: TOKEN, network: 'ethereum' })
+      .expect(404);
+  });
+});
@@ -0,0 +1,94 @@
+const http = require('http');
+
+/**
+ * Minimal JSON-RPC node stand-in for on-chain tests.
+ * Blocks are generated from `blockTime(number)`; `eth_call` answers come from
+ * canned results keyed by `<to>:<4-byte selector>` (or `<to>:<full calldata>`).
+ */
+function createJsonRpcStandIn({ latestBlock, blockTime, calls = {} }) {
+  const requests = [];
+
+  const formatBlock = (number) => ({
+    number: `0x${number.toString(16)}`,
+    hash: `0x${number.toString(16).padStart(64, '0')}`,
+    parentHash: `0x${Math.max(number - 1, 0).toString(16).padStart(64, '0')}`,
+    timestamp: `0x${blockTime(number).toString(16)}`,
+    nonce: '0x0000000000000000',
+    difficulty: '0x0',
+    gasLimit: '0x1c9c380',
+    gasUsed: '0x0',
+    miner: `0x${'0'.repeat(40)}`,
+    extraData: '0x',
+    transactions: []
+  });
+
+  const handle = (message) => {
+    requests.push(message);
+    const { id, method, params } = message;
+
+    switch (method) {
+    case 'eth_chainId':
+      return { jsonrpc: '2.0', id, result: '0x1' };
+    case 'eth_blockNumber':
+      return { jsonrpc: '2.0', id, result: `0x${latestBlock.toString(16)}` };
+    case 'eth_getBlockByNumber': {
+      const number =
+        params[0] === 'latest' ? latestBlock : parseInt(params[0], 16);
+      return { jsonrpc: '2.0', id, result: formatBlock(number) };
+    }
+    case 'eth_call': {
+      const { to, data } = params[0];
+      const exact = calls[`${to.toLowerCase()}:${data.toLowerCase()}`];
+      const bySelector = calls[`${to.toLowerCase()}:${data.slice(0, 10)}`];
+      const result = exact !== undefined ? exact : bySelector;
+
+      if (result === undefined) {
+        return {
+          jsonrpc: '2.0',
+          id,
+          error: { code: -32000, message: 'execution reverted' }
+        };
+      }
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: typeof result === 'function' ? result(params) : result
+      };
+    }
+    default:
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: -32601, message: `Method not found: ${method}` }
+      };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const message = JSON.parse(body);
+      const response = Array.isArray(message)
+        ? message.map(handle)
+        : handle(message);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return {
+    requests,
+    start: () =>
+      new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      }),
+    stop: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { createJsonRpcStandIn };
@@ -0,0 +1,199 @@
+const chainlinkService = require('../src/services/chainlinkService');
+const onchainPriceService = require('../src/services/onchainPriceService');
+const providerRegistry = require('../src/providers');
+const historicalPriceService = require('../src/services/historicalPriceService');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const UNKNOWN = '0x00000000000000000000000000000000000000aa';
+const TIMESTAMP = 1700000000;
+
+describe('Historical price provider chain', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should prefer Chainlink when a feed exists', async() => {
+    jest.spyOn(chainlinkService, 'getPriceAtTimestamp').mockResolvedValue({
+      price: 2000,
+      priceUsd: 2000,
+      metadata: { roundId: '1' }
+    });
+    const onchain = jest.spyOn(onchainPriceService, 'getPriceAtTimestamp');
+
+    const result = await historicalPriceService.fetchPrice(
+      WETH,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(result).toMatchObject({
+      price: 2000,
+      provider: 'chainlink',
+      source: 'chainlink',
+      metadata: { roundId: '1', provider: 'chainlink' }
+    });
+    expect(onchain).not.toHaveBeenCalled();
+  });
+
+  it('should fall through to the next provider that answers', async() => {
+    const chainlink = jest.spyOn(chainlinkService, 'getPriceAtTimestamp');
+    jest.spyOn(onchainPriceService, 'getPriceAtTimestamp').mockResolvedValue(null);
+    jest
+      .spyOn(providerRegistry.getProvider('coingecko'), 'getHistoricalPrice')
+      .mockResolvedValue({ price: 0.5, priceUsd: 0.5, metadata: {} });
+
+    const result = await historicalPriceService.fetchPrice(
+      UNKNOWN,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(chainlink).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      price: 0.5,
+      provider: 'coingecko',
+      source: 'external_api'
+    });
+  });
+
+  it('should return null instead of inventing a price', async() => {
+    jest.spyOn(onchainPriceService, 'getPriceAtTimestamp').mockResolvedValue(null);
+    jest
+      .spyOn(providerRegistry.getProvider('coingecko'), 'getHistoricalPrice')
+      .mockResolvedValue(null);
+
+    const result = await historicalPriceService.fetchPrice(
+      UNKNOWN,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(result).toBeNull();
+  });
+
+  it('should surface provider errors so callers can retry', async() => {
+    jest
+      .spyOn(onchainPriceService, 'getPriceAtTimestamp')
+      .mockRejectedValue(new Error('rpc timeout'));
+    jest
+      .spyOn(providerRegistry.getProvider('coingecko'), 'getHistoricalPrice')
+      .mockResolvedValue(null);
+
+    await expect(
+      historicalPriceService.fetchPrice(UNKNOWN, 'ethereum', TIMESTAMP)
+    ).rejects.toMatchObject({
+      providerErrors: [{ provider: 'uniswap', message: 'rpc timeout' }]
+    });
+  });
+});
+
+describe('Multi-source price aggregation', () => {
+  const mockQuotes = ({ chainlink, uniswap, coingecko }) => {
+    jest
+      .spyOn(chainlinkService, 'getPriceAtTimestamp')
+      .mockImplementation(async() => chainlink);
+    jest
+      .spyOn(onchainPriceService, 'getPriceAtTimestamp')
+      .mockImplementation(async() => uniswap);
+    jest
+      .spyOn(providerRegistry.getProvider('coingecko'), 'getHistoricalPrice')
+      .mockImplementation(async() => coingecko);
+  };
+  const quote = (price) => ({ price, priceUsd: price, metadata: {} });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should take the median of agreeing sources', async() => {
+    mockQuotes({
+      chainlink: quote(2000),
+      uniswap: quote(2010),
+      coingecko: quote(1990)
+    });
+
+    const result = await historicalPriceService.aggregatePrice(
+      WETH,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(result).toMatchObject({
+      price: 2000,
+      provider: 'aggregate',
+      source: 'aggregated',
+      metadata: { method: 'median', acceptedCount: 3, rejectedCount: 0 }
+    });
+    expect(result.confidence).toBeGreaterThan(0.9);
+    expect(result.metadata.quotes.map((entry) => entry.provider)).toEqual([
+      'chainlink',
+      'uniswap',
+      'coingecko'
+    ]);
+  });
+
+  it('should drop quotes that deviate from the median', async() => {
+    mockQuotes({
+      chainlink: quote(2000),
+      uniswap: quote(2600),
+      coingecko: quote(2004)
+    });
+
+    const result = await historicalPriceService.aggregatePrice(
+      WETH,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(result.price).toBe(2002);
+    expect(result.metadata).toMatchObject({
+      acceptedCount: 2,
+      rejectedCount: 1
+    });
+    expect(
+      result.metadata.quotes.find((entry) => entry.provider === 'uniswap')
+    ).toMatchObject({ price: 2600, accepted: false });
+    expect(result.confidence).toBeLessThan(0.7);
+  });
+
+  it('should honour a custom deviation threshold', async() => {
+    mockQuotes({
+      chainlink: quote(2000),
+      uniswap: quote(2150),
+      coingecko: quote(2004)
+    });
+
+    const result = await historicalPriceService.aggregatePrice(
+      WETH,
+      'ethereum',
+      TIMESTAMP,
+      { maxDeviation: 0.1 }
+    );
+
+    expect(result.metadata.acceptedCount).toBe(3);
+    expect(result.price).toBe(2004);
+  });
+
+  it('should keep a single answering source with reduced confidence', async() => {
+    mockQuotes({ coingecko: quote(0.5) });
+    jest
+      .spyOn(onchainPriceService, 'getPriceAtTimestamp')
+      .mockRejectedValue(new Error('rpc timeout'));
+
+    const result = await historicalPriceService.aggregatePrice(
+      UNKNOWN,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(result).toMatchObject({
+      price: 0.5,
+      provider: 'coingecko',
+      source: 'external_api',
+      confidence: 0.8,
+      metadata: {
+        errors: [{ provider: 'uniswap', message: 'rpc timeout' }]
+      }
+    });
+  });
+});
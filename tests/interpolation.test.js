@@ -0,0 +1,484 @@
+// p-retry is ESM-only; the routes load the queue service
+jest.mock('p-retry', () => (fn) => fn());
+
+const express = require('express');
+const request = require('supertest');
+const TokenPrice = require('../src/models/TokenPrice');
+const InterpolatedPrice = require('../src/models/InterpolatedPrice');
+const redisConnection = require('../src/config/redis');
+const interpolationService = require('../src/services/interpolationService');
+const oracleRoutes = require('../src/routes/oracle');
+const { ORACLE_CONFIG } = require('../src/constants');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const START = 1672531200; // 2023-01-01T00:00:00Z
+const HOUR = 60 * 60;
+
+const point = (hours, price) => ({ timestamp: START + hours * HOUR, price });
+
+// Chainable stand-in for TokenPrice.find(...).sort(...).select(...)
+const mockTrendPoints = (points) =>
+  jest.spyOn(TokenPrice, 'find').mockReturnValue({
+    sort: () => ({ select: jest.fn().mockResolvedValue(points) })
+  });
+
+describe('Interpolation methods', () => {
+  it('should interpolate log-linearly at a constant growth rate', () => {
+    const result = interpolationService.calculateInterpolation(
+      point(0, 100),
+      point(2, 400),
+      START + HOUR,
+      'log_linear'
+    );
+
+    expect(result).toMatchObject({ method: 'log_linear', price: 200 });
+  });
+
+  it('should read the price off the least-squares trend', () => {
+    const points = [point(0, 10), point(1, 13), point(3, 19), point(4, 22)];
+
+    const result = interpolationService.calculateInterpolation(
+      points[1],
+      points[2],
+      START + 2 * HOUR,
+      'least_squares',
+      points
+    );
+
+    expect(result).toMatchObject({
+      method: 'least_squares',
+      price: 16,
+      rSquared: 1,
+      points: 4
+    });
+  });
+
+  it('should not overshoot between monotone observations', () => {
+    const points = [point(0, 10), point(1, 10), point(2, 20), point(3, 20)];
+
+    const prices = [0.25, 0.5, 1.5, 2.5].map((hours) =>
+      interpolationService.monotoneCubic(points, START + hours * HOUR)
+    );
+
+    expect(prices[0]).toBe(10);
+    expect(prices[1]).toBe(10);
+    expect(prices[2]).toBeCloseTo(15);
+    expect(prices[3]).toBe(20);
+  });
+
+  it('should fall back to the weighted average without enough points', () => {
+    const result = interpolationService.calculateInterpolation(
+      point(0, 10),
+      point(2, 20),
+      START + HOUR,
+      'monotone_cubic',
+      [point(0, 10), point(2, 20)]
+    );
+
+    expect(result).toMatchObject({ method: 'weighted_average', price: 15 });
+  });
+});
+
+describe('Interpolated price storage', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record the chosen method in the stored metadata', async() => {
+    const points = [point(0, 10), point(1, 12), point(3, 16), point(4, 18)];
+    jest
+      .spyOn(TokenPrice, 'findNearestPrices')
+      .mockResolvedValue([points[1], points[2]]);
+    mockTrendPoints(points);
+    const updateOne = jest
+      .spyOn(InterpolatedPrice, 'updateOne')
+      .mockResolvedValue({});
+
+    const result = await interpolationService.interpolatePrice(
+      TOKEN,
+      'ethereum',
+      START + 2 * HOUR,
+      'monotone_cubic'
+    );
+
+    expect(result).toMatchObject({ method: 'monotone_cubic', price: 14 });
+    const [filter, update, options] = updateOne.mock.calls[0];
+    expect(filter).toEqual({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: START + 2 * HOUR
+    });
+    expect(update.$set).toMatchObject({
+      method: 'monotone_cubic',
+      beforeTimestamp: points[1].timestamp,
+      afterTimestamp: points[2].timestamp,
+      isStale: false,
+      metadata: { points: 4 }
+    });
+    expect(options).toMatchObject({ upsert: true });
+  });
+
+  it('should only extrapolate when asked to', async() => {
+    jest
+      .spyOn(TokenPrice, 'findNearestPrices')
+      .mockResolvedValue([point(0, 10), null]);
+    const extrapolatePrice = jest
+      .spyOn(interpolationService, 'extrapolatePrice')
+      .mockResolvedValue({ source: 'extrapolated' });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const target = START + HOUR;
+    await expect(
+      interpolationService.interpolatePrice(TOKEN, 'ethereum', target)
+    ).resolves.toBeNull();
+    await expect(
+      interpolationService.interpolatePrice(
+        TOKEN,
+        'ethereum',
+        target,
+        undefined,
+        { extrapolate: true }
+      )
+    ).resolves.toEqual({ source: 'extrapolated' });
+    expect(extrapolatePrice).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject unknown methods', async() => {
+    const app = express();
+    app.use('/api/oracle', oracleRoutes);
+
+    const response = await request(app)
+      .get('/api/oracle/interpolate')
+      .query({
+        token: TOKEN,
+        network: 'ethereum',
+        timestamp: START,
+        method: 'quadratic'
+      })
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('method');
+  });
+});
+
+describe('Interpolation limits per token class', () => {
+  const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should class DEX stablecoins separately from other tokens', () => {
+    expect(
+      interpolationService.getTokenClass(USDC.toUpperCase(), 'ethereum')
+    ).toBe('stablecoin');
+    expect(interpolationService.getTokenClass(USDC, 'polygon')).toBe(
+      'volatile'
+    );
+    expect(interpolationService.getTokenClass(TOKEN, 'ethereum')).toBe(
+      'volatile'
+    );
+  });
+
+  it('should allow longer gaps for stablecoins than volatile tokens', async() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest
+      .spyOn(TokenPrice, 'findNearestPrices')
+      .mockResolvedValue([point(0, 1), point(72, 1.002)]);
+    jest.spyOn(InterpolatedPrice, 'updateOne').mockResolvedValue({});
+
+    await expect(
+      interpolationService.interpolatePrice(TOKEN, 'ethereum', START + HOUR)
+    ).resolves.toBeNull();
+
+    const result = await interpolationService.interpolatePrice(
+      USDC,
+      'ethereum',
+      START + 36 * HOUR
+    );
+
+    expect(result).toMatchObject({ price: 1.001, tokenClass: 'stablecoin' });
+  });
+
+  it('should weigh price moves by what is normal for the token class', () => {
+    const before = point(0, 1);
+    const after = point(12, 1.1);
+    const confidence = (tokenClass) =>
+      interpolationService.calculateConfidence(
+        before,
+        after,
+        0.5,
+        interpolationService.getProfile(tokenClass)
+      );
+
+    // A 10% move is unremarkable for volatile tokens but not for stablecoins
+    expect(confidence('volatile')).toBe(0.8);
+    expect(confidence('stablecoin')).toBe(0.4);
+  });
+
+  it('should fall back to the weighted average outside the class bounds', () => {
+    // Trend of the wider window runs far below the neighbours
+    const points = [point(0, 1.2), point(1, 1.1), point(3, 1), point(4, 0.2)];
+
+    const result = interpolationService.calculateInterpolation(
+      point(1, 1.1),
+      point(3, 1),
+      START + 2 * HOUR,
+      'least_squares',
+      points,
+      interpolationService.getProfile('stablecoin')
+    );
+
+    expect(result).toMatchObject({ method: 'weighted_average', price: 1.05 });
+  });
+
+  it('should return a band that widens as confidence drops', () => {
+    const result = interpolationService.calculateInterpolation(
+      point(0, 100),
+      point(30, 160),
+      START + 29 * HOUR,
+      'weighted_average'
+    );
+
+    // 0.8 base, x0.7 for a 60% move, x0.9 near the edge and x0.9 for the gap
+    expect(result.confidence).toBeCloseTo(0.4536);
+    expect(result.confidenceLevel).toBe('low');
+    expect(result.band.low).toBeCloseTo(result.price - 0.5464 * 60);
+    expect(result.band.high).toBeCloseTo(result.price + 0.5464 * 60);
+  });
+});
+
+describe('Extrapolation', () => {
+  // Chainable stand-in for TokenPrice.find(...).sort(...).limit(...).select(...)
+  const mockSides = (before, after) =>
+    jest.spyOn(TokenPrice, 'find').mockImplementation((query) => ({
+      sort: () => ({
+        limit: () => ({
+          select: jest
+            .fn()
+            .mockResolvedValue(query.timestamp.$lte ? before : after)
+        })
+      })
+    }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should project the recent trend forward with decaying confidence', async() => {
+    // Newest first, as the query sorts them
+    mockSides([point(2, 14), point(1, 12), point(0, 10)], []);
+
+    const result = await interpolationService.extrapolatePrice(
+      TOKEN,
+      'ethereum',
+      START + 4 * HOUR
+    );
+
+    expect(result).toEqual({
+      price: 18,
+      confidence: 0.655, // 0.8 * e^(-0.1 * 2)
+      confidenceLevel: 'medium',
+      // (1 - confidence) times the 4.00 move from the anchor
+      band: { low: 16.62, high: 19.38 },
+      source: 'extrapolated',
+      extrapolation: {
+        method: 'least_squares',
+        direction: 'forward',
+        anchorTimestamp: START + 2 * HOUR,
+        anchorPrice: 14,
+        distanceHours: 2,
+        points: 3,
+        rSquared: 1
+      }
+    });
+  });
+
+  it('should rank a projection below interpolation right next to the history', async() => {
+    mockSides([point(0, 10)], []);
+
+    const result = await interpolationService.extrapolatePrice(
+      TOKEN,
+      'ethereum',
+      START + 60
+    );
+
+    expect(result.confidence).toBeLessThan(
+      ORACLE_CONFIG.INTERPOLATION.INTERPOLATED_CONFIDENCE
+    );
+  });
+
+  it('should hold the first price when projecting backward from one point', async() => {
+    mockSides([], [point(0, 10)]);
+
+    const result = await interpolationService.extrapolatePrice(
+      TOKEN,
+      'ethereum',
+      START - HOUR
+    );
+
+    expect(result).toMatchObject({
+      price: 10,
+      extrapolation: { method: 'last_price', direction: 'backward' }
+    });
+  });
+
+  it('should not extrapolate beyond MAX_DISTANCE_HOURS', async() => {
+    mockSides([point(0, 10)], []);
+
+    await expect(
+      interpolationService.extrapolatePrice(
+        TOKEN,
+        'ethereum',
+        START + 9 * HOUR
+      )
+    ).resolves.toBeNull();
+  });
+});
+
+describe('Interpolation invalidation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should drop replaced estimates and flag those in the new gap', async() => {
+    const deleteMany = jest
+      .spyOn(InterpolatedPrice, 'deleteMany')
+      .mockResolvedValue({});
+    const find = jest.spyOn(InterpolatedPrice, 'find').mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue([{ _id: 'gap', timestamp: START + 2 * HOUR }])
+    });
+    const updateMany = jest
+      .spyOn(InterpolatedPrice, 'updateMany')
+      .mockResolvedValue({});
+
+    const affected = await InterpolatedPrice.invalidate(TOKEN, 'Ethereum', [
+      START + 3 * HOUR,
+      START + HOUR
+    ]);
+
+    expect(deleteMany).toHaveBeenCalledWith({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: { $in: [START + 3 * HOUR, START + HOUR] }
+    });
+    expect(find.mock.calls[0][0]).toMatchObject({
+      isStale: false,
+      beforeTimestamp: { $lt: START + 3 * HOUR },
+      afterTimestamp: { $gt: START + HOUR }
+    });
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ _id: { $in: ['gap'] } });
+    expect(update.$set.isStale).toBe(true);
+    expect(affected).toEqual([
+      START + 3 * HOUR,
+      START + HOUR,
+      START + 2 * HOUR
+    ]);
+  });
+
+  it('should clear cached prices for invalidated estimates', async() => {
+    jest.spyOn(TokenPrice, 'bulkWrite').mockResolvedValue({});
+    jest
+      .spyOn(InterpolatedPrice, 'invalidate')
+      .mockResolvedValue([START, START + HOUR]);
+    redisConnection.isConnected = true;
+    const del = jest.spyOn(redisConnection, 'del').mockResolvedValue(1);
+
+    try {
+      await TokenPrice.bulkUpsert([
+        { token: TOKEN, network: 'ethereum', timestamp: START, price: 1 }
+      ]);
+    } finally {
+      redisConnection.isConnected = false;
+    }
+
+    expect(del.mock.calls.map(([key]) => key)).toEqual([
+      redisConnection.generatePriceKey(TOKEN, 'ethereum', START),
+      redisConnection.generatePriceKey(TOKEN, 'ethereum', START + HOUR)
+    ]);
+  });
+
+  it('should invalidate estimates for each token after a bulk upsert', async() => {
+    const OTHER = '0x00000000000000000000000000000000000000bb';
+    jest.spyOn(TokenPrice, 'bulkWrite').mockResolvedValue({});
+    const invalidate = jest
+      .spyOn(InterpolatedPrice, 'invalidate')
+      .mockResolvedValue();
+
+    await TokenPrice.bulkUpsert([
+      { token: TOKEN, network: 'ethereum', timestamp: START, price: 1 },
+      { token: OTHER, network: 'ethereum', timestamp: START, price: 2 },
+      { token: TOKEN, network: 'ethereum', timestamp: START + HOUR, price: 1 }
+    ]);
+
+    expect(invalidate).toHaveBeenCalledTimes(2);
+    expect(invalidate).toHaveBeenCalledWith(TOKEN, 'ethereum', [
+      START,
+      START + HOUR
+    ]);
+    expect(invalidate).toHaveBeenCalledWith(OTHER, 'ethereum', [START]);
+  });
+
+  it('should re-interpolate stale estimates and drop superseded ones', async() => {
+    const estimate = (_id, hours, method = 'weighted_average') => ({
+      _id,
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: START + hours * HOUR,
+      method
+    });
+    const stale = [
+      estimate('a', 0, 'log_linear'),
+      estimate('b', 1),
+      estimate('c', 2)
+    ];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest
+      .spyOn(interpolationService, 'migrateLegacyEstimates')
+      .mockResolvedValue(0);
+    jest.spyOn(InterpolatedPrice, 'find').mockReturnValue({
+      sort: () => ({ limit: jest.fn().mockResolvedValue(stale) })
+    });
+    // An observation has since been stored at the second timestamp
+    jest
+      .spyOn(TokenPrice, 'exists')
+      .mockImplementation(async(query) =>
+        query.timestamp === START + HOUR ? { _id: 'observed' } : null
+      );
+    const interpolatePrice = jest
+      .spyOn(interpolationService, 'interpolatePrice')
+      .mockImplementation(async(token, network, timestamp) =>
+        timestamp === START ? { price: 10 } : null
+      );
+    const deleteOne = jest
+      .spyOn(InterpolatedPrice, 'deleteOne')
+      .mockResolvedValue({});
+
+    const result = await interpolationService.refreshStaleEstimates(10);
+
+    expect(result).toEqual({ migrated: 0, refreshed: 1, removed: 2 });
+    expect(interpolatePrice).toHaveBeenCalledWith(
+      TOKEN,
+      'ethereum',
+      START,
+      'log_linear'
+    );
+    expect(interpolatePrice).toHaveBeenCalledTimes(2);
+    expect(deleteOne.mock.calls.map(([filter]) => filter._id)).toEqual([
+      'b',
+      'c'
+    ]);
+  });
+});
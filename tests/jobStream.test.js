@@ -0,0 +1,127 @@
+jest.mock('../src/services/queueService', () => ({
+  getJobStatus: jest.fn(),
+  subscribeToJob: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const queueService = require('../src/services/queueService');
+const oracleRoutes = require('../src/routes/oracle');
+
+const buildApp = () => {
+  const app = express();
+  app.use('/api/oracle', oracleRoutes);
+  return app;
+};
+
+// Split an SSE body into `{ event, data }` messages
+const parseEvents = (text) =>
+  text
+    .split('\n\n')
+    .filter((chunk) => chunk.startsWith('event:'))
+    .map((chunk) => {
+      const [eventLine, dataLine] = chunk.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', ''))
+      };
+    });
+
+describe('GET /api/oracle/status/:jobId/stream', () => {
+  const app = buildApp();
+  let unsubscribe;
+
+  beforeEach(() => {
+    unsubscribe = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should push progress events until the job completes', async() => {
+    queueService.subscribeToJob.mockImplementation(async(jobId, listener) => {
+      setImmediate(() => {
+        listener('progress', {
+          percent: 50,
+          successful: 9,
+          failed: 1,
+          batch: { size: 10, successful: 9, failed: 1 }
+        });
+        listener('completed', { successful: 19, failed: 1 });
+      });
+      return unsubscribe;
+    });
+    queueService.getJobStatus.mockResolvedValue({ id: '42', state: 'active' });
+
+    const response = await request(app)
+      .get('/api/oracle/status/42/stream')
+      .expect('Content-Type', 'text/event-stream')
+      .expect(200);
+
+    expect(parseEvents(response.text)).toEqual([
+      { event: 'status', data: { id: '42', state: 'active' } },
+      {
+        event: 'progress',
+        data: {
+          percent: 50,
+          successful: 9,
+          failed: 1,
+          batch: { size: 10, successful: 9, failed: 1 }
+        }
+      },
+      { event: 'completed', data: { successful: 19, failed: 1 } }
+    ]);
+    expect(queueService.subscribeToJob.mock.calls[0][0]).toBe('42');
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should hold events that arrive before the stream opens', async() => {
+    queueService.subscribeToJob.mockImplementation(async(jobId, listener) => {
+      listener('progress', { percent: 90 });
+      listener('completed', { successful: 20, failed: 0 });
+      return unsubscribe;
+    });
+    queueService.getJobStatus.mockResolvedValue({ id: '42', state: 'active' });
+
+    const response = await request(app)
+      .get('/api/oracle/status/42/stream')
+      .expect(200);
+
+    expect(parseEvents(response.text)).toEqual([
+      { event: 'status', data: { id: '42', state: 'active' } },
+      { event: 'progress', data: { percent: 90 } },
+      { event: 'completed', data: { successful: 20, failed: 0 } }
+    ]);
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should close straight away for finished jobs', async() => {
+    queueService.subscribeToJob.mockResolvedValue(unsubscribe);
+    queueService.getJobStatus.mockResolvedValue({
+      id: '42',
+      state: 'failed',
+      failedReason: 'boom'
+    });
+
+    const response = await request(app)
+      .get('/api/oracle/status/42/stream')
+      .expect(200);
+
+    expect(parseEvents(response.text)).toEqual([
+      {
+        event: 'status',
+        data: { id: '42', state: 'failed', failedReason: 'boom' }
+      }
+    ]);
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should answer 404 for unknown jobs', async() => {
+    queueService.subscribeToJob.mockResolvedValue(unsubscribe);
+    queueService.getJobStatus.mockResolvedValue(null);
+
+    await request(app).get('/api/oracle/status/404/stream').expect(404);
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+});
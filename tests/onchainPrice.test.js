@@ -0,0 +1,169 @@
+const { BigNumber, Utils } = require('alchemy-sdk');
+const { createJsonRpcStandIn } = require('./helpers/jsonRpcStandIn');
+const { DEX_CONFIG } = require('../src/constants');
+
+const { ethereum } = DEX_CONFIG;
+const UNI = '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984';
+const UNKNOWN = '0x00000000000000000000000000000000000000aa';
+const WETH_USDC_POOL = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+const UNI_WETH_PAIR = '0xd3d2e2692501a5c9ca623199d38826e513033a17';
+const GENESIS_TIME = 1700000000;
+const BLOCK_TIME = 12;
+
+const erc20 = new Utils.Interface([
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)'
+]);
+const v2Factory = new Utils.Interface([
+  'function getPair(address tokenA, address tokenB) view returns (address)'
+]);
+const v2Pair = new Utils.Interface([
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+]);
+const v3Factory = new Utils.Interface([
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)'
+]);
+const v3Pool = new Utils.Interface([
+  'function token0() view returns (address)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+]);
+
+const selector = (contractInterface, method) =>
+  contractInterface.getSighash(method);
+const calldata = (contractInterface, method, args) =>
+  contractInterface.encodeFunctionData(method, args).toLowerCase();
+
+// ETH = 2000 USDC: raw WETH per raw USDC = 10^12 / 2000
+const sqrtPriceX96 = BigNumber.from('22360679774997896964')
+  .shl(96)
+  .div('1000000000000000');
+
+const cannedCalls = {
+  // Factories answer with the zero address unless a pool is listed below
+  [`${ethereum.V3_FACTORY}:${selector(v3Factory, 'getPool')}`]:
+    v3Factory.encodeFunctionResult('getPool', [DEX_CONFIG.ZERO_ADDRESS]),
+  [`${ethereum.V2_FACTORY}:${selector(v2Factory, 'getPair')}`]:
+    v2Factory.encodeFunctionResult('getPair', [DEX_CONFIG.ZERO_ADDRESS]),
+  [`${ethereum.V3_FACTORY}:${calldata(v3Factory, 'getPool', [
+    ethereum.WETH,
+    ethereum.USDC,
+    500
+  ])}`]: v3Factory.encodeFunctionResult('getPool', [WETH_USDC_POOL]),
+  [`${ethereum.V2_FACTORY}:${calldata(v2Factory, 'getPair', [
+    UNI,
+    ethereum.WETH
+  ])}`]: v2Factory.encodeFunctionResult('getPair', [UNI_WETH_PAIR]),
+
+  [`${WETH_USDC_POOL}:${selector(v3Pool, 'token0')}`]:
+    v3Pool.encodeFunctionResult('token0', [ethereum.USDC]),
+  [`${WETH_USDC_POOL}:${selector(v3Pool, 'slot0')}`]:
+    v3Pool.encodeFunctionResult('slot0', [sqrtPriceX96, 0, 0, 1, 1, 0, true]),
+  [`${UNI_WETH_PAIR}:${selector(v2Pair, 'token0')}`]:
+    v2Pair.encodeFunctionResult('token0', [UNI]),
+  [`${UNI_WETH_PAIR}:${selector(v2Pair, 'getReserves')}`]:
+    v2Pair.encodeFunctionResult('getReserves', [
+      Utils.parseUnits('1000', 18),
+      Utils.parseUnits('5', 18),
+      GENESIS_TIME
+    ]),
+
+  [`${ethereum.USDC}:${calldata(erc20, 'balanceOf', [WETH_USDC_POOL])}`]:
+    erc20.encodeFunctionResult('balanceOf', [Utils.parseUnits('5000000', 6)]),
+  [`${ethereum.USDC}:${selector(erc20, 'decimals')}`]:
+    erc20.encodeFunctionResult('decimals', [6]),
+  [`${ethereum.WETH}:${selector(erc20, 'decimals')}`]:
+    erc20.encodeFunctionResult('decimals', [18]),
+  [`${UNI}:${selector(erc20, 'decimals')}`]:
+    erc20.encodeFunctionResult('decimals', [18])
+};
+
+describe('On-chain Uniswap pricing', () => {
+  const standIn = createJsonRpcStandIn({
+    latestBlock: 1000,
+    blockTime: (number) => GENESIS_TIME + number * BLOCK_TIME,
+    calls: cannedCalls
+  });
+  let onchainPriceService;
+
+  beforeAll(async() => {
+    process.env.ALCHEMY_ETHEREUM_RPC_URL = await standIn.start();
+    require('../src/config/alchemy').initialize();
+    onchainPriceService = require('../src/services/onchainPriceService');
+  });
+
+  afterAll(async() => {
+    delete process.env.ALCHEMY_ETHEREUM_RPC_URL;
+    await standIn.stop();
+  });
+
+  it('should price WETH from the V3 slot0 sqrtPriceX96', async() => {
+    const result = await onchainPriceService.getPriceAtTimestamp(
+      ethereum.WETH,
+      'ethereum',
+      GENESIS_TIME + 500 * BLOCK_TIME + 5
+    );
+
+    expect(result.priceUsd).toBeCloseTo(2000, 6);
+    expect(result.metadata.method).toBe('uniswap_v3');
+    expect(result.metadata.blockNumber).toBe(500);
+    expect(result.metadata.route[0]).toMatchObject({
+      pool: WETH_USDC_POOL,
+      fee: 500
+    });
+  });
+
+  it('should route through WETH using V2 reserves', async() => {
+    const result = await onchainPriceService.getPriceAtTimestamp(
+      UNI,
+      'ethereum',
+      GENESIS_TIME + 500 * BLOCK_TIME + 7
+    );
+
+    expect(result.priceUsd).toBeCloseTo(10, 6);
+    expect(result.metadata.method).toBe('uniswap_route');
+    expect(result.metadata.blockNumber).toBe(501);
+    expect(result.metadata.route.map((hop) => hop.protocol)).toEqual([
+      'uniswap_v2',
+      'uniswap_v3'
+    ]);
+  });
+
+  it('should read pool state at the resolved historical block', async() => {
+    standIn.requests.length = 0;
+
+    await onchainPriceService.getPriceAtTimestamp(
+      ethereum.WETH,
+      'ethereum',
+      GENESIS_TIME + 250 * BLOCK_TIME
+    );
+
+    const blockTags = standIn.requests
+      .filter((request) => request.method === 'eth_call')
+      .map((request) => request.params[1]);
+
+    expect(blockTags.length).toBeGreaterThan(0);
+    expect(new Set(blockTags)).toEqual(new Set(['0xfa']));
+  });
+
+  it('should price stablecoins at their peg', async() => {
+    const result = await onchainPriceService.getPriceAtTimestamp(
+      ethereum.USDC,
+      'ethereum',
+      GENESIS_TIME + 100 * BLOCK_TIME
+    );
+
+    expect(result.priceUsd).toBe(1);
+    expect(result.metadata.method).toBe('stablecoin_peg');
+  });
+
+  it('should return null when no pool exists for the token', async() => {
+    const result = await onchainPriceService.getPriceAtTimestamp(
+      UNKNOWN,
+      'ethereum',
+      GENESIS_TIME + 100 * BLOCK_TIME
+    );
+
+    expect(result).toBeNull();
+  });
+});
@@ -0,0 +1,345 @@
+// queueService pulls in ESM-only p-retry, so the queue is replaced wholesale
+jest.mock('../src/services/queueService', () => ({
+  addPriceCollectionJob: jest.fn(),
+  getJobStatus: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const moment = require('moment');
+const TokenPrice = require('../src/models/TokenPrice');
+const InterpolatedPrice = require('../src/models/InterpolatedPrice');
+const databaseConnection = require('../src/config/database');
+const queueService = require('../src/services/queueService');
+const oracleService = require('../src/services/oracleService');
+const oracleRoutes = require('../src/routes/oracle');
+const historicalPriceService = require('../src/services/historicalPriceService');
+const interpolationService = require('../src/services/interpolationService');
+const tokenRegistryService = require('../src/services/tokenRegistryService');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const TIMESTAMP = 1700000000;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oracle', oracleRoutes);
+  return app;
+};
+
+describe('Initial backfill for unseen tokens', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(TokenPrice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(TokenPrice, 'exists').mockResolvedValue(null);
+    jest.spyOn(InterpolatedPrice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(historicalPriceService, 'aggregatePrice').mockResolvedValue(null);
+    jest.spyOn(interpolationService, 'interpolatePrice').mockResolvedValue(null);
+    jest
+      .spyOn(tokenRegistryService, 'ensureToken')
+      .mockResolvedValue({ creationTimestamp: 1699900000 });
+    jest
+      .spyOn(tokenRegistryService, 'recordInitialBackfill')
+      .mockResolvedValue();
+    queueService.addPriceCollectionJob.mockResolvedValue({
+      id: `backfill-ethereum-${TOKEN}`
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueService.addPriceCollectionJob.mockReset();
+    queueService.getJobStatus.mockReset();
+  });
+
+  it('should register the token and answer 202 with the job id', async() => {
+    const response = await request(app)
+      .post('/api/oracle/price')
+      .send({ token: TOKEN, network: 'ethereum', timestamp: TIMESTAMP })
+      .expect(202);
+
+    expect(response.body.data).toMatchObject({
+      status: 'pending',
+      jobId: `backfill-ethereum-${TOKEN}`
+    });
+    expect(tokenRegistryService.ensureToken).toHaveBeenCalledWith(
+      TOKEN,
+      'ethereum'
+    );
+
+    // The registered creation time spares a second Alchemy lookup
+    const [data, options] = queueService.addPriceCollectionJob.mock.calls[0];
+    expect(data).toMatchObject({
+      token: TOKEN,
+      creationTimestamp: 1699900000,
+      mode: 'backfill',
+      keepCurrent: true
+    });
+    expect(options).toEqual({ jobId: `backfill-ethereum-${TOKEN}` });
+    expect(tokenRegistryService.recordInitialBackfill).toHaveBeenCalledWith(
+      TOKEN,
+      'ethereum',
+      `backfill-ethereum-${TOKEN}`
+    );
+  });
+
+  it('should report the first backfill while it is still running', async() => {
+    tokenRegistryService.ensureToken.mockResolvedValue({
+      initialBackfill: {
+        jobId: `backfill-ethereum-${TOKEN}`,
+        requestedAt: new Date()
+      }
+    });
+    queueService.getJobStatus.mockResolvedValue({
+      id: `backfill-ethereum-${TOKEN}`,
+      state: 'active'
+    });
+
+    const response = await request(app)
+      .post('/api/oracle/price')
+      .send({ token: TOKEN, network: 'ethereum', timestamp: TIMESTAMP })
+      .expect(202);
+
+    expect(response.body.data.jobId).toBe(`backfill-ethereum-${TOKEN}`);
+    expect(queueService.addPriceCollectionJob).not.toHaveBeenCalled();
+  });
+
+  it('should not queue another backfill once the first has finished', async() => {
+    tokenRegistryService.ensureToken.mockResolvedValue({
+      initialBackfill: {
+        jobId: `backfill-ethereum-${TOKEN}`,
+        requestedAt: new Date()
+      }
+    });
+    queueService.getJobStatus.mockResolvedValue({
+      id: `backfill-ethereum-${TOKEN}`,
+      state: 'completed'
+    });
+
+    await expect(
+      oracleService.getTokenPriceAtTimestamp(TOKEN, 'ethereum', TIMESTAMP)
+    ).rejects.toThrow('No price data found');
+    expect(queueService.addPriceCollectionJob).not.toHaveBeenCalled();
+    expect(tokenRegistryService.recordInitialBackfill).not.toHaveBeenCalled();
+  });
+
+  it('should still return a live price while the backfill is queued', async() => {
+    historicalPriceService.aggregatePrice.mockResolvedValue({
+      price: 2.5,
+      priceUsd: 2.5,
+      source: 'external_api',
+      provider: 'coingecko',
+      confidence: 1
+    });
+    jest.spyOn(oracleService, 'storeFetchedPrice').mockImplementation(
+      async(cacheKey, token, network, timestamp, priceData) => ({
+        token,
+        network,
+        timestamp,
+        price: priceData.price
+      })
+    );
+
+    const result = await oracleService.getTokenPriceAtTimestamp(
+      TOKEN,
+      'ethereum',
+      TIMESTAMP
+    );
+
+    expect(result.price).toBe(2.5);
+    expect(queueService.addPriceCollectionJob).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer with a projection while the backfill is queued', async() => {
+    interpolationService.interpolatePrice.mockResolvedValue({
+      price: 2.4,
+      source: 'extrapolated',
+      confidence: 0.5,
+      extrapolation: { direction: 'forward' }
+    });
+
+    const result = await oracleService.getTokenPriceAtTimestamp(
+      TOKEN,
+      'ethereum',
+      TIMESTAMP,
+      { extrapolate: true }
+    );
+
+    expect(result).toMatchObject({ price: 2.4, source: 'extrapolated' });
+    expect(queueService.addPriceCollectionJob).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report a fetched price below the bar rather than pending', async() => {
+    historicalPriceService.aggregatePrice.mockResolvedValue({
+      price: 2.5,
+      source: 'external_api',
+      provider: 'coingecko',
+      confidence: 0.6
+    });
+    jest
+      .spyOn(oracleService, 'storeFetchedPrice')
+      .mockImplementation(async(cacheKey, token, network, timestamp, data) => ({
+        token,
+        network,
+        timestamp,
+        ...data
+      }));
+
+    await expect(
+      oracleService.getTokenPriceAtTimestamp(TOKEN, 'ethereum', TIMESTAMP, {
+        minConfidence: 0.9
+      })
+    ).rejects.toMatchObject({
+      code: 'PRICE_REQUIREMENTS_NOT_MET',
+      candidate: { price: 2.5, confidence: 0.6 }
+    });
+  });
+
+  it('should not schedule tokens that already have history', async() => {
+    TokenPrice.exists.mockResolvedValue({ _id: 'existing' });
+
+    await expect(
+      oracleService.getTokenPriceAtTimestamp(TOKEN, 'ethereum', TIMESTAMP)
+    ).rejects.toThrow('No price data found');
+    expect(queueService.addPriceCollectionJob).not.toHaveBeenCalled();
+  });
+
+  it('should fail as before when the queue is unavailable', async() => {
+    queueService.addPriceCollectionJob.mockRejectedValue(
+      new Error('Queue not initialized')
+    );
+
+    await request(app)
+      .post('/api/oracle/price')
+      .send({ token: TOKEN, network: 'ethereum', timestamp: TIMESTAMP })
+      .expect(500);
+  });
+});
+
+describe('Schedule requests', () => {
+  const app = buildApp();
+  const dayOf = (date) => moment(date).startOf('day').unix();
+
+  beforeEach(() => {
+    databaseConnection.isConnected = true;
+    jest
+      .spyOn(oracleService, 'getTokenCreationTimestamp')
+      .mockResolvedValue(1600000000);
+    queueService.addPriceCollectionJob.mockImplementation(async(data) => ({
+      id: '42',
+      data
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueService.addPriceCollectionJob.mockReset();
+    databaseConnection.isConnected = false;
+  });
+
+  it('should queue only the missing days of the window at the given priority', async() => {
+    // A mid-day observation counts for its whole day
+    jest
+      .spyOn(TokenPrice, 'distinct')
+      .mockResolvedValue([dayOf('2024-01-02') + 12 * 60 * 60]);
+
+    const response = await request(app)
+      .post('/api/oracle/schedule')
+      .send({
+        token: TOKEN,
+        network: 'ethereum',
+        startDate: '2024-01-01',
+        endDate: '2024-01-05',
+        priority: 2
+      })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      jobId: '42',
+      priority: 2,
+      granularity: '1d',
+      timestamps: 4,
+      skippedTimestamps: 1
+    });
+
+    const [data, options] = queueService.addPriceCollectionJob.mock.calls[0];
+    expect(data.timestamps).toEqual(
+      ['2024-01-01', '2024-01-03', '2024-01-04', '2024-01-05'].map(dayOf)
+    );
+    // A one-off window does not start recurring collection
+    expect(data.keepCurrent).toBe(false);
+    expect(options).toEqual({ priority: 2 });
+  });
+
+  it('should not start before the token was created', async() => {
+    jest.spyOn(TokenPrice, 'distinct').mockResolvedValue([]);
+    oracleService.getTokenCreationTimestamp.mockResolvedValue(
+      dayOf('2024-01-04') + 60
+    );
+
+    await oracleService.scheduleHistoricalDataCollection(TOKEN, 'ethereum', {
+      startDate: new Date('2024-01-01'),
+      endDate: new Date('2024-01-05')
+    });
+
+    const [data] = queueService.addPriceCollectionJob.mock.calls[0];
+    expect(data.timestamps).toEqual(['2024-01-04', '2024-01-05'].map(dayOf));
+  });
+
+  it('should collect 4h intervals and skip those already stored', async() => {
+    const day = dayOf('2024-01-01');
+    jest
+      .spyOn(TokenPrice, 'distinct')
+      .mockResolvedValue([day + 5 * 60 * 60]);
+
+    await request(app)
+      .post('/api/oracle/schedule')
+      .send({
+        token: TOKEN,
+        network: 'ethereum',
+        startDate: '2024-01-01',
+        endDate: '2024-01-02',
+        granularity: '4h'
+      })
+      .expect(200);
+
+    // The 04:00 interval holds the stored 05:00 price
+    const [data] = queueService.addPriceCollectionJob.mock.calls[0];
+    expect(data.granularity).toBe('4h');
+    expect(data.timestamps).toEqual(
+      [0, 8, 12, 16, 20, 24].map((hour) => day + hour * 60 * 60)
+    );
+  });
+
+  it('should reject unsupported granularities', async() => {
+    await request(app)
+      .post('/api/oracle/schedule')
+      .send({ token: TOKEN, network: 'ethereum', granularity: '15m' })
+      .expect(400);
+  });
+
+  it('should not queue a job when every day is stored', async() => {
+    jest
+      .spyOn(TokenPrice, 'distinct')
+      .mockResolvedValue([dayOf('2024-01-01'), dayOf('2024-01-02')]);
+
+    const response = await request(app)
+      .post('/api/oracle/schedule')
+      .send({
+        token: TOKEN,
+        network: 'ethereum',
+        startDate: '2024-01-01',
+        endDate: '2024-01-02'
+      })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      jobId: null,
+      status: 'complete'
+    });
+    expect(queueService.addPriceCollectionJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,230 @@
+// queueService pulls in ESM-only p-retry, so the queue is replaced wholesale
+jest.mock('../src/services/queueService', () => ({
+  addPriceCollectionJob: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const TokenPrice = require('../src/models/TokenPrice');
+const redisConnection = require('../src/config/redis');
+const oracleService = require('../src/services/oracleService');
+const oracleRoutes = require('../src/routes/oracle');
+const historicalPriceService = require('../src/services/historicalPriceService');
+const interpolationService = require('../src/services/interpolationService');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const TIMESTAMP = 1700000000;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oracle', oracleRoutes);
+  return app;
+};
+
+const interpolated = (confidence) => ({
+  price: 2,
+  confidence,
+  beforeTimestamp: TIMESTAMP - 3600,
+  afterTimestamp: TIMESTAMP + 3600,
+  beforePrice: 1.9,
+  afterPrice: 2.1,
+  method: 'weighted_average'
+});
+
+describe('Price requirements', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(TokenPrice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(TokenPrice, 'exists').mockResolvedValue({ _id: 'existing' });
+    jest.spyOn(historicalPriceService, 'aggregatePrice').mockResolvedValue(null);
+    jest
+      .spyOn(interpolationService, 'getStoredEstimate')
+      .mockResolvedValue(null);
+    jest
+      .spyOn(oracleService, 'storeFetchedPrice')
+      .mockImplementation(async(cacheKey, token, network, timestamp, data) => ({
+        token,
+        network,
+        timestamp,
+        ...data
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    oracleService.cacheClient = null;
+  });
+
+  it('should pass over a cached price below the bar for a fresh one', async() => {
+    oracleService.cacheClient = {};
+    jest
+      .spyOn(redisConnection, 'get')
+      .mockResolvedValue({ price: 2, source: 'interpolated', confidence: 0.3 });
+    historicalPriceService.aggregatePrice.mockResolvedValue({
+      price: 2.05,
+      source: 'aggregated',
+      confidence: 0.95
+    });
+
+    const result = await oracleService.getTokenPriceAtTimestamp(
+      TOKEN,
+      'ethereum',
+      TIMESTAMP,
+      { minConfidence: 0.9 }
+    );
+
+    expect(result).toMatchObject({ price: 2.05, source: 'aggregated' });
+  });
+
+  it('should look past a stored observation from another source', async() => {
+    TokenPrice.findOne.mockResolvedValue({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: TIMESTAMP,
+      price: 2.1,
+      source: 'coingecko',
+      confidence: 1
+    });
+    historicalPriceService.aggregatePrice.mockResolvedValue({
+      price: 2.15,
+      source: 'chainlink',
+      provider: 'chainlink',
+      confidence: 0.95
+    });
+
+    const result = await oracleService.getTokenPriceAtTimestamp(
+      TOKEN,
+      'ethereum',
+      TIMESTAMP,
+      { allowedSources: ['chainlink'] }
+    );
+
+    expect(result).toMatchObject({ price: 2.15, source: 'chainlink' });
+    expect(oracleService.storeFetchedPrice).not.toHaveBeenCalled();
+  });
+
+  it('should offer a stored observation once every stage falls short', async() => {
+    TokenPrice.findOne.mockResolvedValue({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: TIMESTAMP,
+      price: 2.1,
+      source: 'manual',
+      confidence: 1
+    });
+    const interpolatePrice = jest
+      .spyOn(interpolationService, 'interpolatePrice')
+      .mockResolvedValue(null);
+
+    await expect(
+      oracleService.getTokenPriceAtTimestamp(TOKEN, 'ethereum', TIMESTAMP, {
+        allowedSources: ['interpolated']
+      })
+    ).rejects.toMatchObject({
+      code: 'PRICE_REQUIREMENTS_NOT_MET',
+      candidate: { price: 2.1, source: 'manual' }
+    });
+    expect(historicalPriceService.aggregatePrice).toHaveBeenCalled();
+    expect(interpolatePrice).toHaveBeenCalled();
+    expect(oracleService.storeFetchedPrice).not.toHaveBeenCalled();
+  });
+
+  it('should skip sources the caller does not accept', async() => {
+    historicalPriceService.aggregatePrice.mockResolvedValue({
+      price: 2.2,
+      source: 'external_api',
+      confidence: 1
+    });
+    jest
+      .spyOn(interpolationService, 'interpolatePrice')
+      .mockResolvedValue(interpolated(0.8));
+
+    const result = await oracleService.getTokenPriceAtTimestamp(
+      TOKEN,
+      'ethereum',
+      TIMESTAMP,
+      { allowedSources: ['interpolated'] }
+    );
+
+    expect(result).toMatchObject({ price: 2, source: 'interpolated' });
+  });
+
+  it('should not cache an estimate that falls short of the request', async() => {
+    oracleService.cacheClient = {};
+    jest.spyOn(redisConnection, 'get').mockResolvedValue(null);
+    const set = jest.spyOn(redisConnection, 'set').mockResolvedValue(true);
+    jest
+      .spyOn(interpolationService, 'interpolatePrice')
+      .mockResolvedValue(interpolated(0.3));
+
+    await expect(
+      oracleService.getTokenPriceAtTimestamp(TOKEN, 'ethereum', TIMESTAMP, {
+        minConfidence: 0.9
+      })
+    ).rejects.toMatchObject({ code: 'PRICE_REQUIREMENTS_NOT_MET' });
+    expect(set).not.toHaveBeenCalled();
+  });
+
+  it('should answer 422 with the most confident candidate when none qualifies', async() => {
+    historicalPriceService.aggregatePrice.mockResolvedValue({
+      price: 2.2,
+      source: 'external_api',
+      provider: 'coingecko',
+      confidence: 0.5
+    });
+    jest
+      .spyOn(interpolationService, 'interpolatePrice')
+      .mockResolvedValue(interpolated(0.3));
+
+    const response = await request(app)
+      .post('/api/oracle/price')
+      .send({
+        token: TOKEN,
+        network: 'ethereum',
+        timestamp: TIMESTAMP,
+        minConfidence: 0.9
+      })
+      .expect(422);
+
+    expect(response.body).toMatchObject({
+      success: false,
+      error: 'No price meets the requested requirements',
+      requirements: { minConfidence: 0.9 },
+      bestCandidate: {
+        price: 2.2,
+        source: 'external_api',
+        confidence: 0.5
+      }
+    });
+  });
+
+  it('should still fail as before when there is no price at all', async() => {
+    jest.spyOn(interpolationService, 'interpolatePrice').mockResolvedValue(null);
+
+    await expect(
+      oracleService.getTokenPriceAtTimestamp(TOKEN, 'ethereum', TIMESTAMP, {
+        minConfidence: 0.9
+      })
+    ).rejects.toThrow('No price data found');
+  });
+
+  it('should reject sources that prices are never reported with', async() => {
+    const response = await request(app)
+      .post('/api/oracle/price')
+      .send({
+        token: TOKEN,
+        network: 'ethereum',
+        timestamp: TIMESTAMP,
+        allowedSources: ['cache']
+      })
+      .expect(400);
+
+    expect(response.body.details.map((detail) => detail.field)).toEqual([
+      'allowedSources.0'
+    ]);
+  });
+});
@@ -0,0 +1,332 @@
+const Token = require('../src/models/Token');
+const databaseConnection = require('../src/config/database');
+const providerRegistry = require('../src/providers');
+const priceService = require('../src/services/priceService');
+const priceController = require('../src/controllers/priceController');
+
+const UNI = '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984';
+const GEM = `0x${'a'.repeat(40)}`;
+const COIN_LIST = [
+  { id: 'ethereum', symbol: 'eth', name: 'Ethereum', platforms: {} },
+  { id: 'newtoken', symbol: 'newtoken', name: 'New Token', platforms: {} },
+  {
+    id: 'uniswap',
+    symbol: 'uni',
+    name: 'Uniswap',
+    platforms: { ethereum: UNI, 'polygon-pos': `0x${'b'.repeat(40)}` }
+  },
+  { id: 'universe', symbol: 'uni', name: 'Universe', platforms: {} },
+  {
+    id: 'gem-finance',
+    symbol: 'gem',
+    name: 'Gem Finance',
+    platforms: { ethereum: GEM, 'polygon-pos': `0x${'b'.repeat(40)}` }
+  },
+  { id: 'gemstone', symbol: 'gem', name: 'Gemstone', platforms: {} }
+];
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Price service provider failover', () => {
+  const originalEnv = { ...process.env };
+  let coingecko;
+  let coinmarketcap;
+  let binance;
+
+  beforeAll(() => {
+    process.env.COINMARKETCAP_API_KEY = 'test-key';
+    providerRegistry.load();
+    coingecko = providerRegistry.getProvider('coingecko');
+    coinmarketcap = providerRegistry.getProvider('coinmarketcap');
+    binance = providerRegistry.getProvider('binance');
+  });
+
+  beforeEach(() => {
+    jest.spyOn(coingecko, 'getCoinList').mockResolvedValue(COIN_LIST);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    priceService.clearCache();
+  });
+
+  afterAll(() => {
+    process.env = { ...originalEnv };
+    providerRegistry.load();
+  });
+
+  it('should enable CoinMarketCap between CoinGecko and Binance', () => {
+    expect(
+      providerRegistry
+        .getProviders({ capability: 'priceHistory' })
+        .map((provider) => provider.label)
+    ).toEqual(['CoinGecko', 'CoinMarketCap', 'Binance']);
+  });
+
+  it('should fall back to CoinMarketCap for current prices', async() => {
+    jest
+      .spyOn(coingecko, 'getCurrentPrice')
+      .mockRejectedValue(new Error('rate limited'));
+    jest.spyOn(coinmarketcap, 'request').mockResolvedValue({
+      ETH: [
+        {
+          cmc_rank: 2,
+          quote: {
+            USD: {
+              price: 2000,
+              market_cap: 240000000000,
+              volume_24h: 1000000,
+              percent_change_24h: 1.5,
+              last_updated: '2024-01-01T00:00:00.000Z'
+            }
+          }
+        }
+      ]
+    });
+    const binancePrice = jest.spyOn(binance, 'getCurrentPrice');
+
+    const price = await priceService.getTokenPrice('ETH', 'USD');
+
+    expect(price).toMatchObject({
+      symbol: 'ETH',
+      price: 2000,
+      change_24h: 1.5,
+      source: 'CoinMarketCap'
+    });
+    expect(binancePrice).not.toHaveBeenCalled();
+  });
+
+  it('should report the provider that served the price history', async() => {
+    jest
+      .spyOn(coingecko, 'getPriceHistory')
+      .mockRejectedValue(new Error('rate limited'));
+    jest
+      .spyOn(coinmarketcap, 'getPriceHistory')
+      .mockRejectedValue(new Error('plan does not include history'));
+    jest.spyOn(binance, 'getPriceHistory').mockResolvedValue({
+      prices: [[1704067200000, 2300]],
+      volumes: [[1704067200000, 5000]]
+    });
+
+    const history = await priceService.getTokenPriceHistory('ETH', '7d');
+
+    expect(history).toMatchObject({
+      symbol: 'ETH',
+      data: [{ timestamp: '2024-01-01T00:00:00.000Z', price: 2300 }],
+      source: 'Binance'
+    });
+  });
+
+  it('should fill symbols missing from one provider with the next', async() => {
+    jest.spyOn(coingecko, 'getBulkPrices').mockResolvedValue({
+      ETH: { symbol: 'ETH', currency: 'USD', price: 2000 },
+      NEWTOKEN: null
+    });
+    jest.spyOn(coinmarketcap, 'getBulkPrices').mockResolvedValue({
+      NEWTOKEN: { symbol: 'NEWTOKEN', currency: 'USD', price: 0.5 }
+    });
+    jest
+      .spyOn(binance, 'getBulkPrices')
+      .mockRejectedValue(new Error('No valid tokens found'));
+
+    const prices = await priceService.getBulkTokenPrices([
+      'ETH',
+      'NEWTOKEN',
+      'MISSING'
+    ]);
+
+    expect(prices.ETH).toMatchObject({ price: 2000, source: 'CoinGecko' });
+    expect(prices.NEWTOKEN).toMatchObject({
+      price: 0.5,
+      source: 'CoinMarketCap'
+    });
+    expect(prices.MISSING).toEqual({
+      symbol: 'MISSING',
+      error: 'Token not found or price unavailable'
+    });
+  });
+
+  it('should fail once every provider has failed', async() => {
+    [coingecko, coinmarketcap, binance].forEach((provider) =>
+      jest
+        .spyOn(provider, 'getCurrentPrice')
+        .mockRejectedValue(new Error('unavailable'))
+    );
+
+    await expect(priceService.getTokenPrice('ETH')).rejects.toThrow(
+      'Failed to fetch price for ETH'
+    );
+  });
+});
+
+describe('Token identifier resolution', () => {
+  let coingecko;
+
+  beforeEach(() => {
+    providerRegistry.load();
+    coingecko = providerRegistry.getProvider('coingecko');
+    jest.spyOn(coingecko, 'getCoinList').mockResolvedValue(COIN_LIST);
+    jest.spyOn(coingecko, 'getMarketCapRanks').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    priceService.clearCache();
+    databaseConnection.isConnected = false;
+  });
+
+  it('should price a network:0xaddress identifier by its CoinGecko id', async() => {
+    const request = jest
+      .spyOn(coingecko, 'request')
+      .mockImplementation(async(path) =>
+        path === `/coins/ethereum/contract/${UNI}`
+          ? { id: 'uniswap', symbol: 'uni', name: 'Uniswap' }
+          : { uniswap: { usd: 6.2, last_updated_at: 1700000000 } }
+      );
+
+    const price = await priceService.getTokenPrice(`Ethereum:${UNI}`);
+
+    expect(price).toMatchObject({
+      symbol: 'UNI',
+      network: 'ethereum',
+      address: UNI,
+      price: 6.2,
+      source: 'CoinGecko'
+    });
+    expect(request).toHaveBeenLastCalledWith(
+      '/simple/price',
+      expect.objectContaining({ ids: 'uniswap' })
+    );
+  });
+
+  it('should prefer the Token collection for registered contracts', async() => {
+    databaseConnection.isConnected = true;
+    jest.spyOn(Token, 'findByAddress').mockResolvedValue({
+      symbol: 'UNI',
+      name: 'Uniswap',
+      metadata: { coingeckoId: 'uniswap' }
+    });
+    const contractLookup = jest.spyOn(coingecko, 'getCoinByContract');
+    jest
+      .spyOn(coingecko, 'request')
+      .mockResolvedValue({ uniswap: { usd: 6.2, last_updated_at: 1 } });
+
+    const price = await priceService.getTokenPrice(`ethereum:${UNI}`);
+
+    expect(price).toMatchObject({ symbol: 'UNI', price: 6.2 });
+    expect(contractLookup).not.toHaveBeenCalled();
+  });
+
+  it('should pick the configured coin for a common symbol', async() => {
+    const request = jest
+      .spyOn(coingecko, 'request')
+      .mockResolvedValue({ uniswap: { usd: 6.2, last_updated_at: 1 } });
+
+    const price = await priceService.getTokenPrice('uni');
+
+    expect(price).toMatchObject({ symbol: 'UNI', price: 6.2 });
+    expect(request).toHaveBeenLastCalledWith(
+      '/simple/price',
+      expect.objectContaining({ ids: 'uniswap' })
+    );
+    expect(coingecko.getMarketCapRanks).not.toHaveBeenCalled();
+  });
+
+  it('should pick the coin with the best market cap rank', async() => {
+    coingecko.getMarketCapRanks.mockResolvedValue({ gemstone: 812 });
+    const request = jest
+      .spyOn(coingecko, 'request')
+      .mockResolvedValue({ gemstone: { usd: 0.4, last_updated_at: 1 } });
+
+    const price = await priceService.getTokenPrice('gem');
+
+    expect(coingecko.getMarketCapRanks).toHaveBeenCalledWith([
+      'gem-finance',
+      'gemstone'
+    ]);
+    expect(price).toMatchObject({ symbol: 'GEM', price: 0.4 });
+    expect(request).toHaveBeenLastCalledWith(
+      '/simple/price',
+      expect.objectContaining({ ids: 'gemstone' })
+    );
+  });
+
+  it('should pick the coin of a registered token', async() => {
+    databaseConnection.isConnected = true;
+    jest
+      .spyOn(Token, 'findBySymbol')
+      .mockResolvedValue([{ address: GEM, network: 'ethereum' }]);
+    const request = jest
+      .spyOn(coingecko, 'request')
+      .mockResolvedValue({ 'gem-finance': { usd: 3, last_updated_at: 1 } });
+
+    const price = await priceService.getTokenPrice('gem');
+
+    expect(price).toMatchObject({ symbol: 'GEM', price: 3 });
+    expect(request).toHaveBeenLastCalledWith(
+      '/simple/price',
+      expect.objectContaining({ ids: 'gem-finance' })
+    );
+  });
+
+  it('should answer 409 with candidates when nothing ranks a symbol', async() => {
+    const res = mockResponse();
+
+    await priceController.getTokenPrice(
+      { params: { symbol: 'gem' }, query: {} },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      success: false,
+      error: 'Ambiguous token symbol: GEM matches 2 tokens',
+      candidates: [
+        {
+          id: 'gem-finance',
+          identifiers: [
+            'coingecko:gem-finance',
+            `ethereum:${GEM}`,
+            `polygon:0x${'b'.repeat(40)}`
+          ]
+        },
+        { id: 'gemstone', identifiers: ['coingecko:gemstone'] }
+      ]
+    });
+  });
+
+  it('should answer 404 for unknown contracts', async() => {
+    jest.spyOn(coingecko, 'request').mockRejectedValue(
+      Object.assign(new Error('Request failed with status code 404'), {
+        response: { status: 404 }
+      })
+    );
+    const res = mockResponse();
+
+    await priceController.getTokenPrice(
+      { params: { symbol: `polygon:0x${'c'.repeat(40)}` }, query: {} },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('should report ambiguity per entry in bulk requests', async() => {
+    jest.spyOn(coingecko, 'getBulkPrices').mockResolvedValue({
+      ETH: { symbol: 'ETH', currency: 'USD', price: 2000 }
+    });
+
+    const prices = await priceService.getBulkTokenPrices(['eth', 'gem']);
+
+    expect(prices.ETH).toMatchObject({ price: 2000, source: 'CoinGecko' });
+    expect(prices.GEM).toMatchObject({
+      error: 'Ambiguous token symbol: GEM matches 2 tokens'
+    });
+    expect(prices.GEM.candidates).toHaveLength(2);
+  });
+});
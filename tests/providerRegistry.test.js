@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProviderConfig } = require('../src/config/providers');
+const providerRegistry = require('../src/providers');
+const BaseProvider = require('../src/providers/baseProvider');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const UNKNOWN = '0x00000000000000000000000000000000000000aa';
+
+describe('Price provider registry', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    providerRegistry.load();
+  });
+
+  it('should order providers by the default priorities', () => {
+    delete process.env.PRICE_PROVIDERS;
+    delete process.env.PRICE_PROVIDERS_CONFIG;
+    delete process.env.COINMARKETCAP_API_KEY;
+
+    const providers = providerRegistry.load();
+
+    expect(providers.map((provider) => provider.name)).toEqual([
+      'chainlink',
+      'uniswap',
+      'coingecko',
+      'binance'
+    ]);
+  });
+
+  it('should enable and order providers from PRICE_PROVIDERS', () => {
+    process.env.PRICE_PROVIDERS = 'coingecko, chainlink';
+
+    const providers = providerRegistry.load();
+
+    expect(providers.map((provider) => provider.name)).toEqual([
+      'coingecko',
+      'chainlink'
+    ]);
+  });
+
+  it('should merge a JSON config file over the defaults', () => {
+    const filePath = path.join(os.tmpdir(), `providers-${process.pid}.json`);
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        providers: {
+          binance: { enabled: false },
+          coingecko: { priority: 0, apiKey: 'demo-key' }
+        }
+      })
+    );
+    process.env.PRICE_PROVIDERS_CONFIG = filePath;
+
+    try {
+      const config = loadProviderConfig();
+
+      expect(config.binance.enabled).toBe(false);
+      expect(config.coingecko).toMatchObject({
+        enabled: true,
+        priority: 0,
+        apiKey: 'demo-key',
+        apiKeyHeader: 'x-cg-demo-api-key'
+      });
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should route requests by capability, network and token', () => {
+    const names = (filter) =>
+      providerRegistry.getProviders(filter).map((provider) => provider.name);
+
+    expect(names({ capability: 'currentPrice' })).toEqual([
+      'coingecko',
+      'binance'
+    ]);
+    expect(
+      names({ capability: 'historicalPrice', network: 'ethereum', token: WETH })
+    ).toEqual(['chainlink', 'uniswap', 'coingecko']);
+    expect(
+      names({
+        capability: 'historicalPrice',
+        network: 'ethereum',
+        token: UNKNOWN
+      })
+    ).toEqual(['uniswap', 'coingecko']);
+  });
+
+  it('should only register providers built on BaseProvider', () => {
+    class CustomProvider extends BaseProvider {}
+
+    expect(() => providerRegistry.register('plain', class {})).toThrow(
+      'must extend BaseProvider'
+    );
+    expect(() =>
+      providerRegistry.register('custom', CustomProvider)
+    ).not.toThrow();
+
+    providerRegistry.providerClasses.delete('custom');
+  });
+});
@@ -0,0 +1,187 @@
+// p-retry is ESM-only; the retry wrapper is not under test here
+jest.mock('p-retry', () => (fn) => fn());
+
+const express = require('express');
+const request = require('supertest');
+const queueService = require('../src/services/queueService');
+const oracleRoutes = require('../src/routes/oracle');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const API_KEY = 'dev-api-key-123';
+const JOB_ID = 'backfill-ethereum-0x1f9840a85d5af5bf1d1762f925bdaddc4201f984';
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oracle', oracleRoutes);
+  app.use(globalErrorHandler);
+  return app;
+};
+
+// Minimal stand-in for a BullMQ job in the given state
+const buildJob = (state) => ({
+  id: JOB_ID,
+  getState: jest.fn().mockResolvedValue(state),
+  retry: jest.fn(),
+  promote: jest.fn(),
+  changePriority: jest.fn()
+});
+
+describe('Queue administration', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queueService.priceQueue = {
+      getJob: jest.fn(),
+      pause: jest.fn(),
+      resume: jest.fn(),
+      clean: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueService.priceQueue = null;
+  });
+
+  it('should require an API key', async() => {
+    await request(app).post('/api/oracle/queue/pause').expect(401);
+
+    expect(queueService.priceQueue.pause).not.toHaveBeenCalled();
+  });
+
+  it('should pause and resume the queue', async() => {
+    const paused = await request(app)
+      .post('/api/oracle/queue/pause')
+      .set('X-API-Key', API_KEY)
+      .expect(200);
+    const resumed = await request(app)
+      .post('/api/oracle/queue/resume')
+      .set('X-API-Key', API_KEY)
+      .expect(200);
+
+    expect(paused.body.data).toEqual({ paused: true });
+    expect(resumed.body.data).toEqual({ paused: false });
+    expect(queueService.priceQueue.resume).toHaveBeenCalled();
+  });
+
+  it('should retry a failed job by its custom id', async() => {
+    const job = buildJob('failed');
+    queueService.priceQueue.getJob.mockResolvedValue(job);
+
+    await request(app)
+      .post(`/api/oracle/jobs/${JOB_ID}/retry`)
+      .set('X-API-Key', API_KEY)
+      .expect(200);
+
+    expect(queueService.priceQueue.getJob).toHaveBeenCalledWith(JOB_ID);
+    expect(job.retry).toHaveBeenCalledWith('failed');
+  });
+
+  it('should refuse to promote a job that is not delayed', async() => {
+    const job = buildJob('active');
+    queueService.priceQueue.getJob.mockResolvedValue(job);
+
+    const response = await request(app)
+      .post(`/api/oracle/jobs/${JOB_ID}/promote`)
+      .set('X-API-Key', API_KEY)
+      .expect(409);
+
+    expect(response.body.error).toContain('in state active');
+    expect(job.promote).not.toHaveBeenCalled();
+  });
+
+  it('should answer 404 for unknown jobs', async() => {
+    queueService.priceQueue.getJob.mockResolvedValue(undefined);
+
+    await request(app)
+      .post('/api/oracle/jobs/42/retry')
+      .set('X-API-Key', API_KEY)
+      .expect(404);
+  });
+
+  it('should change the priority of a waiting job', async() => {
+    const job = buildJob('waiting');
+    queueService.priceQueue.getJob.mockResolvedValue(job);
+
+    const response = await request(app)
+      .patch(`/api/oracle/jobs/${JOB_ID}/priority`)
+      .set('X-API-Key', API_KEY)
+      .send({ priority: 1 })
+      .expect(200);
+
+    expect(job.changePriority).toHaveBeenCalledWith({ priority: 1 });
+    expect(response.body.data.priority).toBe(1);
+  });
+
+  it('should clean jobs by state and age', async() => {
+    queueService.priceQueue.clean.mockResolvedValue(['1', '2']);
+
+    const response = await request(app)
+      .post('/api/oracle/queue/clean')
+      .set('X-API-Key', API_KEY)
+      .send({ state: 'failed', olderThanHours: 48 })
+      .expect(200);
+
+    expect(queueService.priceQueue.clean).toHaveBeenCalledWith(
+      48 * 60 * 60 * 1000,
+      1000,
+      'failed'
+    );
+    expect(response.body.data).toEqual({
+      state: 'failed',
+      removed: 2,
+      olderThanHours: 48
+    });
+  });
+
+  it('should reject unknown states to clean', async() => {
+    await request(app)
+      .post('/api/oracle/queue/clean')
+      .set('X-API-Key', API_KEY)
+      .send({ state: 'active' })
+      .expect(400);
+  });
+
+  it('should answer 503 when the queue is not initialized', async() => {
+    queueService.priceQueue = null;
+
+    await request(app)
+      .post('/api/oracle/queue/pause')
+      .set('X-API-Key', API_KEY)
+      .expect(503);
+  });
+});
+
+describe('Job listing', () => {
+  const app = buildApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass validated filters to the queue', async() => {
+    const getAllJobs = jest
+      .spyOn(queueService, 'getAllJobs')
+      .mockResolvedValue({ jobs: [], total: 0 });
+
+    const response = await request(app)
+      .get('/api/oracle/jobs?status=failed&network=polygon&limit=10')
+      .expect(200);
+
+    expect(getAllJobs).toHaveBeenCalledWith({
+      status: 'failed',
+      network: 'polygon',
+      token: undefined,
+      limit: 10,
+      offset: 0
+    });
+    expect(response.body.pagination).toEqual({ limit: 10, offset: 0, total: 0 });
+  });
+
+  it('should reject unknown job states', async() => {
+    await request(app).get('/api/oracle/jobs?status=stuck').expect(400);
+  });
+});
@@ -0,0 +1,393 @@
+// p-retry is ESM-only; the retry wrapper is not under test here
+jest.mock('p-retry', () => (fn) => fn());
+
+const queueService = require('../src/services/queueService');
+const TokenPrice = require('../src/models/TokenPrice');
+const FailedTimestamp = require('../src/models/FailedTimestamp');
+const historicalPriceService = require('../src/services/historicalPriceService');
+const collectionScheduleService = require('../src/services/collectionScheduleService');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const START = 1672531200; // 2023-01-01T00:00:00Z
+const DAY = 24 * 60 * 60;
+
+const dailyTimestamps = (count) =>
+  Array.from({ length: count }, (_, index) => START + index * DAY);
+
+// Minimal stand-in for a BullMQ job
+const buildJob = (data) => {
+  const job = {
+    id: '7',
+    data,
+    updateProgress: jest.fn(),
+    updateData: jest.fn(async(nextData) => {
+      job.data = nextData;
+    })
+  };
+  return job;
+};
+
+describe('Queue service collection jobs', () => {
+  let processBatch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    processBatch = jest
+      .spyOn(queueService, 'processBatch')
+      .mockImplementation(async(token, network, batch) => ({
+        successful: batch.length,
+        failed: [],
+        providers: { coingecko: batch.length }
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueService.priceQueue = null;
+    queueService.flowProducer = null;
+  });
+
+  it('should checkpoint each completed batch in the job data', async() => {
+    const job = buildJob({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamps: dailyTimestamps(4)
+    });
+
+    const result = await queueService.processPriceCollectionJob(job);
+
+    expect(job.data.checkpoint).toMatchObject({
+      next: 10,
+      processed: 4,
+      successful: 4
+    });
+    expect(result).toMatchObject({
+      totalTimestamps: 4,
+      successful: 4,
+      providers: { coingecko: 4 }
+    });
+  });
+
+  it('should only schedule recurring collection after an initial backfill', async() => {
+    const ensureSchedule = jest
+      .spyOn(collectionScheduleService, 'ensureSchedule')
+      .mockResolvedValue(null);
+    const backfill = (keepCurrent) =>
+      buildJob({
+        token: TOKEN,
+        network: 'ethereum',
+        granularity: '1h',
+        timestamps: dailyTimestamps(2),
+        mode: 'backfill',
+        keepCurrent
+      });
+
+    await queueService.processPriceCollectionJob(backfill(false));
+    expect(ensureSchedule).not.toHaveBeenCalled();
+
+    await queueService.processPriceCollectionJob(backfill(true));
+    expect(ensureSchedule).toHaveBeenCalledWith(TOKEN, 'ethereum', '1h');
+  });
+
+  it('should resume a retried job after its last completed batch', async() => {
+    const remaining = dailyTimestamps(25);
+    const job = buildJob({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamps: remaining,
+      checkpoint: {
+        totalTimestamps: 25,
+        remaining,
+        next: 20,
+        processed: 20,
+        successful: 19,
+        failed: 1,
+        backfilled: 0,
+        failedTimestamps: [{ timestamp: remaining[3], error: 'timeout' }],
+        providers: { coingecko: 19 }
+      }
+    });
+
+    const result = await queueService.processPriceCollectionJob(job);
+
+    expect(processBatch).toHaveBeenCalledTimes(1);
+    expect(processBatch.mock.calls[0][2]).toEqual(remaining.slice(20));
+    expect(result).toMatchObject({
+      successful: 24,
+      failed: 1,
+      providers: { coingecko: 24 }
+    });
+    expect(job.updateProgress).toHaveBeenLastCalledWith({
+      percent: 100,
+      processed: 25,
+      total: 25,
+      successful: 24,
+      failed: 1,
+      backfilled: 0,
+      batch: { size: 5, successful: 5, failed: 0 }
+    });
+  });
+
+  it('should split long histories into a flow of child jobs', async() => {
+    const add = jest.fn(async(flow) => ({ job: { id: 'parent', ...flow } }));
+    queueService.priceQueue = { getJob: jest.fn() };
+    queueService.flowProducer = { add };
+
+    const job = await queueService.addPriceCollectionJob(
+      {
+        token: TOKEN,
+        network: 'ethereum',
+        timestamps: dailyTimestamps(1200),
+        mode: 'backfill'
+      },
+      { jobId: `backfill-ethereum-${TOKEN}` }
+    );
+
+    const flow = add.mock.calls[0][0];
+    expect(job.id).toBe('parent');
+    expect(flow.data).toMatchObject({
+      timestamps: [],
+      totalTimestamps: 1200,
+      childJobs: 3
+    });
+    expect(flow.opts.jobId).toBe(`backfill-ethereum-${TOKEN}`);
+    expect(flow.children.map((child) => child.data.timestamps.length)).toEqual(
+      [500, 500, 200]
+    );
+    expect(flow.children[0].opts).toMatchObject({
+      attempts: 3,
+      failParentOnFailure: true
+    });
+    expect(flow.children[0].opts.jobId).toBeUndefined();
+  });
+
+  it('should summarize child job results in the flow parent', async() => {
+    const job = buildJob({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamps: [],
+      totalTimestamps: 3,
+      childJobs: 2
+    });
+    job.getChildrenValues = jest.fn().mockResolvedValue({
+      'bull:price-collection:1': {
+        successful: 2,
+        failed: 0,
+        backfilled: 2,
+        failedTimestamps: [],
+        providers: { coingecko: 2 }
+      },
+      'bull:price-collection:2': {
+        successful: 0,
+        failed: 1,
+        backfilled: 0,
+        failedTimestamps: [{ timestamp: START, error: 'timeout' }],
+        providers: {}
+      }
+    });
+
+    const result = await queueService.processPriceCollectionJob(job);
+
+    expect(processBatch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      totalTimestamps: 3,
+      childJobs: 2,
+      successful: 2,
+      failed: 1,
+      backfilled: 2,
+      failedTimestamps: [{ timestamp: START, error: 'timeout' }],
+      providers: { coingecko: 2 }
+    });
+  });
+
+  it('should record every timestamp of a batch that failed as a whole', async() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    processBatch.mockRejectedValue(new Error('connection lost'));
+    const recordFailure = jest
+      .spyOn(FailedTimestamp, 'recordFailure')
+      .mockResolvedValue({});
+    const timestamps = dailyTimestamps(2);
+    const job = buildJob({
+      token: TOKEN,
+      network: 'ethereum',
+      granularity: '1d',
+      timestamps
+    });
+
+    const result = await queueService.processPriceCollectionJob(job);
+
+    expect(result).toMatchObject({
+      successful: 0,
+      failed: 2,
+      failedTimestamps: timestamps.map((timestamp) => ({
+        timestamp,
+        error: 'connection lost'
+      }))
+    });
+    expect(recordFailure).toHaveBeenCalledTimes(2);
+    expect(recordFailure).toHaveBeenCalledWith({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: timestamps[1],
+      granularity: '1d',
+      error: 'connection lost',
+      attempts: 1,
+      jobId: '7'
+    });
+  });
+
+  it('should dead-letter timestamps no provider could price', async() => {
+    processBatch.mockRestore();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(TokenPrice, 'findOne').mockResolvedValue(null);
+    const error = new Error('CoinGecko API error: 429');
+    error.attemptNumber = 4;
+    jest.spyOn(historicalPriceService, 'fetchPrice').mockRejectedValue(error);
+    const recordFailure = jest
+      .spyOn(FailedTimestamp, 'recordFailure')
+      .mockResolvedValue({});
+
+    const result = await queueService.processBatch(
+      TOKEN,
+      'ethereum',
+      [START],
+      buildJob({ granularity: '1h' })
+    );
+
+    expect(result.failed).toEqual([
+      { timestamp: START, error: 'CoinGecko API error: 429' }
+    ]);
+    expect(recordFailure).toHaveBeenCalledWith({
+      token: TOKEN,
+      network: 'ethereum',
+      timestamp: START,
+      granularity: '1h',
+      error: 'CoinGecko API error: 429',
+      attempts: 4,
+      jobId: '7'
+    });
+  });
+});
+
+describe('Queue service job listing and stats', () => {
+  const OTHER = '0x00000000000000000000000000000000000000bb';
+  const HOUR = 60 * 60 * 1000;
+
+  // Fake BullMQ sets; getJobs reads one set at a time
+  const buildQueue = (sets) => ({
+    name: 'price-collection',
+    getJobCountByTypes: jest.fn(async(type) => (sets[type] || []).length),
+    getJobCounts: jest.fn(async(...types) =>
+      Object.fromEntries(types.map((type) => [type, (sets[type] || []).length]))
+    ),
+    getJobs: jest.fn(async([type], start, end) =>
+      (sets[type] || []).slice(start, end + 1)
+    ),
+    isPaused: jest.fn().mockResolvedValue(false)
+  });
+
+  const queuedJob = (id, token = TOKEN) => ({
+    id,
+    name: 'collect-prices',
+    data: { token, network: 'ethereum' },
+    timestamp: Date.now()
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueService.priceQueue = null;
+  });
+
+  it('should page across states and report each job state', async() => {
+    queueService.priceQueue = buildQueue({
+      active: [queuedJob('1')],
+      wait: [queuedJob('2'), queuedJob('3')],
+      failed: [queuedJob('4')]
+    });
+
+    const { jobs, total } = await queueService.getAllJobs({
+      limit: 2,
+      offset: 1
+    });
+
+    expect(total).toBe(4);
+    expect(jobs.map((job) => [job.id, job.state])).toEqual([
+      ['2', 'waiting'],
+      ['3', 'waiting']
+    ]);
+  });
+
+  it('should list flow parents still waiting on their children', async() => {
+    queueService.priceQueue = buildQueue({
+      active: [queuedJob('1')],
+      'waiting-children': [queuedJob('2')]
+    });
+
+    const { jobs, total } = await queueService.getAllJobs({
+      limit: 50,
+      offset: 0
+    });
+    const stats = await queueService.getQueueStats();
+
+    expect(total).toBe(2);
+    expect(jobs.map((job) => [job.id, job.state])).toEqual([
+      ['1', 'active'],
+      ['2', 'waiting-children']
+    ]);
+    expect(stats).toMatchObject({ 'waiting-children': 1, total: 2 });
+  });
+
+  it('should filter jobs by token', async() => {
+    queueService.priceQueue = buildQueue({
+      completed: [queuedJob('1'), queuedJob('2', OTHER), queuedJob('3')]
+    });
+
+    const { jobs, total } = await queueService.getAllJobs({
+      status: 'completed',
+      token: OTHER.toUpperCase().replace('0X', '0x'),
+      limit: 50,
+      offset: 0
+    });
+
+    expect(total).toBe(1);
+    expect(jobs[0]).toMatchObject({ id: '2', state: 'completed', token: OTHER });
+  });
+
+  it('should compute throughput, duration and failure rate per window', async() => {
+    const now = Date.now();
+    const finished = (id, hoursAgo, durationMs, returnvalue) => ({
+      ...queuedJob(id),
+      processedOn: now - hoursAgo * HOUR - durationMs,
+      finishedOn: now - hoursAgo * HOUR,
+      returnvalue
+    });
+    queueService.priceQueue = buildQueue({
+      completed: [
+        finished('1', 0.5, 1000, { successful: 10 }),
+        finished('2', 2, 3000, { successful: 20 }),
+        // Flow parents repeat their children's totals
+        { ...finished('3', 2, 10, { successful: 30 }), data: { childJobs: 2 } },
+        finished('4', 200, 5000, { successful: 40 })
+      ],
+      failed: [finished('5', 0.2, 500)]
+    });
+
+    const stats = await queueService.getJobStats();
+
+    expect(stats.windows['1h']).toEqual({
+      completed: 1,
+      failed: 1,
+      failureRate: 0.5,
+      averageDurationMs: 1000,
+      throughput: { jobsPerHour: 1, timestampsPerHour: 10 },
+      timestampsCollected: 10
+    });
+    expect(stats.windows['24h']).toMatchObject({
+      completed: 2,
+      averageDurationMs: 2000,
+      timestampsCollected: 30
+    });
+    expect(stats.windows['7d'].completed).toBe(2);
+    expect(stats.counts).toMatchObject({ completed: 4, failed: 1 });
+  });
+});
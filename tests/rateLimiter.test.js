@@ -0,0 +1,112 @@
+const redisConnection = require('../src/config/redis');
+const rateLimiterService = require('../src/services/rateLimiterService');
+const providerRegistry = require('../src/providers');
+
+const LIMIT = { requests: 2, intervalMs: 60 * 1000 };
+
+describe('Provider rate limiter', () => {
+  beforeEach(() => {
+    rateLimiterService.localBuckets.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    redisConnection.isConnected = false;
+  });
+
+  it('should fail over once the wait exceeds the limit', async() => {
+    await rateLimiterService.acquire('coingecko', LIMIT);
+    await rateLimiterService.acquire('coingecko', LIMIT);
+
+    await expect(
+      rateLimiterService.acquire('coingecko', LIMIT, { maxWaitMs: 1000 })
+    ).rejects.toMatchObject({ code: 'RATE_LIMITED', bucket: 'coingecko' });
+  });
+
+  it('should wait for the bucket to refill', async() => {
+    const fast = { requests: 1, intervalMs: 50 };
+    await rateLimiterService.acquire('binance', fast);
+
+    const started = Date.now();
+    await rateLimiterService.acquire('binance', fast);
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+  });
+
+  it('should share the bucket through Redis when connected', async() => {
+    const client = {
+      eval: jest.fn().mockResolvedValue([0, '0.4', 18000]),
+      mget: jest.fn().mockResolvedValue(['30', '3'])
+    };
+    redisConnection.isConnected = true;
+    jest.spyOn(redisConnection, 'getClient').mockReturnValue(client);
+
+    await expect(
+      rateLimiterService.acquire('alchemy', LIMIT, { maxWaitMs: 1000 })
+    ).rejects.toMatchObject({ retryAfterMs: 18000 });
+    expect(client.eval.mock.calls[0].slice(1, 5)).toEqual([
+      3,
+      'ratelimit:alchemy',
+      `ratelimit:alchemy:used:${Math.floor(Date.now() / LIMIT.intervalMs)}`,
+      `ratelimit:alchemy:throttled:${Math.floor(
+        Date.now() / LIMIT.intervalMs
+      )}`
+    ]);
+
+    const usage = await rateLimiterService.getUsage({ alchemy: LIMIT });
+    expect(usage.alchemy).toEqual({
+      limit: 2,
+      intervalMs: LIMIT.intervalMs,
+      remaining: 0,
+      used: 30,
+      throttled: 3,
+      shared: true
+    });
+  });
+
+  it('should key on-chain providers by the Alchemy quota', () => {
+    providerRegistry.load();
+
+    const limits = providerRegistry.getRateLimits();
+
+    expect(Object.keys(limits)).toEqual(['alchemy', 'coingecko', 'binance']);
+    expect(limits.coingecko).toEqual({ requests: 30, intervalMs: 60000 });
+  });
+
+  it('should throttle provider requests', async() => {
+    const coingecko = providerRegistry.getProvider('coingecko');
+    const acquire = jest
+      .spyOn(rateLimiterService, 'acquire')
+      .mockResolvedValue();
+
+    await coingecko.throttle();
+
+    expect(acquire).toHaveBeenCalledWith(
+      'coingecko',
+      { requests: 30, intervalMs: 60000 },
+      { cost: 1 }
+    );
+  });
+
+  it('should charge the Alchemy quota for every RPC call', async() => {
+    const blockService = require('../src/services/blockService');
+    const acquire = jest
+      .spyOn(rateLimiterService, 'acquire')
+      .mockResolvedValue();
+    const client = {
+      core: {
+        getBlock: jest.fn(async(number) => ({ number, timestamp: 1600000000 }))
+      }
+    };
+
+    await blockService.getBlock(client, 1);
+    await blockService.getBlock(client, 2);
+
+    expect(acquire).toHaveBeenCalledTimes(2);
+    expect(acquire).toHaveBeenCalledWith(
+      'alchemy',
+      { requests: 100, intervalMs: 60000 },
+      { cost: 1 }
+    );
+  });
+});
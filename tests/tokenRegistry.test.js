@@ -0,0 +1,187 @@
+const express = require('express');
+const request = require('supertest');
+const Token = require('../src/models/Token');
+const databaseConnection = require('../src/config/database');
+const alchemyConnection = require('../src/config/alchemy');
+const tokenRoutes = require('../src/routes/tokens');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const API_KEY = 'dev-api-key-123';
+const UNI = '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984';
+const TOKEN_ID = '65a1b2c3d4e5f60718293a4b';
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/tokens', tokenRoutes);
+  app.use(globalErrorHandler);
+  return app;
+};
+
+describe('Token registry API', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    databaseConnection.isConnected = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    databaseConnection.isConnected = false;
+  });
+
+  describe('POST /api/tokens', () => {
+    it('should require an API key', async() => {
+      await request(app)
+        .post('/api/tokens')
+        .send({ address: UNI, network: 'ethereum' })
+        .expect(401);
+    });
+
+    it('should fill metadata and creation time from Alchemy', async() => {
+      jest.spyOn(Token, 'findOne').mockResolvedValue(null);
+      jest.spyOn(alchemyConnection, 'getTokenMetadata').mockResolvedValue({
+        name: 'Uniswap',
+        symbol: 'UNI',
+        decimals: 18,
+        logo: 'https://static.alchemyapi.io/images/assets/7083.png'
+      });
+      jest
+        .spyOn(alchemyConnection, 'getTokenCreationTimestamp')
+        .mockResolvedValue(1600106400);
+      const create = jest
+        .spyOn(Token, 'create')
+        .mockImplementation(async(details) => ({ _id: TOKEN_ID, ...details }));
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('X-API-Key', API_KEY)
+        .send({
+          address: '0x1F9840a85d5aF5bf1D1762F925BDADdC4201F984',
+          network: 'ethereum',
+          name: 'Uniswap Protocol'
+        })
+        .expect(201);
+
+      expect(create).toHaveBeenCalledWith({
+        address: UNI,
+        network: 'ethereum',
+        name: 'Uniswap Protocol',
+        symbol: 'UNI',
+        decimals: 18,
+        logo: 'https://static.alchemyapi.io/images/assets/7083.png',
+        creationTimestamp: 1600106400
+      });
+      expect(response.body).toMatchObject({
+        success: true,
+        data: { symbol: 'UNI', creationTimestamp: 1600106400 }
+      });
+    });
+
+    it('should reject duplicate registrations', async() => {
+      jest.spyOn(Token, 'findOne').mockResolvedValue({ _id: TOKEN_ID });
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('X-API-Key', API_KEY)
+        .send({ address: UNI, network: 'ethereum' })
+        .expect(409);
+
+      expect(response.body.error).toBe(
+        `Token ${UNI} is already registered on ethereum`
+      );
+    });
+
+    it('should ask for fields Alchemy cannot provide', async() => {
+      jest.spyOn(Token, 'findOne').mockResolvedValue(null);
+      jest
+        .spyOn(alchemyConnection, 'getTokenMetadata')
+        .mockRejectedValue(new Error('Alchemy client not initialized'));
+      jest
+        .spyOn(alchemyConnection, 'getTokenCreationTimestamp')
+        .mockResolvedValue(null);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('X-API-Key', API_KEY)
+        .send({ address: UNI, network: 'ethereum', symbol: 'UNI' })
+        .expect(400);
+
+      expect(response.body.error).toMatch('Could not determine name, decimals');
+    });
+
+    it('should validate the request body', async() => {
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('X-API-Key', API_KEY)
+        .send({ address: '0x123', network: 'solana' })
+        .expect(400);
+
+      expect(response.body.details[0].field).toBe('address');
+    });
+  });
+
+  describe('PUT /api/tokens/:id', () => {
+    it('should update mutable fields and keep creationDate in sync', async() => {
+      const token = {
+        set: jest.fn(),
+        save: jest.fn(async() => token)
+      };
+      jest.spyOn(Token, 'findById').mockResolvedValue(token);
+
+      await request(app)
+        .put(`/api/tokens/${TOKEN_ID}`)
+        .set('X-API-Key', API_KEY)
+        .send({ creationTimestamp: 1600000000, isActive: false })
+        .expect(200);
+
+      expect(token.set).toHaveBeenCalledWith({
+        creationTimestamp: 1600000000,
+        isActive: false
+      });
+      expect(token.creationDate).toEqual(new Date(1600000000 * 1000));
+      expect(token.save).toHaveBeenCalled();
+    });
+
+    it('should not allow changing the address', async() => {
+      await request(app)
+        .put(`/api/tokens/${TOKEN_ID}`)
+        .set('X-API-Key', API_KEY)
+        .send({ address: UNI })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/tokens/:id', () => {
+    it('should return 404 for unknown tokens', async() => {
+      jest.spyOn(Token, 'findByIdAndDelete').mockResolvedValue(null);
+
+      await request(app)
+        .delete(`/api/tokens/${TOKEN_ID}`)
+        .set('X-API-Key', API_KEY)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/tokens/:id', () => {
+    it('should read registered tokens by ObjectId', async() => {
+      jest
+        .spyOn(Token, 'findById')
+        .mockResolvedValue({ _id: TOKEN_ID, symbol: 'UNI' });
+
+      const response = await request(app)
+        .get(`/api/tokens/${TOKEN_ID}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ _id: TOKEN_ID, symbol: 'UNI' });
+    });
+
+    it('should answer 503 when the database is unavailable', async() => {
+      databaseConnection.isConnected = false;
+
+      await request(app).get(`/api/tokens/${TOKEN_ID}`).expect(503);
+    });
+  });
+});